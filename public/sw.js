@@ -0,0 +1,73 @@
+/**
+ * Service worker — keeps DanceCoach-AI usable offline.
+ *
+ * The app shell is precached on install. Everything else the app loads from
+ * its own origin (hashed JS/CSS bundles, the MediaPipe WASM runtime, the pose
+ * models) is cached the first time it is fetched and served from the cache
+ * afterwards. The WASM and the models keep their URLs across releases, so the
+ * build stamps CACHE_VERSION with the MediaPipe package version and the pinned
+ * model URLs (vite.config.ts): new ones get new caches and the old caches are
+ * dropped on activation. Page navigations go to the network first so new
+ * releases show up, falling back to the cached shell offline. Google Fonts are
+ * cached too so the UI looks the same offline, and so are the upstream pose
+ * models the app falls back to when the build couldn't download its own. Only
+ * successful answers are cached: an HTML answer to an asset request is a host's
+ * fallback page, not the asset, and an opaque answer can't be checked at all.
+ */
+
+const CACHE_VERSION = '__CACHE_VERSION__'; // stamped at build time
+const SHELL_CACHE = `dancecoach-shell-${CACHE_VERSION}`;
+const ASSET_CACHE = `dancecoach-assets-${CACHE_VERSION}`;
+const SCOPE = new URL(self.registration.scope).pathname;
+const SHELL = [SCOPE, `${SCOPE}index.html`, `${SCOPE}manifest.webmanifest`, `${SCOPE}icon.svg`, `${SCOPE}favicon.ico`];
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+const MODEL_HOST = 'storage.googleapis.com';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('dancecoach-') && key !== SHELL_CACHE && key !== ASSET_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(`${SCOPE}index.html`, response.clone());
+        return response;
+    } catch {
+        return (await cache.match(`${SCOPE}index.html`)) || Response.error();
+    }
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(ASSET_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    const html = (response.headers.get('content-type') || '').includes('text/html');
+    if (response.ok && !html) cache.put(request, response.clone());
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate' && url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    } else if (url.origin === self.location.origin || FONT_HOSTS.includes(url.hostname)
+        || (url.hostname === MODEL_HOST && url.pathname.startsWith('/mediapipe-models/'))) {
+        // Video files picked by the user are blob: URLs and never reach here
+        event.respondWith(cacheFirst(request));
+    }
+});
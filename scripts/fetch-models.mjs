@@ -0,0 +1,42 @@
+// Downloads the pose landmarker models (lite, full, heavy) into public/models so
+// the app can serve them from its own origin (and the service worker can cache
+// them for offline use). Runs before `dev` and `build`; the pinned versions are
+// in src/utils/modelSources.js.
+//
+//   npm run fetch-models               (fails if a model can't be downloaded)
+//   node scripts/fetch-models.mjs --optional
+//                                      (warns instead — the app then loads the
+//                                       missing models from storage.googleapis.com)
+
+import { mkdir, writeFile, rename, access } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { MODEL_TIER_IDS, modelFileName, remoteModelUrl } from '../src/utils/modelSources.js';
+
+const DOWNLOAD_TIMEOUT_MS = 120_000;
+
+const outDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../public/models');
+const force = process.argv.includes('--force');
+const optional = process.argv.includes('--optional');
+
+await mkdir(outDir, { recursive: true });
+for (const tier of MODEL_TIER_IDS) {
+    const file = modelFileName(tier);
+    const dest = path.join(outDir, file);
+    if (!force && await access(dest).then(() => true, () => false)) {
+        console.log(`✓ ${file} (already downloaded)`);
+        continue;
+    }
+    try {
+        const res = await fetch(remoteModelUrl(tier), { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const data = Buffer.from(await res.arrayBuffer());
+        // Written under a temporary name first, so an interrupted download isn't mistaken for a model
+        await writeFile(`${dest}.part`, data);
+        await rename(`${dest}.part`, dest);
+        console.log(`✓ ${file} (${(data.length / 1e6).toFixed(1)} MB)`);
+    } catch (err) {
+        if (!optional) throw new Error(`${file}: ${err.message}`);
+        console.warn(`⚠ ${file} not downloaded (${err.message}) — the app will load it from storage.googleapis.com instead`);
+    }
+}
@@ -1,12 +1,58 @@
-import { useState, useCallback, useRef, useEffect } from 'react';
+import { useState, useCallback, useRef, useEffect, useMemo, startTransition } from 'react';
 import VideoPlayer from './components/VideoPlayer';
 import WebcamFeed from './components/WebcamFeed';
 import ScoreDisplay from './components/ScoreDisplay';
 import SessionSummary from './components/SessionSummary';
-import { comparePoses } from './utils/poseSimilarity';
-import { generateVoiceCue, setAudioCoachEnabled, resetAudioCoach } from './utils/audioCoach';
+import SessionHistory from './components/SessionHistory';
+import LoopControls from './components/LoopControls';
+import DrillPanel from './components/DrillPanel';
+import SessionSetupOverlay from './components/SessionSetupOverlay';
+import DancerAssignment from './components/DancerAssignment';
+import VoiceSettings from './components/VoiceSettings';
+import { focusSegments, weightedOverall, SCORERS, DEFAULT_SCORER } from './utils/poseSimilarity';
+import { getRoutineSettings, saveRoutineSettings } from './utils/routineSettings';
+import { SCORING_PROFILES, DEFAULT_PROFILE, getScoringProfile } from './utils/scoringProfiles';
+import { MIRROR_MODES, MIRROR_MODE_LABELS, createOrientationState, compareWithOrientation } from './utils/mirrorScoring';
+import { pushAlignmentSample, alignPoseHistory } from './utils/poseAlignment';
+import { analyzeAccentTiming, compactAccentSample, ACCENT_WINDOW_MS } from './utils/accentTiming';
+import { generateVoiceCue, pickCorrections, setAudioCoachEnabled, setAudioCoachProfile, resetAudioCoach, announce, setupPhrase, loadVoiceSettings, setVoiceSettings, getCueStats } from './utils/audioCoach';
+import { analyzeSession } from './utils/feedbackEngine';
+import { saveSession } from './utils/sessionStore';
+import { isRecordingSupported } from './utils/sessionRecorder';
+import { checkFraming } from './utils/framingCheck';
+import { retargetPose, measureReferenceBones, updateBoneMaxima } from './utils/poseRetargeting';
+import { mirrorPose, scaleToAspect } from './utils/poseNormalizer';
+import { computeCorrections } from './utils/poseCorrections';
+import { MAX_DANCERS, dancerLabel } from './utils/poseTracker';
+import { formationPoint, compareFormation } from './utils/formationAnalyzer';
+import { MODEL_TIERS, loadModelSettings, saveModelSettings } from './utils/landmarkerLoader';
+import { FILTER_KINDS, GAP_MODES, loadFilterSettings, saveFilterSettings } from './utils/landmarkFilter';
+import { createCalibrationState, addCalibrationSample, calibrationProgress, loadCalibration, saveCalibration, clearCalibration } from './utils/bodyCalibration';
 
-const VIEWS = { WELCOME: 'welcome', PRACTICE: 'practice', SUMMARY: 'summary' };
+const VIEWS = { WELCOME: 'welcome', PRACTICE: 'practice', SUMMARY: 'summary', HISTORY: 'history' };
+const MIN_LOOP_SEC = 0.5;
+const DRILL_PRE_ROLL_SEC = 2;
+const DRILL_SPEED = 0.5;
+const DRILL_MAX_REPS = 10;
+const FRAMING_HOLD_MS = 2000;
+const FRAMING_REPEAT_MS = 3000;
+const COUNTDOWN_SEC = 3;
+const GHOST_LEAD_OPTIONS_MS = [0, 250, 375, 500];
+
+// Scoring state kept per dancer for one session
+function createDancerState(mirrorMode) {
+    return {
+        orientation: createOrientationState(mirrorMode),
+        alignmentHistory: [],
+        alignment: null,
+        accentHistory: [],
+        accentTrail: [],    // accent joints of every tick since the last stored sample
+        accents: null,
+        refBoneMaxima: {},  // longest each reference bone has looked, without world landmarks
+        refBones: null,     // the reference dancer's own bone lengths, for retargeting
+        samples: 0,
+    };
+}
 
 export default function App() {
     const [view, setView] = useState(VIEWS.WELCOME);
@@ -15,16 +61,57 @@ export default function App() {
     const [isActive, setIsActive] = useState(false);
     const [speed, setSpeed] = useState(1);
     const [mirrored, setMirrored] = useState(true);
-    const [comparison, setComparison] = useState(null);
-    const [sessionData, setSessionData] = useState([]);
+    const [mirrorMode, setMirrorMode] = useState(MIRROR_MODES.AUTO);
+    const [comparisons, setComparisons] = useState([]); // latest result per dancer
+    const [formation, setFormation] = useState(null);
     const [sessionTime, setSessionTime] = useState(0);
     const [voiceCoach, setVoiceCoach] = useState(true);
+    const [voice, setVoice] = useState(() => loadVoiceSettings()); // language, voice, rate, volume, cooldown
+    const [showVoiceSettings, setShowVoiceSettings] = useState(false);
+    const [music, setMusic] = useState(true);
+    const [routine, setRoutine] = useState(null);
+    const [beatGrid, setBeatGrid] = useState(null); // found after the routine is ready; null until then
+    const [duration, setDuration] = useState(0);
+    const [loopMarkers, setLoopMarkers] = useState({ a: null, b: null });
+    const [loopReps, setLoopReps] = useState(4);
+    const [currentRep, setCurrentRep] = useState(0);
+    const [repScores, setRepScores] = useState([]);
+    const [summaryData, setSummaryData] = useState([]);
+    const [summaryCues, setSummaryCues] = useState(null); // coaching cue statistics of the reviewed session
+    const [drill, setDrill] = useState(null);
+    const [drillResult, setDrillResult] = useState(null);
+    const [scorerId, setScorerId] = useState(DEFAULT_SCORER);
+    const [profileId, setProfileId] = useState(DEFAULT_PROFILE);
+    const [recordWebcam, setRecordWebcam] = useState(false);
+    const [summaryRecording, setSummaryRecording] = useState(null);
+    const [setup, setSetup] = useState(null); // framing / calibration / countdown before scoring
+    const [calibration, setCalibration] = useState(() => loadCalibration());
+    const [ghost, setGhost] = useState(false);
+    const [ghostOpacity, setGhostOpacity] = useState(0.4);
+    const [ghostLeadMs, setGhostLeadMs] = useState(250);
+    const [dancerCount, setDancerCount] = useState(1);
+    const [modelSettings, setModelSettings] = useState(() => loadModelSettings()); // pose model tier for live webcam / reference analysis
+    const [filterSettings, setFilterSettings] = useState(() => loadFilterSettings()); // landmark smoothing for both videos
+    const [assignments, setAssignments] = useState([]); // reference dancer copied by each dancer
+    const [viewDancer, setViewDancer] = useState(0);
+    const [summaryDancers, setSummaryDancers] = useState(1);
+    const [summaryDancer, setSummaryDancer] = useState(0);
 
     const videoPlayerRef = useRef(null);
     const webcamRef = useRef(null);
     const comparisonLoopRef = useRef(null);
     const sessionTimerRef = useRef(null);
-    const sampleCountRef = useRef(0);
+    const setupLoopRef = useRef(null);
+    const dancersRef = useRef([createDancerState(MIRROR_MODES.AUTO)]);
+    // Samples pile up in a ref; nothing renders them until the session ends
+    const sessionDataRef = useRef([]);
+    const loopRef = useRef(null);
+    const repRef = useRef(0);
+    const loopFinishedRef = useRef(false);
+    const repTotalsRef = useRef({ sum: 0, count: 0 });
+    const repScoresRef = useRef([]);
+    const drillPassedRef = useRef(false);
+    const pendingRecordingRef = useRef(null); // { mirrored } while a finished session waits for its footage
     const [dragging, setDragging] = useState(false);
 
     const handleFileUpload = useCallback((file) => {
@@ -32,10 +119,18 @@ export default function App() {
         setVideoFile(file);
         setVideoName(file.name);
         setView(VIEWS.PRACTICE);
-        setSessionData([]);
-        setComparison(null);
+        sessionDataRef.current = [];
+        setComparisons([]);
         setSessionTime(0);
         setIsActive(false);
+        setRoutine(null);
+        setBeatGrid(null);
+        setDuration(0);
+        setLoopMarkers({ a: null, b: null });
+        setSummaryData([]);
+        setSummaryRecording(null);
+        setDrill(null);
+        setDrillResult(null);
     }, []);
 
     const handleFileInput = (e) => {
@@ -50,79 +145,453 @@ export default function App() {
         if (file) handleFileUpload(file);
     };
 
+    // Scoring metric and profile are remembered per routine
+    useEffect(() => {
+        if (!routine?.routineId) return;
+        const { scorer, profile, dancers, assignments: assigned } = getRoutineSettings(routine.routineId);
+        setScorerId(scorer && SCORERS[scorer] ? scorer : DEFAULT_SCORER);
+        setProfileId(getScoringProfile(profile).id);
+        setDancerCount(Math.min(MAX_DANCERS, dancers || 1));
+        setAssignments(assigned || []);
+        setViewDancer(0);
+    }, [routine]);
+
+    const handleScorerChange = (id) => {
+        setScorerId(id);
+        saveRoutineSettings(routine?.routineId, { scorer: id });
+    };
+
+    const scoringProfile = useMemo(() => getScoringProfile(profileId), [profileId]);
+    useEffect(() => { setAudioCoachProfile(scoringProfile); }, [scoringProfile]);
+
+    const handleProfileChange = (id) => {
+        setProfileId(id);
+        saveRoutineSettings(routine?.routineId, { profile: id });
+    };
+
+    // Group routines: how many people dance in front of the webcam, and which reference dancer each copies
+    const refDancers = routine?.dancers || 1;
+    const comparison = comparisons[viewDancer] || null;
+
+    const handleDancerCountChange = (count) => {
+        setDancerCount(count);
+        setViewDancer(0);
+        saveRoutineSettings(routine?.routineId, { dancers: count });
+    };
+
+    // Model tiers are a device preference, not per routine. A new reference tier re-prepares the routine.
+    const handleModelChange = (kind, tier) => {
+        const next = { ...modelSettings, [kind]: tier };
+        setModelSettings(next);
+        saveModelSettings(next);
+        if (kind === 'analysis') {
+            setRoutine(null);
+            setBeatGrid(null);
+        }
+    };
+
+    const handleFilterChange = (patch) => {
+        const next = { ...filterSettings, ...patch };
+        setFilterSettings(next);
+        saveFilterSettings(next);
+    };
+
+    const handleVoiceChange = (next) => {
+        setVoiceSettings(next);
+        setVoice(next);
+    };
+
+    const summaryDancerData = useMemo(() => (
+        summaryDancers > 1 ? summaryData.filter(d => d.dancer === summaryDancer) : summaryData
+    ), [summaryData, summaryDancers, summaryDancer]);
+
+    const handleAssign = (dancer, reference) => {
+        const next = Array.from({ length: dancerCount }, (_, d) => assignments[d] ?? Math.min(d, refDancers - 1));
+        next[dancer] = reference;
+        setAssignments(next);
+        saveRoutineSettings(routine?.routineId, { assignments: next });
+    };
+
+    const referenceFor = useCallback((dancer) => {
+        return Math.min(assignments[dancer] ?? dancer, refDancers - 1);
+    }, [assignments, refDancers]);
+
+    const loopRange = useMemo(() => {
+        const { a, b } = loopMarkers;
+        return a !== null && b !== null && b - a >= MIN_LOOP_SEC ? { start: a, end: b } : null;
+    }, [loopMarkers]);
+
+    // Before scoring: hold a good framing, calibrate once with a T-pose if needed, then count in.
+    // Losing the framing at any point goes back to the framing check.
+    const runSessionSetup = useCallback((onReady) => {
+        const calState = createCalibrationState();
+        let phase = 'framing';
+        let framedSince = null;
+        let countdownStart = null;
+        let lastCount = null;
+        let spoken = { message: null, at: 0 };
+        let calibrated = calibration;
+
+        // Prompts are shown and spoken in the voice coach's language
+        const say = (cue, dancer = null) => {
+            const now = performance.now();
+            const message = setupPhrase(cue, dancer);
+            if (message === spoken.message || now - spoken.at < FRAMING_REPEAT_MS) return;
+            announce(message);
+            spoken = { message, at: now };
+        };
+
+        setupLoopRef.current = setInterval(() => {
+            const now = performance.now();
+            const pose = webcamRef.current?.getRawPose(0) || null;
+            // Every dancer has to be in frame; the first one who isn't is named
+            const framings = Array.from({ length: dancerCount }, (_, d) => checkFraming(webcamRef.current?.getRawPose(d) || null));
+            const failing = framings.findIndex(f => !f.ok);
+            const framing = { ...framings[Math.max(0, failing)], dancer: failing >= 0 && dancerCount > 1 ? failing : null };
+            const framingMessage = setupPhrase(framing.cue, framing.dancer);
+
+            if (!framing.ok && phase !== 'framing') {
+                phase = 'framing';
+                lastCount = null;
+            }
+
+            if (phase === 'framing') {
+                if (!framing.ok) {
+                    framedSince = null;
+                    say(framing.cue, framing.dancer);
+                    setSetup({ phase, message: framingMessage, ok: false });
+                    return;
+                }
+                framedSince = framedSince ?? now;
+                setSetup({ phase, message: framingMessage, ok: true, progress: Math.min(1, (now - framedSince) / FRAMING_HOLD_MS) });
+                if (now - framedSince < FRAMING_HOLD_MS) return;
+                // The calibration is one person's proportions, so group sessions skip it
+                phase = calibrated || dancerCount > 1 ? 'countdown' : 'calibrating';
+                countdownStart = now;
+                if (phase === 'calibrating') say('tPose');
+            }
+
+            if (phase === 'calibrating') {
+                const result = addCalibrationSample(calState, pose, webcamRef.current?.getAspect() || 1);
+                if (!result) {
+                    setSetup({ phase, message: setupPhrase('tPose'), ok: calState.samples.length > 0, progress: calibrationProgress(calState) });
+                    return;
+                }
+                saveCalibration(result);
+                setCalibration(result);
+                calibrated = result;
+                phase = 'countdown';
+                countdownStart = now;
+            }
+
+            const count = COUNTDOWN_SEC - Math.floor((now - countdownStart) / 1000);
+            if (count > 0) {
+                if (count !== lastCount) {
+                    lastCount = count;
+                    announce(String(count));
+                    setSetup({ phase, count });
+                }
+                return;
+            }
+
+            clearInterval(setupLoopRef.current);
+            setupLoopRef.current = null;
+            setSetup(null);
+            onReady(calibrated);
+        }, 100);
+    }, [calibration, dancerCount]);
+
+    // Ghost overlay: the reference a little ahead of the music, in the orientation being scored,
+    // with the user's proportions. The look-ahead is wall-clock, so it scales with playback speed.
+    // Returns the pose with the reference video's aspect ratio, which the webcam needs to fit it.
+    const getGhostPose = useCallback((dancer = 0) => {
+        const player = videoPlayerRef.current;
+        if (!player) return null;
+        const pose = player.getPoseAt(player.getCurrentTime() + (ghostLeadMs / 1000) * speed, referenceFor(dancer));
+        if (!pose) return null;
+        const fitted = dancerCount > 1 ? pose : retargetPose(pose, calibration?.bones, dancersRef.current[dancer]?.refBones);
+        const video = player.getVideo();
+        return {
+            pose: dancersRef.current[dancer]?.orientation.mirrored ? mirrorPose(fitted) : fitted,
+            aspect: video?.videoWidth ? video.videoWidth / video.videoHeight : 1,
+        };
+    }, [ghostLeadMs, speed, calibration, dancerCount, referenceFor]);
+
+    const stopSessionSetup = () => {
+        if (setupLoopRef.current) { clearInterval(setupLoopRef.current); setupLoopRef.current = null; }
+        setSetup(null);
+    };
+
+    const handleRecalibrate = () => {
+        clearCalibration();
+        setCalibration(null);
+    };
+
     const handleStart = useCallback(() => {
         setIsActive(true);
-        setSessionData([]);
-        setComparison(null);
+        sessionDataRef.current = [];
+        setComparisons([]);
+        setFormation(null);
         setSessionTime(0);
-        sampleCountRef.current = 0;
+        dancersRef.current = Array.from({ length: dancerCount }, () => createDancerState(mirrorMode));
+        // Loop repetitions score everyone together, except a drill, which is one dancer's
+        const repDancer = drill && dancerCount > 1 ? drill.dancer : null;
+        // A drill is a loop over its moment (plus pre-roll) that scores only the weak segments
+        // and ends early once a whole repetition reaches the target
+        loopRef.current = !loopRange ? null : drill
+            ? { ...loopRange, reps: DRILL_MAX_REPS, scoreFrom: drill.start, target: drill.target, focus: drill.segments }
+            : { ...loopRange, reps: loopReps, scoreFrom: loopRange.start };
+        repRef.current = loopRef.current ? 1 : 0;
+        loopFinishedRef.current = false;
+        repTotalsRef.current = { sum: 0, count: 0 };
+        repScoresRef.current = [];
+        drillPassedRef.current = false;
+        setCurrentRep(repRef.current);
+        setRepScores([]);
+        setDrillResult(null);
+        pendingRecordingRef.current = null;
         resetAudioCoach();
 
-        if (videoPlayerRef.current) {
-            videoPlayerRef.current.seekTo(0);
-            videoPlayerRef.current.play();
-        }
+        videoPlayerRef.current?.pause();
+        videoPlayerRef.current?.seekTo(loopRef.current ? loopRef.current.start : 0);
 
-        sessionTimerRef.current = setInterval(() => {
-            setSessionTime(t => t + 1);
-        }, 1000);
-
-        // Comparison loop — compare poses every ~100ms
-        let debugLogCount = 0;
-        comparisonLoopRef.current = setInterval(() => {
-            try {
-                const refPose = videoPlayerRef.current?.getCurrentPose();
-                const userPose = webcamRef.current?.getCurrentPose();
-
-                // Debug: log pose availability periodically
-                debugLogCount++;
-                if (debugLogCount % 30 === 1) {
-                    console.log('[DanceCoach] Pose check — ref:', !!refPose, '(len:', refPose?.length, ') user:', !!userPose, '(len:', userPose?.length, ')');
-                }
+        // Playback and scoring wait for the framing check, calibration and countdown
+        const beginScoring = (cal) => {
+            videoPlayerRef.current?.play();
+
+            sessionTimerRef.current = setInterval(() => {
+                setSessionTime(t => t + 1);
+            }, 1000);
 
-                if (refPose && userPose) {
-                    const result = comparePoses(refPose, userPose);
-                    if (debugLogCount % 30 === 1) {
-                        console.log('[DanceCoach] Comparison result:', result ? `overall=${result.overall}` : 'null');
+            // Comparison loop — compare poses every ~100ms. Scoring runs here on the main thread;
+            // detection, the expensive part, runs in workers (poseDetector)
+            comparisonLoopRef.current = setInterval(() => {
+                try {
+                    // A/B loop — jump back to A at B until all repetitions are done
+                    const loop = loopRef.current;
+                    if (loopFinishedRef.current) return;
+                    if (loop && (videoPlayerRef.current?.getCurrentTime() || 0) >= loop.end) {
+                        const { sum, count } = repTotalsRef.current;
+                        const repAvg = count > 0 ? Math.round((sum / count) * 10) / 10 : null;
+                        repTotalsRef.current = { sum: 0, count: 0 };
+                        repScoresRef.current = [...repScoresRef.current, repAvg];
+                        setRepScores(repScoresRef.current);
+                        if (loop.target && repAvg !== null && repAvg >= loop.target) drillPassedRef.current = true;
+
+                        if (drillPassedRef.current || repRef.current >= loop.reps) {
+                            loopFinishedRef.current = true;
+                            videoPlayerRef.current?.pause();
+                            return;
+                        }
+                        repRef.current++;
+                        setCurrentRep(repRef.current);
+                        videoPlayerRef.current?.seekTo(loop.start);
+                        videoPlayerRef.current?.play();
+                        return;
                     }
-                    if (result) {
-                        setComparison(result);
-                        generateVoiceCue(result, refPose, userPose);
+
+                    const videoTime = videoPlayerRef.current?.getCurrentTime() || 0;
+                    const group = dancersRef.current.length > 1;
+
+                    const refVideo = videoPlayerRef.current?.getVideo();
+                    const refAspect = refVideo?.videoWidth ? refVideo.videoWidth / refVideo.videoHeight : 1;
+                    const userAspect = webcamRef.current?.getAspect() || 1;
+
+                    // Group layout against the reference group's, when everyone copies a different dancer
+                    let groupFormation = null;
+                    const references = dancersRef.current.map((_, d) => referenceFor(d));
+                    if (group && new Set(references).size === references.length) {
+                        const mirroredCount = dancersRef.current.filter(dancer => dancer.orientation.mirrored).length;
+                        groupFormation = compareFormation(
+                            references.map(r => formationPoint(videoPlayerRef.current?.getCurrentPose(r), refAspect)),
+                            dancersRef.current.map((_, d) => formationPoint(webcamRef.current?.getRawPose(d), userAspect)),
+                            { mirrored: mirroredCount * 2 > dancersRef.current.length, userAspect },
+                        );
+                        startTransition(() => setFormation(groupFormation));
+                    }
+
+                    const results = dancersRef.current.map((dancer, d) => {
+                        const rawRefPose = videoPlayerRef.current?.getCurrentPose(referenceFor(d));
+                        const refWorld = videoPlayerRef.current?.getWorldPose(referenceFor(d));
+                        // Reference redrawn with the user's limb lengths, so scoring and cues compare poses, not anatomy.
+                        // The calibration is one person's, so group sessions compare the reference as-is.
+                        updateBoneMaxima(dancer.refBoneMaxima, rawRefPose, refAspect);
+                        dancer.refBones = measureReferenceBones(refWorld) ?? dancer.refBoneMaxima;
+                        const refPose = group ? rawRefPose : retargetPose(rawRefPose, cal?.bones, dancer.refBones);
+                        const userPose = webcamRef.current?.getCurrentPose(d);
+                        if (!refPose || !userPose) return null;
+
+                        // Reference as scored — mirrored when the student copies a dancer facing them
+                        const oriented = compareWithOrientation(refPose, userPose, dancer.orientation, scorerId, scoringProfile);
+                        const result = loop?.focus ? focusSegments(oriented?.result, loop.focus, scoringProfile.weights) : oriented?.result;
+                        if (!result) return null;
+
+                        // Which way each part is off, in 3D from world landmarks (image landmarks as a fallback);
+                        // the same objects drive voice cues, on-screen arrows and the summary
+                        const userWorld = webcamRef.current?.getWorldPose(d);
+                        const corrections = refWorld && userWorld
+                            ? computeCorrections(result.mirrored ? mirrorPose(refWorld) : refWorld, userWorld)
+                            : computeCorrections(scaleToAspect(oriented.refPose, refAspect), scaleToAspect(userPose, userAspect));
+                        result.corrections = corrections.filter(c => result.segments[c.segment] != null);
+
+                        if (loop && videoTime >= loop.scoreFrom && (repDancer === null || repDancer === d)) {
+                            repTotalsRef.current.sum += result.overall;
+                            repTotalsRef.current.count++;
+                        }
+                        pushAlignmentSample(dancer.alignmentHistory, oriented.refPose, userPose, videoTime);
+                        pushAlignmentSample(dancer.accentHistory, oriented.refPose, userPose, videoTime, ACCENT_WINDOW_MS);
+                        const accentSample = compactAccentSample(oriented.refPose, userPose, videoTime);
+                        if (accentSample) dancer.accentTrail.push(accentSample);
+
+                        dancer.samples++;
+                        const isSample = dancer.samples % 3 === 0;
+
+                        // Lag search over the last few seconds — separates shape from timing
+                        if (isSample) dancer.alignment = alignPoseHistory(dancer.alignmentHistory, undefined, scorerId, scoringProfile);
+                        result.alignment = dancer.alignment;
+                        // Hits (acceleration peaks) matched against the reference's
+                        if (isSample) dancer.accents = analyzeAccentTiming(dancer.accentHistory);
+                        result.accents = dancer.accents;
+
+                        // Spoken cues for several people at once would talk over each other
+                        if (!group) generateVoiceCue(result, oriented.refPose, { videoTime, beatGrid: videoPlayerRef.current?.getBeatGrid() });
 
                         // Sample every 3rd comparison for session history
-                        sampleCountRef.current++;
-                        if (sampleCountRef.current % 3 === 0) {
-                            const videoTime = videoPlayerRef.current?.getCurrentTime() || 0;
-                            setSessionData(prev => [...prev, {
+                        if (isSample) {
+                            const sample = {
                                 ...result,
-                                refPose: refPose.map(lm => ({ x: lm.x, y: lm.y, z: lm.z || 0, visibility: lm.visibility || 0 })),
+                                corrections: result.corrections.map(({ segment, joint, cue, degrees }) => ({ segment, joint, cue, degrees })),
+                                // Every tick's accent joints, so the summary finds hits at the live rate
+                                accentTrack: dancer.accentTrail.splice(0),
+                                refPose: rawRefPose.map(lm => ({ x: lm.x, y: lm.y, z: lm.z || 0, visibility: lm.visibility || 0 })),
                                 userPose: userPose.map(lm => ({ x: lm.x, y: lm.y, z: lm.z || 0, visibility: lm.visibility || 0 })),
                                 videoTime,
-                            }]);
+                                recordingTime: webcamRef.current?.getRecordingTime() ?? null,
+                                rep: loop ? repRef.current : null,
+                                dancer: d,
+                                formation: groupFormation && {
+                                    score: groupFormation.score,
+                                    placement: groupFormation.dancers[d]?.score ?? null,
+                                    spacing: groupFormation.spacing.ratio,
+                                },
+                            };
+                            sessionDataRef.current.push(sample);
                         }
-                    }
+                        return result;
+                    });
+                    // A dancer who drops out for a moment keeps their last result on screen.
+                    // Score displays update as a transition, so re-rendering them never holds up a frame.
+                    if (results.some(Boolean)) startTransition(() => setComparisons(prev => results.map((r, d) => r || prev[d] || null)));
+                } catch (err) {
+                    console.error('[DanceCoach] Comparison error:', err);
                 }
-            } catch (err) {
-                console.error('[DanceCoach] Comparison error:', err);
-            }
-        }, 100);
-    }, []);
+            }, 100);
+        };
+        runSessionSetup(beginScoring);
+    }, [mirrorMode, loopRange, loopReps, drill, scorerId, scoringProfile, runSessionSetup, dancerCount, referenceFor]);
 
     const handleStop = useCallback(() => {
+        // Voice cues are only given when dancing alone
+        const cues = dancerCount > 1 ? null : getCueStats();
         setIsActive(false);
         resetAudioCoach();
+        stopSessionSetup();
 
         if (videoPlayerRef.current) videoPlayerRef.current.pause();
         if (comparisonLoopRef.current) { clearInterval(comparisonLoopRef.current); comparisonLoopRef.current = null; }
         if (sessionTimerRef.current) { clearInterval(sessionTimerRef.current); sessionTimerRef.current = null; }
 
-        if (sessionData.length > 5) setView(VIEWS.SUMMARY);
-    }, [sessionData]);
+        if (drill) {
+            // Drills score a subset of segments, so they stay out of the routine history
+            const scores = repScoresRef.current.filter(v => v !== null);
+            if (scores.length > 0) {
+                setDrillResult({
+                    passed: drillPassedRef.current,
+                    reps: scores.length,
+                    best: Math.max(...scores),
+                    last: scores[scores.length - 1],
+                });
+            }
+            return;
+        }
+
+        const sessionData = sessionDataRef.current;
+        if (sessionData.length > 5) {
+            // Group sessions save one attempt per dancer
+            const group = dancerCount > 1;
+            for (let d = 0; d < dancerCount; d++) {
+                const data = group ? sessionData.filter(s => s.dancer === d) : sessionData;
+                if (data.length <= 5) continue;
+                saveSession({
+                    routineId: routine?.routineId || `${videoFile.name}:${videoFile.size}`,
+                    routineName: videoName,
+                    speed,
+                    mirrorMode,
+                    mirroredView: mirrored,
+                    scorer: scorerId,
+                    profile: profileId,
+                    durationSec: sessionTime,
+                    analysis: analyzeSession(data, { profile: scoringProfile, beatGrid, locale: voice.locale, danceTerms: voice.danceTerms }),
+                    loop: loopRef.current,
+                    dancer: group ? { index: d, label: dancerLabel(d), reference: referenceFor(d) } : null,
+                    cues,
+                });
+            }
+            setSummaryData(sessionData);
+            setSummaryCues(cues);
+            setSummaryDancers(dancerCount);
+            setSummaryDancer(0);
+            setSummaryRecording(null);
+            // The webcam footage arrives once the recorder has flushed (handleRecordingReady)
+            pendingRecordingRef.current = { mirrored };
+            setView(VIEWS.SUMMARY);
+        }
+    }, [routine, beatGrid, videoFile, videoName, speed, mirrorMode, mirrored, sessionTime, drill, scorerId, profileId, scoringProfile, dancerCount, referenceFor, voice]);
+
+    const handleRecordingReady = useCallback((blob) => {
+        const pending = pendingRecordingRef.current;
+        pendingRecordingRef.current = null;
+        if (pending && blob) setSummaryRecording({ blob, mirrored: pending.mirrored });
+    }, []);
+
+    const handleDrill = useCallback((moment, worstSegments) => {
+        const flagged = worstSegments.filter(seg => seg.avg < scoringProfile.focusBelow);
+        const focus = flagged.length > 0 ? flagged : worstSegments.slice(0, 1);
+        // Reps score only the focus segments (focusSegments), so they are measured against those segments' own baseline
+        const focusBaseline = Math.round(weightedOverall(Object.fromEntries(focus.map(seg => [seg.key, seg.avg])), scoringProfile.weights));
+        setDrill({
+            start: moment.startVideoTime,
+            end: moment.endVideoTime,
+            beatLabel: moment.label,
+            dancer: summaryDancer,
+            segments: focus.map(seg => seg.key),
+            labels: focus.map(seg => seg.label),
+            baseline: moment.avgScore,
+            focusBaseline,
+            target: Math.min(scoringProfile.praiseAbove, Math.max(scoringProfile.focusBelow, focusBaseline + 20)),
+        });
+        setLoopMarkers({ a: Math.max(0, moment.startVideoTime - DRILL_PRE_ROLL_SEC), b: moment.endVideoTime });
+        setSpeed(DRILL_SPEED);
+        setDrillResult(null);
+        setRepScores([]);
+        setComparisons([]);
+        setView(VIEWS.PRACTICE);
+    }, [scoringProfile, summaryDancer]);
+
+    const exitDrill = () => {
+        if (isActive) handleStop();
+        setDrill(null);
+        setDrillResult(null);
+        setRepScores([]);
+        setLoopMarkers({ a: null, b: null });
+        setSpeed(1);
+    };
 
     useEffect(() => {
         return () => {
             if (comparisonLoopRef.current) clearInterval(comparisonLoopRef.current);
             if (sessionTimerRef.current) clearInterval(sessionTimerRef.current);
+            if (setupLoopRef.current) clearInterval(setupLoopRef.current);
         };
     }, []);
 
@@ -130,11 +599,18 @@ export default function App() {
         if (!isActive) return;
         const checkEnd = setInterval(() => {
             const video = videoPlayerRef.current?.getVideo();
-            if (video && video.ended) handleStop();
+            // A looping session ends after its last repetition, not at the end of the video
+            if (loopFinishedRef.current || (video && video.ended && !loopRef.current)) handleStop();
         }, 500);
         return () => clearInterval(checkEnd);
     }, [isActive, handleStop]);
 
+    const handleMirrorModeChange = (mode) => {
+        setMirrorMode(mode);
+        // Switching mid-session restarts orientation detection from here on
+        if (isActive) dancersRef.current.forEach(dancer => { dancer.orientation = createOrientationState(mode); });
+    };
+
     const formatTime = (s) => {
         const m = Math.floor(s / 60);
         const sec = s % 60;
@@ -156,6 +632,8 @@ export default function App() {
                         onClick={() => { setIsActive(false); setView(VIEWS.WELCOME); }}>Home</button>
                     <button className={`nav-btn ${view === VIEWS.PRACTICE ? 'active' : ''}`}
                         onClick={() => videoFile && setView(VIEWS.PRACTICE)}>Practice</button>
+                    <button className={`nav-btn ${view === VIEWS.HISTORY ? 'active' : ''}`}
+                        onClick={() => { if (isActive) handleStop(); setView(VIEWS.HISTORY); }}>History</button>
                 </nav>
             </header>
 
@@ -209,16 +687,47 @@ export default function App() {
             {view === VIEWS.PRACTICE && (
                 <div className="fade-in">
                     <div className="split-screen">
-                        <VideoPlayer ref={videoPlayerRef} videoFile={videoFile} speed={speed} />
-                        <WebcamFeed ref={webcamRef} isActive={isActive} segmentScores={comparison?.segments} mirrored={mirrored} />
+                        <VideoPlayer ref={videoPlayerRef} videoFile={videoFile} speed={speed} modelTier={modelSettings.analysis} muted={!music} filterSettings={filterSettings} onRoutineReady={setRoutine} onBeatGrid={setBeatGrid} onDurationChange={setDuration} />
+                        <WebcamFeed ref={webcamRef} isActive={isActive} dancerScores={comparisons.map(c => c?.segments)}
+                            dancerCorrections={comparisons.map(c => pickCorrections(c, 2).map(p => p.correction).filter(Boolean))}
+                            dancerCount={dancerCount} formation={formation} mirrored={mirrored} modelTier={modelSettings.live} filterSettings={filterSettings}
+                            record={recordWebcam && !drill} onRecordingReady={handleRecordingReady}
+                            getGhostPose={ghost ? getGhostPose : null} ghostOpacity={ghostOpacity}>
+                            <SessionSetupOverlay setup={setup} />
+                        </WebcamFeed>
                     </div>
-                    <ScoreDisplay comparison={comparison} isActive={isActive} />
+                    {drill && (
+                        <DrillPanel
+                            drill={drill}
+                            repScores={repScores}
+                            result={drillResult}
+                            isActive={isActive}
+                            onBackToReview={summaryData.length > 0 ? () => { exitDrill(); setView(VIEWS.SUMMARY); } : null}
+                            onExit={exitDrill}
+                        />
+                    )}
+                    {(dancerCount > 1 || refDancers > 1) && (
+                        <DancerAssignment
+                            dancerCount={dancerCount}
+                            refDancers={refDancers}
+                            assignments={Array.from({ length: dancerCount }, (_, d) => referenceFor(d))}
+                            onAssign={handleAssign}
+                            comparisons={comparisons}
+                            formation={isActive ? formation : null}
+                            viewDancer={viewDancer}
+                            onViewDancer={setViewDancer}
+                            disabled={isActive}
+                        />
+                    )}
+                    <ScoreDisplay comparison={comparison} isActive={isActive} segmentKeys={scoringProfile.segments} />
                     <div className="controls-bar card" style={{ padding: '12px 20px' }}>
                         <div className="controls-group">
                             {isActive ? (
                                 <button className="btn btn-danger" onClick={handleStop}>⏹ Stop Session</button>
                             ) : (
-                                <button className="btn btn-primary btn-lg" onClick={handleStart}>▶ Start Dancing</button>
+                                <button className="btn btn-primary btn-lg" onClick={handleStart} disabled={!routine}>
+                                    {routine ? '▶ Start Dancing' : '⏳ Preparing Routine…'}
+                                </button>
                             )}
                             <button className="btn btn-outline" onClick={() => { setIsActive(false); document.getElementById('file-input-practice').click(); }}>📁 New Video</button>
                             <input id="file-input-practice" type="file" accept="video/*" onChange={handleFileInput} style={{ display: 'none' }} />
@@ -228,24 +737,144 @@ export default function App() {
                                 <button key={s} className={`speed-btn ${speed === s ? 'active' : ''}`} onClick={() => setSpeed(s)}>{s}×</button>
                             ))}
                             <button className={`toggle-btn ${mirrored ? 'active' : ''}`} onClick={() => setMirrored(!mirrored)}>🪞 Mirror</button>
+                            <button className={`toggle-btn ${ghost ? 'active' : ''}`} onClick={() => setGhost(!ghost)}
+                                title="Draw the reference dancer's pose over your own skeleton in the webcam view">
+                                👻 Ghost
+                            </button>
+                            {ghost && (
+                                <>
+                                    <input type="range" min={0.15} max={0.8} step={0.05} value={ghostOpacity}
+                                        onChange={(e) => setGhostOpacity(Number(e.target.value))}
+                                        title="Ghost opacity" style={{ width: '70px', accentColor: 'var(--accent-1)' }} />
+                                    <select className="control-select" value={ghostLeadMs} onChange={(e) => setGhostLeadMs(Number(e.target.value))}
+                                        title="Show where the reference will be slightly ahead of time">
+                                        {GHOST_LEAD_OPTIONS_MS.map(ms => (
+                                            <option key={ms} value={ms}>{ms === 0 ? 'In sync' : `+${ms}ms ahead`}</option>
+                                        ))}
+                                    </select>
+                                </>
+                            )}
+                            <span style={{ fontSize: '12px', color: 'var(--text-muted)' }} title="How your left/right is matched against the reference dancer">Match:</span>
+                            {Object.values(MIRROR_MODES).map(m => (
+                                <button key={m} className={`speed-btn ${mirrorMode === m ? 'active' : ''}`} onClick={() => handleMirrorModeChange(m)}>
+                                    {MIRROR_MODE_LABELS[m]}
+                                    {m === MIRROR_MODES.AUTO && mirrorMode === m && isActive && comparison && (comparison.mirrored ? ' · mirrored' : ' · same side')}
+                                </button>
+                            ))}
+                            <span style={{ fontSize: '12px', color: 'var(--text-muted)' }} title="How many people dance in front of the webcam">Dancers:</span>
+                            {Array.from({ length: MAX_DANCERS }, (_, i) => i + 1).map(n => (
+                                <button key={n} className={`speed-btn ${dancerCount === n ? 'active' : ''}`} onClick={() => handleDancerCountChange(n)} disabled={isActive}>{n}</button>
+                            ))}
+                            <span style={{ fontSize: '12px', color: 'var(--text-muted)' }}>Metric:</span>
+                            {Object.entries(SCORERS).map(([id, scorer]) => (
+                                <button key={id} className={`speed-btn ${scorerId === id ? 'active' : ''}`}
+                                    onClick={() => handleScorerChange(id)} disabled={isActive} title={scorer.description}>
+                                    {scorer.label}
+                                </button>
+                            ))}
+                            <span style={{ fontSize: '12px', color: 'var(--text-muted)' }}>Profile:</span>
+                            <select className="control-select" value={profileId} onChange={(e) => handleProfileChange(e.target.value)}
+                                disabled={isActive} title={scoringProfile.description}>
+                                {Object.entries(SCORING_PROFILES).map(([id, profile]) => (
+                                    <option key={id} value={id}>{profile.label}</option>
+                                ))}
+                            </select>
+                            <span style={{ fontSize: '12px', color: 'var(--text-muted)' }} title="Pose model for your webcam / for analyzing the reference video">Model:</span>
+                            {[['live', '🎥'], ['analysis', '🎬']].map(([kind, icon]) => (
+                                <select key={kind} className="control-select" value={modelSettings[kind]} onChange={(e) => handleModelChange(kind, e.target.value)}
+                                    disabled={isActive} title={`${kind === 'live' ? 'Webcam' : 'Reference video'}: ${MODEL_TIERS[modelSettings[kind]].description}`}>
+                                    {Object.entries(MODEL_TIERS).map(([tier, { label }]) => (
+                                        <option key={tier} value={tier}>{icon} {label}</option>
+                                    ))}
+                                </select>
+                            ))}
+                            <span style={{ fontSize: '12px', color: 'var(--text-muted)' }} title="How landmarks are steadied, and what a hidden joint does">Smoothing:</span>
+                            <select className="control-select" value={filterSettings.kind} onChange={(e) => handleFilterChange({ kind: e.target.value })}
+                                title={FILTER_KINDS[filterSettings.kind].description}>
+                                {Object.entries(FILTER_KINDS).map(([kind, { label }]) => (
+                                    <option key={kind} value={kind}>{label}</option>
+                                ))}
+                            </select>
+                            <select className="control-select" value={filterSettings.gap} onChange={(e) => handleFilterChange({ gap: e.target.value })}
+                                disabled={filterSettings.kind === 'off'} title={GAP_MODES[filterSettings.gap].description}>
+                                {Object.entries(GAP_MODES).map(([mode, { label }]) => (
+                                    <option key={mode} value={mode}>{label} gaps</option>
+                                ))}
+                            </select>
+                            <button className={`toggle-btn ${music ? 'active' : ''}`} onClick={() => setMusic(!music)} title="Play the reference video's soundtrack">
+                                {music ? '🎵' : '🔇'} Music
+                            </button>
                             <button className={`toggle-btn ${voiceCoach ? 'active' : ''}`} onClick={() => { const next = !voiceCoach; setVoiceCoach(next); setAudioCoachEnabled(next); }}>
                                 {voiceCoach ? '🔊' : '🔇'} Voice Coach
                             </button>
+                            <button className={`toggle-btn ${showVoiceSettings ? 'active' : ''}`} onClick={() => setShowVoiceSettings(!showVoiceSettings)}
+                                title="Coach language, voice, speed, volume and how often it speaks">
+                                ⚙ {voice.locale.toUpperCase()}
+                            </button>
+                            <button className="toggle-btn" onClick={handleRecalibrate} disabled={isActive || !calibration}
+                                title="Measure your limb proportions again with a T-pose at the start of the next session">
+                                🧍 Recalibrate
+                            </button>
+                            {isRecordingSupported() && (
+                                <button className={`toggle-btn ${recordWebcam ? 'active' : ''}`} onClick={() => setRecordWebcam(!recordWebcam)} disabled={isActive}
+                                    title="Record your webcam during the session to replay it next to the reference in the review. The footage stays in this browser tab and is never uploaded or saved.">
+                                    ⏺ Record Me
+                                </button>
+                            )}
                         </div>
                         <div className="controls-group">
+                            {isActive && currentRep > 0 && (
+                                <span className="badge">
+                                    🔁 Rep {currentRep}/{drill ? DRILL_MAX_REPS : loopReps}
+                                    {repScores.length > 0 && repScores[repScores.length - 1] !== null && ` · last ${Math.round(repScores[repScores.length - 1])}%`}
+                                </span>
+                            )}
                             {isActive && <span className="timer">⏱ {formatTime(sessionTime)}</span>}
                             {videoName && <span style={{ fontSize: '13px', color: 'var(--text-muted)', maxWidth: '200px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>🎵 {videoName}</span>}
                         </div>
                     </div>
+                    {showVoiceSettings && <VoiceSettings settings={voice} onChange={handleVoiceChange} />}
+                    {recordWebcam && !drill && (
+                        <div className="record-notice">
+                            ⏺ Your webcam will be recorded so the review can replay you next to the reference.
+                            The footage stays in this browser tab — it is never uploaded or saved, and is discarded when you load a new video or close the page.
+                        </div>
+                    )}
+                    <LoopControls
+                        playerRef={videoPlayerRef}
+                        duration={duration}
+                        markers={loopMarkers}
+                        onMarkersChange={setLoopMarkers}
+                        reps={loopReps}
+                        onRepsChange={setLoopReps}
+                        disabled={isActive}
+                    />
                 </div>
             )}
 
             {/* Summary — now passes videoFile for improvement review */}
             {view === VIEWS.SUMMARY && (
                 <SessionSummary
-                    sessionData={sessionData}
+                    key={summaryDancer}
+                    sessionData={summaryDancerData}
+                    dancerCount={summaryDancers}
+                    dancer={summaryDancer}
+                    onDancerChange={setSummaryDancer}
                     videoFile={videoFile}
+                    recording={summaryRecording}
+                    cueStats={summaryCues}
+                    beatGrid={beatGrid}
+                    voice={voice}
                     onClose={() => setView(VIEWS.PRACTICE)}
+                    onShowHistory={() => setView(VIEWS.HISTORY)}
+                    onDrill={handleDrill}
+                />
+            )}
+
+            {view === VIEWS.HISTORY && (
+                <SessionHistory
+                    initialRoutineId={routine?.routineId}
+                    onClose={() => setView(videoFile ? VIEWS.PRACTICE : VIEWS.WELCOME)}
                 />
             )}
         </div>
@@ -0,0 +1,44 @@
+import { scoreToColor } from '../utils/poseSimilarity';
+import { dancerLabel, dancerColor, referenceLabel } from '../utils/poseTracker';
+
+/**
+ * Dancer Assignment — Who in the webcam copies which reference dancer, with
+ * each dancer's live score and the group's formation score. Click a dancer to
+ * show their breakdown below.
+ */
+export default function DancerAssignment({ dancerCount, refDancers, assignments, onAssign, comparisons, formation, viewDancer, onViewDancer, disabled }) {
+    return (
+        <div className="card dancer-bar">
+            <span style={{ fontSize: '13px', fontWeight: 600, color: 'var(--text-secondary)', whiteSpace: 'nowrap' }}>👥 Dancers</span>
+            {Array.from({ length: dancerCount }, (_, d) => {
+                const score = comparisons[d]?.overall;
+                return (
+                    <div key={d} className={`dancer-chip ${viewDancer === d ? 'active' : ''}`} onClick={() => onViewDancer(d)}
+                        style={{ borderColor: viewDancer === d ? dancerColor(d) : undefined }}>
+                        <span className="dancer-dot" style={{ background: dancerColor(d) }} />
+                        <span style={{ fontWeight: 600 }}>{dancerLabel(d)}</span>
+                        {refDancers > 1 && (
+                            <select className="control-select" value={assignments[d] ?? 0} disabled={disabled}
+                                onClick={(e) => e.stopPropagation()}
+                                onChange={(e) => onAssign(d, Number(e.target.value))}
+                                title="Reference dancer this person copies">
+                                {Array.from({ length: refDancers }, (_, r) => (
+                                    <option key={r} value={r}>copies {referenceLabel(r)}</option>
+                                ))}
+                            </select>
+                        )}
+                        {score !== undefined && (
+                            <span style={{ fontWeight: 800, color: scoreToColor(score) }}>{Math.round(score)}%</span>
+                        )}
+                    </div>
+                );
+            })}
+            {formation && (
+                <span className="badge" title="How well the group's layout and spacing match the reference">
+                    📐 Formation <strong style={{ color: scoreToColor(formation.score) }}>{Math.round(formation.score)}%</strong>
+                    {formation.spacing.label !== 'well spaced' && ` · ${formation.spacing.label}`}
+                </span>
+            )}
+        </div>
+    );
+}
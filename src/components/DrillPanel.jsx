@@ -0,0 +1,70 @@
+import { scoreToColor } from '../utils/poseSimilarity';
+
+/**
+ * Drill Panel — Focused practice on one worst moment from the review.
+ *
+ * Shows what is being drilled, each repetition's score for the weak body parts,
+ * and how the result compares to the original moment once the drill ends.
+ */
+export default function DrillPanel({ drill, repScores, result, isActive, onBackToReview, onExit }) {
+    const { start, end, beatLabel, labels, baseline, focusBaseline, target } = drill;
+
+    return (
+        <div className="card fade-in" style={{ marginBottom: '16px', border: '1px solid rgba(168,85,247,0.3)', background: 'var(--gradient-brand-subtle)' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '12px', flexWrap: 'wrap' }}>
+                <div>
+                    <div style={{ fontWeight: 700, fontSize: '1rem' }}>
+                        🎯 Drill: {beatLabel || `${formatTime(start)} – ${formatTime(end)}`}
+                    </div>
+                    <div style={{ fontSize: '0.82rem', color: 'var(--text-secondary)', marginTop: '2px' }}>
+                        Scoring only <strong>{labels.join(', ')}</strong> · target {target}% for a whole repetition
+                    </div>
+                    <div style={{ fontSize: '0.78rem', color: 'var(--text-muted)', marginTop: '2px' }}>
+                        Original moment: <span style={{ color: scoreToColor(baseline), fontWeight: 700 }}>{baseline}%</span>
+                        {' '}(these body parts: {focusBaseline}%)
+                    </div>
+                </div>
+                <div style={{ display: 'flex', gap: '8px' }}>
+                    {onBackToReview && !isActive && (
+                        <button className="btn btn-outline" onClick={onBackToReview} style={{ padding: '6px 16px', fontSize: '0.85rem' }}>← Back to Review</button>
+                    )}
+                    <button className="btn btn-outline" onClick={onExit} style={{ padding: '6px 16px', fontSize: '0.85rem' }}>✕ Exit Drill</button>
+                </div>
+            </div>
+
+            {repScores.length > 0 && (
+                <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', marginTop: '12px' }}>
+                    {repScores.map((score, i) => (
+                        <span key={i} style={{
+                            padding: '3px 10px', borderRadius: '999px',
+                            fontSize: '0.75rem', fontWeight: 600,
+                            background: `${scoreToColor(score)}20`,
+                            color: scoreToColor(score),
+                            border: `1px solid ${scoreToColor(score)}40`
+                        }}>
+                            Rep {i + 1}: {score === null ? '—' : `${Math.round(score)}%`}
+                        </span>
+                    ))}
+                </div>
+            )}
+
+            {result && (
+                <div style={{ marginTop: '12px', fontSize: '0.9rem', fontWeight: 600 }}>
+                    {result.passed
+                        ? `✅ Nailed it on rep ${result.reps}: ${Math.round(result.last)}% vs ${focusBaseline}% for these body parts in the original moment (${formatDelta(result.last - focusBaseline)}).`
+                        : `Best repetition ${Math.round(result.best)}% vs ${focusBaseline}% for these body parts in the original moment (${formatDelta(result.best - focusBaseline)}). Keep drilling — target is ${target}%.`}
+                </div>
+            )}
+        </div>
+    );
+}
+
+function formatDelta(delta) {
+    return `${delta >= 0 ? '+' : ''}${Math.round(delta)}`;
+}
+
+function formatTime(seconds) {
+    const m = Math.floor(seconds / 60);
+    const s = Math.floor(seconds % 60);
+    return `${m}:${s.toString().padStart(2, '0')}`;
+}
@@ -1,17 +1,22 @@
 import { useRef, useEffect, useState, useCallback, useMemo } from 'react';
-import { findWorstMoments } from '../utils/findWorstMoments';
+import { findWorstMoments, getWorstSegments } from '../utils/findWorstMoments';
 import { drawSkeleton } from '../utils/skeletonRenderer';
 import { scoreToColor } from '../utils/poseSimilarity';
+import { ensureSeekable } from '../utils/sessionRecorder';
+
+// Keep the user's footage within this many seconds of the sample being drawn
+const FOOTAGE_SYNC_TOLERANCE_SEC = 0.3;
 
 /**
  * ImprovementReview — Shows the 3 worst moments side-by-side:
  * Left: reference video clip seeked to that timestamp
- * Right: user's stored skeleton wireframe rendered on canvas
+ * Right: user's recorded webcam footage with the score-colored skeleton on top,
+ *        or just the stored skeleton wireframe when the session wasn't recorded
  *
- * Each moment can be played as a short clip or paused.
+ * Each moment can be played as a short clip or paused, or drilled in practice.
  */
-export default function ImprovementReview({ sessionData, videoFile }) {
-    const worstMoments = useMemo(() => findWorstMoments(sessionData, 3, 3), [sessionData]);
+export default function ImprovementReview({ sessionData, videoFile, recording, beatGrid, onDrill }) {
+    const worstMoments = useMemo(() => findWorstMoments(sessionData, 3, 3, beatGrid), [sessionData, beatGrid]);
     const [activeClip, setActiveClip] = useState(null); // index of currently playing clip
 
     if (!worstMoments || worstMoments.length === 0 || !videoFile) {
@@ -24,7 +29,7 @@ export default function ImprovementReview({ sessionData, videoFile }) {
                 🎬 Top {worstMoments.length} Areas to Improve
             </h3>
             <p style={{ fontSize: '0.85rem', color: 'var(--text-muted)', marginBottom: '16px' }}>
-                These are the moments where your pose differed most from the reference. Compare your skeleton (right) with the reference video (left).
+                These are the moments where your pose differed most from the reference. Compare {recording ? 'yourself' : 'your skeleton'} (right) with the reference video (left).
             </p>
             <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
                 {worstMoments.map((moment, idx) => (
@@ -33,8 +38,10 @@ export default function ImprovementReview({ sessionData, videoFile }) {
                         moment={moment}
                         index={idx}
                         videoFile={videoFile}
+                        recording={recording}
                         isActive={activeClip === idx}
                         onToggle={() => setActiveClip(activeClip === idx ? null : idx)}
+                        onDrill={onDrill}
                     />
                 ))}
             </div>
@@ -42,8 +49,9 @@ export default function ImprovementReview({ sessionData, videoFile }) {
     );
 }
 
-function MomentCard({ moment, index, videoFile, isActive, onToggle }) {
+function MomentCard({ moment, index, videoFile, recording, isActive, onToggle, onDrill }) {
     const videoRef = useRef(null);
+    const userVideoRef = useRef(null);
     const userCanvasRef = useRef(null);
     const refCanvasRef = useRef(null);
     const rafRef = useRef(null);
@@ -51,6 +59,9 @@ function MomentCard({ moment, index, videoFile, isActive, onToggle }) {
     const [isPlaying, setIsPlaying] = useState(false);
 
     const { startVideoTime, endVideoTime, avgScore, samples } = moment;
+    const worstSegments = useMemo(() => getWorstSegments(samples), [samples]);
+    const hasFootage = !!recording && samples.some(s => s.recordingTime !== null && s.recordingTime !== undefined);
+    const footageStart = hasFootage ? samples.find(s => s.recordingTime !== null && s.recordingTime !== undefined).recordingTime : 0;
 
     // Set up video source
     useEffect(() => {
@@ -61,6 +72,30 @@ function MomentCard({ moment, index, videoFile, isActive, onToggle }) {
         return () => URL.revokeObjectURL(url);
     }, [videoFile, startVideoTime]);
 
+    // Set up the user's recorded footage, seeked to the start of the moment
+    useEffect(() => {
+        const video = userVideoRef.current;
+        if (!video || !hasFootage) return;
+        const url = URL.createObjectURL(recording.blob);
+        const handleMetadata = () => {
+            ensureSeekable(video).then(() => { video.currentTime = footageStart; });
+        };
+        video.addEventListener('loadedmetadata', handleMetadata, { once: true });
+        video.src = url;
+        return () => {
+            video.removeEventListener('loadedmetadata', handleMetadata);
+            URL.revokeObjectURL(url);
+        };
+    }, [recording, hasFootage, footageStart]);
+
+    // Seek the footage to a sample's recording time when it has drifted
+    const syncFootage = useCallback((sampleIdx, force = false) => {
+        const video = userVideoRef.current;
+        const t = samples[sampleIdx]?.recordingTime;
+        if (!video || !hasFootage || t === null || t === undefined) return;
+        if (force || Math.abs(video.currentTime - t) > FOOTAGE_SYNC_TOLERANCE_SEC) video.currentTime = t;
+    }, [samples, hasFootage]);
+
     // Draw the user skeleton for the current sample
     const drawUserSkeleton = useCallback((sampleIdx) => {
         const canvas = userCanvasRef.current;
@@ -70,24 +105,33 @@ function MomentCard({ moment, index, videoFile, isActive, onToggle }) {
         const w = canvas.width;
         const h = canvas.height;
 
-        // Dark background
-        ctx.fillStyle = '#0b0d1a';
-        ctx.fillRect(0, 0, w, h);
-
-        // Draw grid for context
-        ctx.strokeStyle = 'rgba(165, 168, 208, 0.06)';
-        ctx.lineWidth = 1;
-        for (let x = 0; x < w; x += 40) {
-            ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, h); ctx.stroke();
-        }
-        for (let y = 0; y < h; y += 40) {
-            ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(w, y); ctx.stroke();
+        if (hasFootage) {
+            // Skeleton goes on top of the recorded footage
+            ctx.clearRect(0, 0, w, h);
+        } else {
+            // Dark background
+            ctx.fillStyle = '#0b0d1a';
+            ctx.fillRect(0, 0, w, h);
+
+            // Draw grid for context
+            ctx.strokeStyle = 'rgba(165, 168, 208, 0.06)';
+            ctx.lineWidth = 1;
+            for (let x = 0; x < w; x += 40) {
+                ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, h); ctx.stroke();
+            }
+            for (let y = 0; y < h; y += 40) {
+                ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(w, y); ctx.stroke();
+            }
         }
 
-        // Draw user skeleton with score-based colors
+        // Draw user skeleton with score-based colors, flipped to match mirrored footage
         const sample = samples[sampleIdx];
         if (sample.userPose) {
+            const flip = hasFootage && recording.mirrored;
+            ctx.save();
+            if (flip) { ctx.translate(w, 0); ctx.scale(-1, 1); }
             drawSkeleton(ctx, sample.userPose, w, h, sample.segments, '#ec4899');
+            ctx.restore();
         }
 
         // Score badge on canvas
@@ -100,7 +144,7 @@ function MomentCard({ moment, index, videoFile, isActive, onToggle }) {
         ctx.fillStyle = color;
         ctx.textAlign = 'right';
         ctx.fillText(`${score}%`, w - 16, 28);
-    }, [samples]);
+    }, [samples, hasFootage, recording]);
 
     // Draw reference skeleton on canvas
     const drawRefSkeleton = useCallback((sampleIdx) => {
@@ -141,12 +185,24 @@ function MomentCard({ moment, index, videoFile, isActive, onToggle }) {
             videoRef.current.play().catch(() => {});
         }
 
+        // The footage covers the moment at the session's practice speed — play it at the rate
+        // that makes it span the same wall time as the reference clip
+        const userVideo = userVideoRef.current;
+        if (userVideo && hasFootage) {
+            const footageEnd = [...samples].reverse().find(s => s.recordingTime !== null && s.recordingTime !== undefined).recordingTime;
+            const rate = (footageEnd - footageStart) / Math.max(0.1, endVideoTime - startVideoTime);
+            userVideo.playbackRate = Math.min(4, Math.max(0.25, rate || 1));
+            userVideo.currentTime = footageStart;
+            userVideo.play().catch(() => {});
+        }
+
         const animate = (now) => {
             if (now - lastFrameTime >= frameInterval) {
                 frameIdx = (frameIdx + 1) % samples.length;
                 setCurrentSampleIdx(frameIdx);
                 drawUserSkeleton(frameIdx);
                 drawRefSkeleton(frameIdx);
+                syncFootage(frameIdx, frameIdx === 0);
                 lastFrameTime = now;
 
                 // Loop video
@@ -162,8 +218,9 @@ function MomentCard({ moment, index, videoFile, isActive, onToggle }) {
         return () => {
             if (rafRef.current) cancelAnimationFrame(rafRef.current);
             if (videoRef.current) videoRef.current.pause();
+            if (userVideo) userVideo.pause();
         };
-    }, [isPlaying, startVideoTime, endVideoTime, samples, drawUserSkeleton, drawRefSkeleton]);
+    }, [isPlaying, startVideoTime, endVideoTime, samples, drawUserSkeleton, drawRefSkeleton, syncFootage, hasFootage, footageStart]);
 
     // Stop video when clip ends
     useEffect(() => {
@@ -194,6 +251,7 @@ function MomentCard({ moment, index, videoFile, isActive, onToggle }) {
         if (videoRef.current && samples[idx]) {
             videoRef.current.currentTime = samples[idx].videoTime;
         }
+        syncFootage(idx, true);
     };
 
     const scoreColor = scoreToColor(avgScore);
@@ -213,20 +271,33 @@ function MomentCard({ moment, index, videoFile, isActive, onToggle }) {
                     </span>
                     <div>
                         <div style={{ fontWeight: 700, fontSize: '0.95rem' }}>
-                            Moment at {formatTime(startVideoTime)} – {formatTime(endVideoTime)}
+                            Moment at {moment.label || `${formatTime(startVideoTime)} – ${formatTime(endVideoTime)}`}
                         </div>
                         <div style={{ fontSize: '0.78rem', color: 'var(--text-muted)' }}>
+                            {moment.label && `${formatTime(startVideoTime)} – ${formatTime(endVideoTime)} · `}
                             Average accuracy: <span style={{ color: scoreColor, fontWeight: 700 }}>{avgScore}%</span>
                         </div>
                     </div>
                 </div>
-                <button
-                    className={`btn ${isPlaying ? 'btn-danger' : 'btn-primary'}`}
-                    onClick={togglePlay}
-                    style={{ padding: '6px 16px', fontSize: '0.85rem' }}
-                >
-                    {isPlaying ? '⏸ Pause' : '▶ Play Clip'}
-                </button>
+                <div style={{ display: 'flex', gap: '8px' }}>
+                    {onDrill && (
+                        <button
+                            className="btn btn-outline"
+                            onClick={() => onDrill(moment, worstSegments)}
+                            style={{ padding: '6px 16px', fontSize: '0.85rem' }}
+                            title="Loop this moment slowly in practice, scoring only the weak body parts"
+                        >
+                            🎯 Drill this
+                        </button>
+                    )}
+                    <button
+                        className={`btn ${isPlaying ? 'btn-danger' : 'btn-primary'}`}
+                        onClick={togglePlay}
+                        style={{ padding: '6px 16px', fontSize: '0.85rem' }}
+                    >
+                        {isPlaying ? '⏸ Pause' : '▶ Play Clip'}
+                    </button>
+                </div>
             </div>
 
             {/* Side-by-side comparison */}
@@ -256,13 +327,24 @@ function MomentCard({ moment, index, videoFile, isActive, onToggle }) {
                     </span>
                 </div>
 
-                {/* User skeleton */}
+                {/* User footage (when recorded) + skeleton */}
                 <div style={{ position: 'relative', borderRadius: '12px', overflow: 'hidden', background: '#0b0d1a', aspectRatio: '16/10' }}>
+                    {hasFootage && (
+                        <video
+                            ref={userVideoRef}
+                            playsInline
+                            muted
+                            style={{
+                                position: 'absolute', top: 0, left: 0, width: '100%', height: '100%',
+                                objectFit: 'fill', transform: recording.mirrored ? 'scaleX(-1)' : 'none'
+                            }}
+                        />
+                    )}
                     <canvas
                         ref={userCanvasRef}
                         width={640}
                         height={400}
-                        style={{ width: '100%', height: '100%' }}
+                        style={{ position: 'relative', width: '100%', height: '100%' }}
                     />
                     <span style={{
                         position: 'absolute', top: '8px', left: '8px',
@@ -271,7 +353,7 @@ function MomentCard({ moment, index, videoFile, isActive, onToggle }) {
                         background: 'rgba(0,0,0,0.7)', color: '#ec4899',
                         backdropFilter: 'blur(8px)'
                     }}>
-                        🎥 Your Pose
+                        🎥 {hasFootage ? 'You' : 'Your Pose'}
                     </span>
                 </div>
             </div>
@@ -296,7 +378,7 @@ function MomentCard({ moment, index, videoFile, isActive, onToggle }) {
 
             {/* Worst body parts in this moment */}
             <div style={{ marginTop: '10px', display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
-                {getWorstSegments(samples).map((seg, i) => (
+                {worstSegments.map((seg, i) => (
                     <span key={i} style={{
                         padding: '3px 10px', borderRadius: '999px',
                         fontSize: '0.72rem', fontWeight: 600,
@@ -317,34 +399,3 @@ function formatTime(seconds) {
     const s = Math.floor(seconds % 60);
     return `${m}:${s.toString().padStart(2, '0')}`;
 }
-
-function getWorstSegments(samples) {
-    const segTotals = {};
-    const BODY_SEGMENTS = {
-        leftArm: { label: 'Left Arm', emoji: '💪' },
-        rightArm: { label: 'Right Arm', emoji: '💪' },
-        leftLeg: { label: 'Left Leg', emoji: '🦵' },
-        rightLeg: { label: 'Right Leg', emoji: '🦵' },
-        torso: { label: 'Torso', emoji: '🫁' },
-        head: { label: 'Head', emoji: '🗣️' },
-    };
-
-    for (const sample of samples) {
-        for (const [key, score] of Object.entries(sample.segments)) {
-            if (score === null) continue;
-            if (!segTotals[key]) segTotals[key] = { sum: 0, count: 0 };
-            segTotals[key].sum += score;
-            segTotals[key].count++;
-        }
-    }
-
-    return Object.entries(segTotals)
-        .map(([key, { sum, count }]) => ({
-            key,
-            avg: sum / count,
-            label: BODY_SEGMENTS[key]?.label || key,
-            emoji: BODY_SEGMENTS[key]?.emoji || '•',
-        }))
-        .sort((a, b) => a.avg - b.avg)
-        .slice(0, 3);
-}
@@ -0,0 +1,83 @@
+import { useEffect, useRef, useState } from 'react';
+
+const REP_OPTIONS = [2, 4, 8];
+
+/**
+ * Loop Controls — Reference timeline with A/B loop markers and repetition count.
+ *
+ * Markers are set at the reference's current position; click the timeline to
+ * scrub there first. A loop only counts once B is after A.
+ */
+export default function LoopControls({ playerRef, duration, markers, onMarkersChange, reps, onRepsChange, disabled }) {
+    const trackRef = useRef(null);
+    const [currentTime, setCurrentTime] = useState(0);
+
+    // Follow the reference playhead
+    useEffect(() => {
+        const id = setInterval(() => {
+            setCurrentTime(playerRef.current?.getCurrentTime() || 0);
+        }, 200);
+        return () => clearInterval(id);
+    }, [playerRef]);
+
+    if (!duration) return null;
+
+    const { a, b } = markers;
+    const pct = (t) => `${Math.max(0, Math.min(100, (t / duration) * 100))}%`;
+
+    const handleTrackClick = (e) => {
+        if (disabled || !trackRef.current) return;
+        const rect = trackRef.current.getBoundingClientRect();
+        const t = ((e.clientX - rect.left) / rect.width) * duration;
+        playerRef.current?.seekTo(Math.max(0, Math.min(duration, t)));
+        setCurrentTime(t);
+    };
+
+    const setA = () => {
+        const t = playerRef.current?.getCurrentTime() || 0;
+        onMarkersChange({ a: t, b: b !== null && b > t ? b : null });
+    };
+
+    const setB = () => {
+        const t = playerRef.current?.getCurrentTime() || 0;
+        if (a !== null && t <= a) return;
+        onMarkersChange({ a: a ?? 0, b: t });
+    };
+
+    return (
+        <div className="card loop-bar">
+            <span style={{ fontSize: '13px', fontWeight: 600, color: 'var(--text-secondary)', whiteSpace: 'nowrap' }}>🔁 Loop</span>
+            <div ref={trackRef} className={`loop-track ${disabled ? 'disabled' : ''}`} onClick={handleTrackClick}>
+                {a !== null && b !== null && (
+                    <div className="loop-range" style={{ left: pct(a), width: `calc(${pct(b)} - ${pct(a)})` }} />
+                )}
+                {a !== null && <div className="loop-marker" style={{ left: pct(a) }}>A</div>}
+                {b !== null && <div className="loop-marker" style={{ left: pct(b) }}>B</div>}
+                <div className="loop-playhead" style={{ left: pct(currentTime) }} />
+            </div>
+            <span className="loop-time">{formatTime(currentTime)}</span>
+            <div className="controls-group">
+                <button className={`speed-btn ${a !== null ? 'active' : ''}`} onClick={setA} disabled={disabled}>
+                    A {a !== null ? formatTime(a) : ''}
+                </button>
+                <button className={`speed-btn ${b !== null ? 'active' : ''}`} onClick={setB} disabled={disabled}>
+                    B {b !== null ? formatTime(b) : ''}
+                </button>
+                {REP_OPTIONS.map(n => (
+                    <button key={n} className={`speed-btn ${reps === n ? 'active' : ''}`} onClick={() => onRepsChange(n)} disabled={disabled}>
+                        {n}×
+                    </button>
+                ))}
+                {(a !== null || b !== null) && (
+                    <button className="speed-btn" onClick={() => onMarkersChange({ a: null, b: null })} disabled={disabled} title="Clear loop">✕</button>
+                )}
+            </div>
+        </div>
+    );
+}
+
+function formatTime(seconds) {
+    const m = Math.floor(seconds / 60);
+    const s = (seconds % 60).toFixed(1);
+    return `${m}:${s.padStart(4, '0')}`;
+}
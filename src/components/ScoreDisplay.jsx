@@ -1,6 +1,7 @@
 import { BODY_SEGMENTS, scoreToColor, scoreToLabel, scoreToGrade } from '../utils/poseSimilarity';
+import { describeTimingOffset, isOnTime } from '../utils/poseAlignment';
 
-export default function ScoreDisplay({ comparison, isActive }) {
+export default function ScoreDisplay({ comparison, isActive, segmentKeys = null }) {
     if (!comparison) {
         return (
             <div className="card score-bar" id="score-display">
@@ -20,7 +21,7 @@ export default function ScoreDisplay({ comparison, isActive }) {
         );
     }
 
-    const { overall, segments } = comparison;
+    const { overall, segments, alignment, accents, angleErrors } = comparison;
     const color = scoreToColor(overall);
     const label = scoreToLabel(overall);
     const grade = scoreToGrade(overall);
@@ -35,23 +36,54 @@ export default function ScoreDisplay({ comparison, isActive }) {
                     </div>
                 </div>
 
-                <div className="segments-grid">
-                    {Object.entries(BODY_SEGMENTS).map(([key, seg]) => {
-                        const score = segments[key];
-                        const segColor = scoreToColor(score);
-                        return (
-                            <div className="segment-item" key={key}>
-                                <div className="segment-emoji">{seg.emoji}</div>
-                                <div className="segment-label">{seg.label}</div>
-                                <div className="segment-score" style={{ color: segColor }}>
-                                    {score !== null ? Math.round(score) : '—'}
-                                </div>
-                                <div className="segment-bar">
-                                    <div className="segment-bar-fill" style={{ width: `${score || 0}%`, background: segColor }} />
+                <div>
+                    <div className="segments-grid">
+                        {Object.entries(BODY_SEGMENTS).filter(([key]) => !segmentKeys || segmentKeys.includes(key)).map(([key, seg]) => {
+                            const score = segments[key];
+                            const segColor = scoreToColor(score);
+                            const segAlign = alignment?.segments[key];
+                            const angleError = angleErrors?.[key];
+                            return (
+                                <div className="segment-item" key={key}>
+                                    <div className="segment-emoji">{seg.emoji}</div>
+                                    <div className="segment-label">{seg.label}</div>
+                                    <div className="segment-score" style={{ color: segColor }}>
+                                        {score !== null ? Math.round(score) : '—'}
+                                    </div>
+                                    <div className="segment-bar">
+                                        <div className="segment-bar-fill" style={{ width: `${score || 0}%`, background: segColor }} />
+                                    </div>
+                                    {angleError != null && angleError >= 10 && (
+                                        <div className="segment-angle">{Math.round(angleError)}° off</div>
+                                    )}
+                                    {segAlign && !isOnTime(segAlign.offsetMs) && (
+                                        <div className="segment-timing">{describeTimingOffset(segAlign.offsetMs)}</div>
+                                    )}
                                 </div>
-                            </div>
-                        );
-                    })}
+                            );
+                        })}
+                    </div>
+                    {(alignment || accents) && (
+                        <div className="timing-line">
+                            {alignment && (
+                                <>
+                                    Shape <strong style={{ color: scoreToColor(alignment.shape) }}>{Math.round(alignment.shape)}</strong>
+                                    {' · '}
+                                    Timing <strong>{describeTimingOffset(alignment.offsetMs)}</strong>
+                                </>
+                            )}
+                            {alignment && accents && ' · '}
+                            {accents && (
+                                <span title={`${accents.matched} of ${accents.hits} reference hits matched in the last few seconds`}>
+                                    On-beat <strong style={{ color: scoreToColor(accents.score) }}>{Math.round(accents.score)}</strong>
+                                    {accents.offsetMs !== null && !isOnTime(accents.offsetMs) && ` (hits ${describeTimingOffset(accents.offsetMs)})`}
+                                </span>
+                            )}
+                            {alignment && alignment.shape >= 70 && !isOnTime(alignment.offsetMs) && (
+                                <span style={{ color: 'var(--text-muted)' }}> — right moves, {alignment.offsetMs > 0 ? 'just behind' : 'just ahead of'} the reference</span>
+                            )}
+                        </div>
+                    )}
                 </div>
 
                 <div className="score-grade" style={{ color }}>{grade}</div>
@@ -0,0 +1,185 @@
+import { useEffect, useMemo, useState, useCallback } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { BODY_SEGMENTS, SCORERS, scoreToColor } from '../utils/poseSimilarity';
+import { listRoutines, listSessions, deleteSession, buildProgressSeries, isFullRun } from '../utils/sessionStore';
+import { MIRROR_MODE_LABELS } from '../utils/mirrorScoring';
+import { SCORING_PROFILES } from '../utils/scoringProfiles';
+
+const SEGMENT_COLORS = {
+    leftArm: '#38bdf8',
+    rightArm: '#818cf8',
+    leftLeg: '#22c55e',
+    rightLeg: '#84cc16',
+    torso: '#f59e0b',
+    head: '#ec4899',
+    leftHand: '#2dd4bf',
+    rightHand: '#c084fc',
+    leftFoot: '#facc15',
+    rightFoot: '#fb7185',
+};
+
+/**
+ * Session History — Per-routine progress across attempts, from the local session store.
+ */
+export default function SessionHistory({ initialRoutineId, onClose }) {
+    const [routines, setRoutines] = useState(null);
+    const [selectedId, setSelectedId] = useState(initialRoutineId || null);
+    const [sessions, setSessions] = useState([]);
+
+    useEffect(() => {
+        let cancelled = false;
+        listRoutines().then(list => {
+            if (cancelled) return;
+            setRoutines(list);
+            setSelectedId(id => (id && list.some(r => r.routineId === id)) ? id : list[0]?.routineId || null);
+        });
+        return () => { cancelled = true; };
+    }, []);
+
+    const loadSessions = useCallback(() => {
+        if (!selectedId) { setSessions([]); return; }
+        listSessions(selectedId).then(setSessions);
+    }, [selectedId]);
+
+    useEffect(() => { loadSessions(); }, [loadSessions]);
+
+    const series = useMemo(() => buildProgressSeries(sessions), [sessions]);
+
+    const handleDelete = async (id) => {
+        await deleteSession(id);
+        loadSessions();
+        listRoutines().then(setRoutines);
+    };
+
+    if (routines === null) {
+        return <div className="card fade-in"><div className="loading-text">Loading history…</div></div>;
+    }
+
+    const header = (
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '24px' }}>
+            <h2 style={{ fontSize: '1.5rem' }}>📈 Progress History</h2>
+            {onClose && <button className="btn btn-outline" onClick={onClose}>← Back</button>}
+        </div>
+    );
+
+    if (routines.length === 0) {
+        return (
+            <div className="fade-in" id="session-history">
+                {header}
+                <div className="card">
+                    <p style={{ color: 'var(--text-muted)' }}>No saved sessions yet. Finish a practice session and it will show up here.</p>
+                </div>
+            </div>
+        );
+    }
+
+    // Progress is measured on whole run-throughs; section loops are listed but not compared with them
+    const runs = sessions.filter(isFullRun);
+    const loopCount = sessions.length - runs.length;
+    const first = runs[0];
+    const latest = runs[runs.length - 1];
+    const best = runs.reduce((b, s) => (!b || s.overallAvg > b.overallAvg ? s : b), null);
+    const change = first && latest && runs.length > 1 ? latest.overallAvg - first.overallAvg : null;
+
+    return (
+        <div className="fade-in" id="session-history">
+            {header}
+
+            {/* Routine picker */}
+            <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '16px' }}>
+                {routines.map(r => (
+                    <button key={r.routineId}
+                        className={`nav-btn ${selectedId === r.routineId ? 'active' : ''}`}
+                        onClick={() => setSelectedId(r.routineId)}
+                        title={`Last practiced ${new Date(r.lastPracticed).toLocaleString()}`}>
+                        🎵 {r.routineName} <span style={{ color: 'var(--text-muted)' }}>({r.attempts})</span>
+                    </button>
+                ))}
+            </div>
+
+            {latest && (
+                <div className="card summary-grid" style={{ marginBottom: '16px' }}>
+                    <div className="summary-stat">
+                        <div className="summary-value">{runs.length}</div>
+                        <div className="summary-label">Run-throughs{loopCount > 0 ? ` (+${loopCount} loop${loopCount > 1 ? 's' : ''})` : ''}</div>
+                    </div>
+                    <div className="summary-stat">
+                        <div className="summary-value" style={{ color: scoreToColor(latest.overallAvg) }}>{Math.round(latest.overallAvg)}%</div>
+                        <div className="summary-label">Latest</div>
+                    </div>
+                    <div className="summary-stat">
+                        <div className="summary-value" style={{ color: scoreToColor(best.overallAvg) }}>{Math.round(best.overallAvg)}%</div>
+                        <div className="summary-label">Best</div>
+                    </div>
+                    <div className="summary-stat">
+                        <div className="summary-value" style={{ color: change === null ? 'var(--text-muted)' : change >= 0 ? '#22c55e' : '#ef4444' }}>
+                            {change === null ? '—' : `${change >= 0 ? '+' : ''}${Math.round(change)}`}
+                        </div>
+                        <div className="summary-label">Since First Attempt</div>
+                    </div>
+                </div>
+            )}
+
+            {/* Progress chart */}
+            {series.length > 1 && (
+                <div className="card" style={{ marginBottom: '16px' }}>
+                    <div className="card-title">Accuracy Across Run-throughs</div>
+                    {loopCount > 0 && (
+                        <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)', marginBottom: '8px' }}>
+                            🔁 A/B loop sessions score one section, so they are listed below but not charted.
+                        </div>
+                    )}
+                    <div className="chart-container" style={{ height: '320px' }}>
+                        <ResponsiveContainer width="100%" height="100%">
+                            <LineChart data={series}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="rgba(165,168,208,0.08)" />
+                                <XAxis dataKey="attempt" tick={{ fill: '#6b6e99', fontSize: 11 }} label={{ value: 'Attempt', position: 'insideBottom', offset: -2, fill: '#6b6e99', fontSize: 11 }} />
+                                <YAxis domain={[0, 100]} tick={{ fill: '#6b6e99', fontSize: 11 }} />
+                                <Tooltip
+                                    labelFormatter={(attempt) => `Attempt ${attempt} · ${series[attempt - 1]?.date || ''}`}
+                                    contentStyle={{
+                                        background: '#161940', border: '1px solid rgba(165,168,208,0.15)',
+                                        borderRadius: '10px', color: '#f0f0ff'
+                                    }} />
+                                <Legend wrapperStyle={{ fontSize: 12 }} />
+                                <Line type="monotone" dataKey="overall" stroke="#a855f7" strokeWidth={3} dot name="Overall" />
+                                {Object.entries(BODY_SEGMENTS).map(([key, seg]) => (
+                                    <Line key={key} type="monotone" dataKey={key} stroke={SEGMENT_COLORS[key] || '#6b6e99'}
+                                        strokeWidth={1.5} dot={false} name={seg.label} connectNulls />
+                                ))}
+                            </LineChart>
+                        </ResponsiveContainer>
+                    </div>
+                </div>
+            )}
+
+            {/* Attempts */}
+            <div className="card">
+                <div className="card-title">Attempts</div>
+                {[...sessions].reverse().map((s, i) => (
+                    <div key={s.id} style={{
+                        display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px',
+                        padding: '10px 0', borderBottom: i < sessions.length - 1 ? '1px solid var(--border)' : 'none'
+                    }}>
+                        <div>
+                            <div style={{ fontWeight: 600, fontSize: '0.9rem' }}>{new Date(s.createdAt).toLocaleString()}</div>
+                            <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+                                {s.speed}× · {MIRROR_MODE_LABELS[s.mirrorMode] || s.mirrorMode}
+                                {s.scorer && SCORERS[s.scorer] ? ` · ${SCORERS[s.scorer].label}` : ''}
+                                {s.profile && SCORING_PROFILES[s.profile] ? ` · ${SCORING_PROFILES[s.profile].label}` : ''}
+                                {s.dancer ? ` · 👥 ${s.dancer.label}` : ''}
+                                {s.durationSec ? ` · ${Math.round(s.durationSec)}s` : ''}
+                                {s.loop ? ` · 🔁 ${s.loop.start.toFixed(1)}s–${s.loop.end.toFixed(1)}s ×${s.loop.reps}` : ''}
+                            </div>
+                        </div>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '14px' }}>
+                            <span style={{ fontWeight: 900, fontSize: '1.2rem', color: s.analysis?.overallGrade?.color }}>{s.grade}</span>
+                            <span style={{ fontWeight: 800, fontSize: '1.1rem', color: scoreToColor(s.overallAvg) }}>{Math.round(s.overallAvg)}%</span>
+                            <button className="speed-btn" onClick={() => handleDelete(s.id)} title="Delete this attempt">✕</button>
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
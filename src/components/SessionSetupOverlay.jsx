@@ -0,0 +1,27 @@
+/**
+ * Session Setup Overlay — Framing prompts, T-pose calibration and the countdown,
+ * drawn over the webcam panel before scoring starts.
+ */
+export default function SessionSetupOverlay({ setup }) {
+    if (!setup) return null;
+    const { phase, message, count, progress } = setup;
+
+    return (
+        <div className={`setup-overlay ${phase === 'countdown' ? 'countdown' : ''}`}>
+            {phase === 'countdown' ? (
+                <div key={count} className="setup-count fade-in">{count}</div>
+            ) : (
+                <>
+                    <div style={{ fontSize: '2.5rem', marginBottom: '12px' }}>{phase === 'calibrating' ? '🧍' : '📐'}</div>
+                    <div className="setup-title">{phase === 'calibrating' ? 'Calibration' : 'Framing check'}</div>
+                    <div className={`setup-message ${setup.ok ? 'ok' : ''}`}>{message}</div>
+                    {progress !== undefined && (
+                        <div className="progress-bar">
+                            <div className="progress-fill" style={{ width: `${progress * 100}%` }} />
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
@@ -1,15 +1,31 @@
-import { useMemo } from 'react';
+import { useMemo, useState } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
 import { BODY_SEGMENTS, scoreToColor } from '../utils/poseSimilarity';
 import { analyzeSession } from '../utils/feedbackEngine';
 import ImprovementReview from './ImprovementReview';
+import { formatBeatPosition, hasBeats } from '../utils/beatGrid';
+import { describeTimingOffset } from '../utils/poseAlignment';
+import { dancerLabel, dancerColor } from '../utils/poseTracker';
 
 /**
  * Session Summary — Shows grouped mistake analysis with actionable feedback,
  * plus the new Improvement Review showing the 3 worst moments.
  */
-export default function SessionSummary({ sessionData, videoFile, onClose }) {
-    const analysis = useMemo(() => analyzeSession(sessionData), [sessionData]);
+export default function SessionSummary({ sessionData, videoFile, recording, cueStats = null, beatGrid, voice = null, dancerCount = 1, dancer = 0, onDancerChange, onClose, onShowHistory, onDrill }) {
+    // Corrections read the way the voice coach said them
+    const phrasing = useMemo(() => ({ locale: voice?.locale, danceTerms: voice?.danceTerms }), [voice?.locale, voice?.danceTerms]);
+    const analysis = useMemo(() => analyzeSession(sessionData, { beatGrid, ...phrasing }), [sessionData, beatGrid, phrasing]);
+
+    // A/B loop sessions: the same analysis per repetition
+    const repetitions = useMemo(() => {
+        const byRep = new Map();
+        for (const d of sessionData || []) {
+            if (!d.rep) continue;
+            if (!byRep.has(d.rep)) byRep.set(d.rep, []);
+            byRep.get(d.rep).push(d);
+        }
+        return [...byRep.entries()].map(([rep, data]) => ({ rep, samples: data.length, analysis: analyzeSession(data, { beatGrid, ...phrasing }) }));
+    }, [sessionData, beatGrid, phrasing]);
 
     const chartData = useMemo(() => {
         if (!sessionData || sessionData.length === 0) return [];
@@ -18,28 +34,47 @@ export default function SessionSummary({ sessionData, videoFile, onClose }) {
         return sessionData
             .filter((_, i) => i % sampleInterval === 0)
             .map((d) => ({
-                time: `${Math.round((d.timestamp - startTime) / 1000)}s`,
+                time: formatBeatPosition(beatGrid, d.videoTime, true) || `${Math.round((d.timestamp - startTime) / 1000)}s`,
                 score: Math.round(d.overall)
             }));
-    }, [sessionData]);
+    }, [sessionData, beatGrid]);
+
+    // Group sessions: one summary per dancer
+    const dancerTabs = dancerCount > 1 && (
+        <div className="dancer-tabs">
+            {Array.from({ length: dancerCount }, (_, d) => (
+                <button key={d} className={`toggle-btn ${dancer === d ? 'active' : ''}`} onClick={() => onDancerChange?.(d)}
+                    style={dancer === d ? { borderColor: dancerColor(d), color: dancerColor(d) } : undefined}>
+                    {dancerLabel(d)}
+                </button>
+            ))}
+        </div>
+    );
 
     if (!analysis || analysis.overallGrade === 'N/A') {
         return (
-            <div className="card fade-in">
-                <div className="card-title">Session Summary</div>
-                <p style={{ color: 'var(--text-muted)' }}>Not enough data for feedback. Try a longer session!</p>
+            <div className="fade-in">
+                {dancerTabs}
+                <div className="card">
+                    <div className="card-title">Session Summary</div>
+                    <p style={{ color: 'var(--text-muted)' }}>Not enough data for feedback. Try a longer session!</p>
+                </div>
             </div>
         );
     }
 
-    const { overallGrade, overallAvg, focusAreas, strengths, timeline, tips } = analysis;
+    const { overallGrade, overallAvg, focusAreas, strengths, timeline, tips, timing, accents, formation } = analysis;
 
     return (
         <div className="fade-in" id="session-summary">
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '24px' }}>
                 <h2 style={{ fontSize: '1.5rem' }}>📊 Session Feedback</h2>
-                {onClose && <button className="btn btn-outline" onClick={onClose}>← Back to Practice</button>}
+                <div style={{ display: 'flex', gap: '8px' }}>
+                    {onShowHistory && <button className="btn btn-outline" onClick={onShowHistory}>📈 Progress</button>}
+                    {onClose && <button className="btn btn-outline" onClick={onClose}>← Back to Practice</button>}
+                </div>
             </div>
+            {dancerTabs}
 
             {/* Overall Grade */}
             <div className="card" style={{ textAlign: 'center', marginBottom: '16px', padding: '32px' }}>
@@ -48,10 +83,23 @@ export default function SessionSummary({ sessionData, videoFile, onClose }) {
                 <div style={{ fontSize: '0.9rem', color: 'var(--text-muted)', marginTop: '4px' }}>
                     Average accuracy: {Math.round(overallAvg)}%
                 </div>
+                {timing && (
+                    <div style={{ fontSize: '0.85rem', color: 'var(--text-secondary)', marginTop: '4px' }}>
+                        Shape accuracy: {Math.round(timing.shapeAvg)}% · Timing: {timing.label}
+                    </div>
+                )}
+                {accents && (
+                    <div style={{ fontSize: '0.85rem', color: 'var(--text-secondary)', marginTop: '4px' }}>
+                        On-beat: <span style={{ color: scoreToColor(accents.score), fontWeight: 700 }}>{Math.round(accents.score)}%</span>
+                        {' '}({accents.matched}/{accents.hits} hits{accents.offsetMs !== null ? `, ${describeTimingOffset(accents.offsetMs)}` : ''})
+                    </div>
+                )}
             </div>
 
+            {repetitions.length > 0 && <RepetitionBreakdown repetitions={repetitions} />}
+
             {/* ─── NEW: Improvement Review (Top 3 Worst Moments) ─── */}
-            <ImprovementReview sessionData={sessionData} videoFile={videoFile} />
+            <ImprovementReview sessionData={sessionData} videoFile={videoFile} recording={recording} beatGrid={beatGrid} onDrill={onDrill} />
 
             {/* Key Takeaways */}
             <div className="card" style={{ marginBottom: '16px', border: '1px solid rgba(168,85,247,0.2)', background: 'var(--gradient-brand-subtle)' }}>
@@ -164,10 +212,77 @@ export default function SessionSummary({ sessionData, videoFile, onClose }) {
                 </div>
             )}
 
+            {/* Formation — group sessions only */}
+            {formation && (
+                <div style={{ marginBottom: '16px' }}>
+                    <h3 style={{ fontSize: '1.1rem', marginBottom: '12px' }}>
+                        📐 Formation{' '}
+                        <span style={{ color: scoreToColor(formation.score) }}>{Math.round(formation.score)}%</span>
+                        {formation.placement !== null && (
+                            <span style={{ fontSize: '0.85rem', color: 'var(--text-muted)', fontWeight: 500 }}>
+                                {' '}· your spot {Math.round(formation.placement)}%
+                            </span>
+                        )}
+                        {formation.spacing && (
+                            <span style={{ fontSize: '0.85rem', color: 'var(--text-muted)', fontWeight: 500 }}> · {formation.spacing.label}</span>
+                        )}
+                    </h3>
+                    <div style={{ display: 'grid', gridTemplateColumns: `repeat(${Math.min(formation.phases.length, 4)}, 1fr)`, gap: '8px' }}>
+                        {formation.phases.map((phase, i) => (
+                            <div key={i} className="card" style={{ textAlign: 'center', padding: '14px' }}>
+                                <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginBottom: '4px' }}>{phase.label}</div>
+                                <div style={{ fontSize: '1.5rem', fontWeight: 800, color: scoreToColor(phase.score) }}>{phase.score}%</div>
+                                {phase.placement !== null && (
+                                    <div style={{ fontSize: '0.7rem', color: scoreToColor(phase.placement), marginTop: '4px' }}>
+                                        Your spot: {phase.placement}%
+                                    </div>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {/* Coaching cues — what the voice coach said and whether it helped */}
+            {cueStats?.total > 0 && (
+                <div style={{ marginBottom: '16px' }}>
+                    <h3 style={{ fontSize: '1.1rem', marginBottom: '12px' }}>
+                        🗣️ Coaching Cues ({cueStats.total})
+                        {cueStats.measured > 0 && (
+                            <span style={{ fontSize: '0.85rem', color: 'var(--text-muted)', fontWeight: 500 }}>
+                                {' '}· {cueStats.improved} of {cueStats.measured} corrections followed by improvement
+                            </span>
+                        )}
+                    </h3>
+                    <div className="card">
+                        {cueStats.byCue.map((c, i) => (
+                            <div key={i} style={{
+                                display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px',
+                                padding: '10px 0', borderBottom: i < cueStats.byCue.length - 1 ? '1px solid var(--border)' : 'none'
+                            }}>
+                                <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+                                    <span>{c.segment ? BODY_SEGMENTS[c.segment]?.emoji : '👏'}</span>
+                                    <div>
+                                        <div style={{ fontWeight: 600, fontSize: '0.9rem' }}>{c.segment ? BODY_SEGMENTS[c.segment]?.label : 'Praise'} · {c.count}×</div>
+                                        <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>“{c.text}”</div>
+                                    </div>
+                                </div>
+                                {c.change !== null && (
+                                    <span style={{ fontSize: '0.8rem', whiteSpace: 'nowrap', color: c.change >= 0 ? '#22c55e' : '#ef4444' }}
+                                        title="Mean change in this segment's score in the seconds after the cue">
+                                        {c.improved}/{c.measured} improved · {c.change >= 0 ? '+' : ''}{c.change}
+                                    </span>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
             {/* Chart */}
             {chartData.length > 2 && (
                 <div className="card">
-                    <div className="card-title">Accuracy Over Time</div>
+                    <div className="card-title">Accuracy Over Time{hasBeats(beatGrid) && ' (bar·count)'}</div>
                     <div className="chart-container">
                         <ResponsiveContainer width="100%" height="100%">
                             <LineChart data={chartData}>
@@ -187,3 +302,67 @@ export default function SessionSummary({ sessionData, videoFile, onClose }) {
         </div>
     );
 }
+
+function RepetitionBreakdown({ repetitions }) {
+    const [expanded, setExpanded] = useState(null);
+    const scored = repetitions.filter(r => r.analysis.overallGrade !== 'N/A');
+    const first = scored[0];
+    const last = scored[scored.length - 1];
+
+    return (
+        <div style={{ marginBottom: '16px' }}>
+            <h3 style={{ fontSize: '1.1rem', marginBottom: '12px' }}>🔁 Loop Repetitions</h3>
+            {scored.length > 1 && (
+                <p style={{ fontSize: '0.85rem', color: 'var(--text-muted)', marginBottom: '12px' }}>
+                    Rep {first.rep}: {Math.round(first.analysis.overallAvg)}% → Rep {last.rep}: {Math.round(last.analysis.overallAvg)}%
+                    {' '}({last.analysis.overallAvg >= first.analysis.overallAvg ? '+' : ''}{Math.round(last.analysis.overallAvg - first.analysis.overallAvg)})
+                </p>
+            )}
+            <div className="card" style={{ padding: '8px 20px' }}>
+                {repetitions.map(({ rep, analysis }, i) => {
+                    const ok = analysis.overallGrade !== 'N/A';
+                    const isOpen = expanded === rep;
+                    return (
+                        <div key={rep} style={{ padding: '10px 0', borderBottom: i < repetitions.length - 1 ? '1px solid var(--border)' : 'none' }}>
+                            <div style={{ display: 'flex', alignItems: 'center', gap: '14px', cursor: ok ? 'pointer' : 'default' }}
+                                onClick={() => ok && setExpanded(isOpen ? null : rep)}>
+                                <span style={{ fontWeight: 700, fontSize: '0.9rem', minWidth: '56px' }}>Rep {rep}</span>
+                                {ok ? (
+                                    <>
+                                        <span style={{ fontWeight: 900, fontSize: '1.2rem', color: analysis.overallGrade.color, minWidth: '24px' }}>{analysis.overallGrade.letter}</span>
+                                        <span style={{ fontWeight: 800, color: scoreToColor(analysis.overallAvg), minWidth: '44px' }}>{Math.round(analysis.overallAvg)}%</span>
+                                        <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', flex: 1 }}>
+                                            {Object.entries(analysis.segmentStats).map(([key, stat]) => (
+                                                <span key={key} style={{ fontSize: '0.72rem', color: scoreToColor(stat.avg) }} title={stat.label}>
+                                                    {BODY_SEGMENTS[key]?.emoji} {Math.round(stat.avg)}
+                                                </span>
+                                            ))}
+                                        </div>
+                                        <span style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>{isOpen ? '▲' : '▼'}</span>
+                                    </>
+                                ) : (
+                                    <span style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>Not enough data</span>
+                                )}
+                            </div>
+                            {isOpen && (
+                                <div style={{ marginTop: '8px', paddingLeft: '70px' }}>
+                                    {analysis.focusAreas.length === 0 && (
+                                        <p style={{ fontSize: '0.82rem', color: 'var(--text-secondary)', margin: 0 }}>All body parts above 70% on this repetition.</p>
+                                    )}
+                                    {analysis.focusAreas.map((area) => (
+                                        <p key={area.segment} style={{ fontSize: '0.82rem', color: 'var(--text-secondary)', margin: '0 0 4px 0' }}>
+                                            {area.emoji} <strong style={{ color: scoreToColor(area.avg) }}>{area.label} {Math.round(area.avg)}%</strong> — {area.feedback[0]}
+                                        </p>
+                                    ))}
+                                    {analysis.tips.slice(0, 2).map((tip, j) => (
+                                        <p key={j} style={{ fontSize: '0.8rem', color: 'var(--text-muted)', margin: '0 0 4px 0' }}>{tip.icon} {tip.text}</p>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
@@ -1,23 +1,67 @@
 import { useRef, useEffect, useState, useCallback, forwardRef, useImperativeHandle } from 'react';
-import { PoseLandmarker, FilesetResolver } from '@mediapipe/tasks-vision';
-import { drawSkeleton, smoothLandmarks, resetSmoothing } from '../utils/skeletonRenderer';
+import { drawSkeleton, drawDancerTag } from '../utils/skeletonRenderer';
+import { filterStream, DEFAULT_FILTER_SETTINGS } from '../utils/landmarkFilter';
+import { isTierAtLeast, MODEL_TIERS } from '../utils/landmarkerLoader';
+import { createPoseDetector } from '../utils/poseDetector';
+import { hashVideoFile, loadPoseTrack, savePoseTrack, extractPoseTrack, samplePoseTrack, sampleWorldPose } from '../utils/poseTrack';
+import { detectBeatGrid, loadBeatGrid, saveBeatGrid } from '../utils/beatGrid';
+import { createPoseTracker, updatePoseTracker, resetPoseTracker, referenceLabel, MAX_DANCERS } from '../utils/poseTracker';
 
-const MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task';
-const WASM_URL = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm';
+const REF_COLOR = '#38bdf8';
+const REF_TAG_COLOR = '#0284c7';
 
-const VideoPlayer = forwardRef(function VideoPlayer({ videoFile, speed, onPosesReady }, ref) {
+// Every reference dancer, tagged with their letter when there is more than one
+function drawDancers(ctx, poses, w, h) {
+    poses.forEach((landmarks, d) => {
+        if (!landmarks) return;
+        drawSkeleton(ctx, landmarks, w, h, null, REF_COLOR);
+        if (poses.length > 1) drawDancerTag(ctx, landmarks, w, h, referenceLabel(d), REF_TAG_COLOR);
+    });
+}
+
+const VideoPlayer = forwardRef(function VideoPlayer({ videoFile, speed, modelTier = 'full', muted = false, filterSettings = DEFAULT_FILTER_SETTINGS, onPosesReady, onRoutineReady, onBeatGrid, onDurationChange }, ref) {
     const videoRef = useRef(null);
     const canvasRef = useRef(null);
-    const landmarkerRef = useRef(null);
+    const detectorRef = useRef(null);
+    const inFlightRef = useRef(false);
+    const tierRef = useRef(null);
     const rafRef = useRef(null);
     const lastTimeRef = useRef(-1);
-    const currentPoseRef = useRef(null);
+    const lastFrameTimeRef = useRef(-1);
+    const currentPosesRef = useRef([]);
+    const currentWorldPosesRef = useRef([]);
+    const trackerRef = useRef(createPoseTracker(MAX_DANCERS));
+    const filtersRef = useRef(new Map());
+    const filterSettingsRef = useRef(filterSettings);
+    filterSettingsRef.current = filterSettings;
+    const trackRef = useRef(null);
+    const routineIdRef = useRef(null);
+    const beatGridRef = useRef(null);
+    const onRoutineReadyRef = useRef(onRoutineReady);
+    onRoutineReadyRef.current = onRoutineReady;
+    const onBeatGridRef = useRef(onBeatGrid);
+    onBeatGridRef.current = onBeatGrid;
 
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [prepareProgress, setPrepareProgress] = useState(null);
+    const [findingBeat, setFindingBeat] = useState(false);
 
     useImperativeHandle(ref, () => ({
-        getCurrentPose: () => currentPoseRef.current,
+        // With a prepared track the pose is looked up at the exact video time
+        getCurrentPose: (dancer = 0) => trackRef.current
+            ? samplePoseTrack(trackRef.current, videoRef.current?.currentTime || 0, dancer)
+            : currentPosesRef.current[dancer] || null,
+        getPoseAt: (t, dancer = 0) => samplePoseTrack(trackRef.current, t, dancer),
+        // Metric 3D landmarks (poseCorrections), from the track or the last live detection
+        getWorldPose: (dancer = 0) => trackRef.current
+            ? sampleWorldPose(trackRef.current, videoRef.current?.currentTime || 0, dancer)
+            : currentWorldPosesRef.current[dancer] || null,
+        // Reference dancers found in the prepared track (1 without one)
+        getDancerCount: () => trackRef.current?.dancers || 1,
+        getRoutineId: () => routineIdRef.current,
+        getBeatGrid: () => beatGridRef.current,
+        isPrepared: () => !!trackRef.current,
         getVideo: () => videoRef.current,
         play: () => videoRef.current?.play(),
         pause: () => videoRef.current?.pause(),
@@ -32,25 +76,19 @@ const VideoPlayer = forwardRef(function VideoPlayer({ videoFile, speed, onPosesR
         (async () => {
             try {
                 setLoading(true);
-                console.log('[VideoPlayer] Loading MediaPipe model...');
-                const vision = await FilesetResolver.forVisionTasks(WASM_URL);
-                if (cancelled) return;
-                const landmarker = await PoseLandmarker.createFromOptions(vision, {
-                    baseOptions: { modelAssetPath: MODEL_URL, delegate: 'GPU' },
-                    runningMode: 'VIDEO',
-                    numPoses: 1,
-                    minPoseDetectionConfidence: 0.5,
-                    minPosePresenceConfidence: 0.5,
-                    minTrackingConfidence: 0.5
-                });
-                if (cancelled) { landmarker.close(); return; }
-                landmarkerRef.current = landmarker;
-                console.log('[VideoPlayer] MediaPipe model loaded ✓');
+                setError(null);
+                console.log(`[VideoPlayer] Loading MediaPipe ${modelTier} model...`);
+                const detector = await createPoseDetector({ numPoses: MAX_DANCERS, tier: modelTier });
+                if (cancelled) { detector.close(); return; }
+                detectorRef.current = detector;
+                tierRef.current = detector.tier;
+                console.log(`[VideoPlayer] MediaPipe model loaded ✓ (${detector.tier}, ${detector.delegate}${detector.inWorker ? ', worker' : ''})`);
                 setLoading(false);
             } catch (err) {
                 if (cancelled) return;
                 console.error('[VideoPlayer] Failed to init MediaPipe:', err);
-                setError('Failed to load AI model');
+                tierRef.current = null;
+                setError(`Failed to load the ${MODEL_TIERS[modelTier]?.label || ''} AI model`);
                 setLoading(false);
             }
         })();
@@ -58,62 +96,190 @@ const VideoPlayer = forwardRef(function VideoPlayer({ videoFile, speed, onPosesR
         return () => {
             cancelled = true;
             if (rafRef.current) cancelAnimationFrame(rafRef.current);
-            if (landmarkerRef.current) { landmarkerRef.current.close(); landmarkerRef.current = null; }
-            resetSmoothing('ref');
+            if (detectorRef.current) { detectorRef.current.close(); detectorRef.current = null; }
+            inFlightRef.current = false;
+            filtersRef.current.clear();
         };
-    }, []);
+    }, [modelTier]);
 
     useEffect(() => {
         if (!videoFile || !videoRef.current) return;
         const url = URL.createObjectURL(videoFile);
         videoRef.current.src = url;
         videoRef.current.load();
-        resetSmoothing('ref');
+        resetPoseTracker(trackerRef.current);
+        filtersRef.current.clear();
         return () => URL.revokeObjectURL(url);
     }, [videoFile]);
 
+    useEffect(() => { filtersRef.current.clear(); }, [filterSettings]);
+
+    // Soundtrack plays in sync at every speed, keeping its pitch when slowed down
     useEffect(() => {
-        if (videoRef.current) videoRef.current.playbackRate = speed || 1;
-    }, [speed]);
+        const video = videoRef.current;
+        if (!video) return;
+        video.preservesPitch = true;
+        video.mozPreservesPitch = true;
+        video.webkitPreservesPitch = true;
+        video.playbackRate = speed || 1;
+    }, [speed, videoFile]);
+
+    useEffect(() => {
+        if (videoRef.current) videoRef.current.muted = muted;
+    }, [muted, videoFile]);
+
+    // Prepare routine — load the cached pose track or decode the whole video once.
+    // Runs without a model too (it failed to load): a cached track still works, and otherwise the routine
+    // is reported unprepared so practice can still start.
+    useEffect(() => {
+        if (!videoFile || loading) return;
+        let cancelled = false;
+        let analysisUrl = null;
+        trackRef.current = null;
+        routineIdRef.current = null;
+        beatGridRef.current = null;
+
+        (async () => {
+            let hash = null;
+            try {
+                hash = await hashVideoFile(videoFile);
+                if (cancelled) return;
+                routineIdRef.current = hash;
+
+                let track = await loadPoseTrack(hash);
+                if (cancelled) return;
+                // Tracks from before model tiers were analyzed with lite; without a model any cached track beats none
+                if (track && tierRef.current && !isTierAtLeast(track.model || 'lite', tierRef.current)) {
+                    console.log(`[VideoPlayer] Cached pose track used the ${track.model || 'lite'} model — re-analyzing with ${tierRef.current}`);
+                    track = null;
+                }
+                if (track) {
+                    console.log('[VideoPlayer] Using cached pose track ✓', track.frameCount, 'frames');
+                } else {
+                    if (!detectorRef.current) throw new Error('the pose model is not loaded');
+                    console.log('[VideoPlayer] Preparing routine — analyzing reference video...');
+                    setPrepareProgress(0);
+                    const analysisVideo = document.createElement('video');
+                    analysisVideo.muted = true;
+                    analysisVideo.playsInline = true;
+                    analysisVideo.preload = 'auto';
+                    analysisUrl = URL.createObjectURL(videoFile);
+                    analysisVideo.src = analysisUrl;
+
+                    track = await extractPoseTrack(analysisVideo, detectorRef.current, {
+                        hash,
+                        model: tierRef.current,
+                        timestampBase: Math.max(lastTimeRef.current, performance.now()),
+                        onProgress: (p) => { if (!cancelled) setPrepareProgress(p); },
+                        isCancelled: () => cancelled,
+                    });
+                    if (!track) return;
+                    lastTimeRef.current = track.lastTimestamp;
+                    await savePoseTrack(track);
+                    console.log('[VideoPlayer] Pose track ready ✓', track.frameCount, 'frames');
+                }
+                if (cancelled) return;
+                trackRef.current = track;
+            } catch (err) {
+                if (cancelled) return;
+                // Live per-frame detection still works without a track
+                console.warn('[VideoPlayer] Routine preparation failed, falling back to live detection:', err.message);
+            } finally {
+                if (analysisUrl) URL.revokeObjectURL(analysisUrl);
+            }
+            if (cancelled) return;
+            setPrepareProgress(null);
+            onRoutineReadyRef.current?.({
+                routineId: hash,
+                prepared: !!trackRef.current,
+                dancers: trackRef.current?.dancers || 1,
+            });
+
+            // Beat grid — optional and arrives after the routine is ready, so practice can start
+            // while it's found; without it timelines fall back to seconds
+            if (hash) {
+                try {
+                    let grid = await loadBeatGrid(hash);
+                    if (cancelled) return;
+                    if (!grid) {
+                        setFindingBeat(true);
+                        grid = await detectBeatGrid(videoFile, hash);
+                        if (cancelled) return;
+                        await saveBeatGrid(grid);
+                        console.log('[VideoPlayer] Beat grid ready ✓', grid.bpm ? `${grid.bpm} BPM, ${grid.beats.length} beats` : 'no beat found');
+                    }
+                    beatGridRef.current = grid;
+                    onBeatGridRef.current?.(grid);
+                } catch (err) {
+                    console.warn('[VideoPlayer] Beat detection failed:', err.message);
+                }
+                if (cancelled) return;
+                setFindingBeat(false);
+            }
+        })();
+
+        return () => {
+            cancelled = true;
+            setPrepareProgress(null);
+            setFindingBeat(false);
+        };
+    }, [videoFile, loading, modelTier]);
 
     const detectPose = useCallback(() => {
-        if (!landmarkerRef.current || !videoRef.current || !canvasRef.current) return;
+        const detector = detectorRef.current;
+        if (!detector || !videoRef.current || !canvasRef.current) return;
         const video = videoRef.current;
         const canvas = canvasRef.current;
         const ctx = canvas.getContext('2d');
+        rafRef.current = requestAnimationFrame(detectPose);
 
-        if (video.readyState < 2 || video.paused || video.ended) {
-            rafRef.current = requestAnimationFrame(detectPose);
-            return;
-        }
+        if (video.readyState < 2 || video.paused || video.ended) return;
 
         if (canvas.width !== video.videoWidth || canvas.height !== video.videoHeight) {
             canvas.width = video.videoWidth;
             canvas.height = video.videoHeight;
         }
 
-        const now = performance.now();
-        if (now === lastTimeRef.current) {
-            rafRef.current = requestAnimationFrame(detectPose);
+        if (trackRef.current) {
+            const track = trackRef.current;
+            const poses = Array.from({ length: track.dancers }, (_, d) => samplePoseTrack(track, video.currentTime, d));
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            currentPosesRef.current = poses;
+            drawDancers(ctx, poses, canvas.width, canvas.height);
             return;
         }
-        lastTimeRef.current = now;
 
-        try {
-            const result = landmarkerRef.current.detectForVideo(video, now);
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
-            if (result.landmarks && result.landmarks.length > 0) {
-                const landmarks = smoothLandmarks(result.landmarks[0], 'ref');
-                currentPoseRef.current = landmarks;
-                drawSkeleton(ctx, landmarks, canvas.width, canvas.height, null, '#38bdf8');
-            } else {
-                currentPoseRef.current = null;
-            }
-        } catch (err) {
-            console.warn('[VideoPlayer] detectForVideo error:', err.message);
-        }
+        // Without a track: detect in the worker, one frame in flight at a time
+        if (inFlightRef.current) return;
+        // Filtered on video time, so slowed-down playback is smoothed like the original; a frame already seen is skipped
+        const frameTime = video.currentTime * 1000;
+        if (frameTime === lastFrameTimeRef.current) return;
+        lastFrameTimeRef.current = frameTime;
+        // Timestamps must keep increasing per detector, including past the ones used for analysis
+        const now = Math.max(performance.now(), lastTimeRef.current + 1);
+        lastTimeRef.current = now;
 
-        rafRef.current = requestAnimationFrame(detectPose);
+        inFlightRef.current = true;
+        detector.detect(video, now)
+            .then(result => {
+                if (detectorRef.current !== detector || trackRef.current) return;
+                ctx.clearRect(0, 0, canvas.width, canvas.height);
+                const slots = updatePoseTracker(trackerRef.current, result.landmarks, result.worldLandmarks);
+                const filters = filtersRef.current;
+                const poses = slots.map((slot, d) => {
+                    if (!slot) return null;
+                    if (slot.isNew) { filters.delete(`${d}`); filters.delete(`${d}:world`); }
+                    return filterStream(filters, `${d}`, slot.landmarks, frameTime, filterSettingsRef.current);
+                });
+                // Trailing empty slots aren't dancers
+                while (poses.length > 1 && !poses[poses.length - 1]) poses.pop();
+                currentPosesRef.current = poses;
+                currentWorldPosesRef.current = slots.map((slot, d) =>
+                    slot?.worldLandmarks ? filterStream(filters, `${d}:world`, slot.worldLandmarks, frameTime, filterSettingsRef.current) : null);
+                drawDancers(ctx, poses, canvas.width, canvas.height);
+            })
+            .catch(err => { if (detectorRef.current === detector) console.warn('[VideoPlayer] Pose detection error:', err.message); })
+            .finally(() => { if (detectorRef.current === detector) inFlightRef.current = false; });
     }, []);
 
     useEffect(() => {
@@ -141,7 +307,8 @@ const VideoPlayer = forwardRef(function VideoPlayer({ videoFile, speed, onPosesR
 
     return (
         <div className="video-panel" id="ref-video">
-            <video ref={videoRef} playsInline muted style={{ background: '#000' }} />
+            <video ref={videoRef} playsInline style={{ background: '#000' }}
+                onLoadedMetadata={(e) => onDurationChange?.(e.currentTarget.duration || 0)} />
             <canvas ref={canvasRef} />
             <span className="panel-label ref">📹 Reference</span>
             {loading && (
@@ -150,6 +317,21 @@ const VideoPlayer = forwardRef(function VideoPlayer({ videoFile, speed, onPosesR
                     <div className="loading-text">Loading AI Model...</div>
                 </div>
             )}
+            {!loading && prepareProgress !== null && (
+                <div className="loading-overlay">
+                    <div className="spinner" />
+                    <div className="loading-text">Preparing routine… {Math.round(prepareProgress * 100)}%</div>
+                    <div className="progress-bar">
+                        <div className="progress-fill" style={{ width: `${prepareProgress * 100}%` }} />
+                    </div>
+                </div>
+            )}
+            {!loading && findingBeat && (
+                <div className="loading-overlay">
+                    <div className="spinner" />
+                    <div className="loading-text">Finding the beat…</div>
+                </div>
+            )}
             {error && (
                 <div className="loading-overlay">
                     <div style={{ fontSize: '2rem', marginBottom: '16px' }}>⚠️</div>
@@ -0,0 +1,67 @@
+import { useEffect, useState } from 'react';
+import { COACH_LOCALES } from '../utils/coachLocales';
+import { getVoicesForLocale, previewVoice, CUE_STYLES } from '../utils/audioCoach';
+
+const labelStyle = { fontSize: '12px', color: 'var(--text-muted)' };
+const rangeStyle = { width: '80px', accentColor: 'var(--accent-1)' };
+
+/**
+ * Voice Settings — Language, voice, speed, volume, how often the coach
+ * talks, and whether it speaks or just plays tones. Voices are the ones
+ * installed for the chosen language; browsers load them lazily, so the list
+ * refreshes on "voiceschanged".
+ */
+export default function VoiceSettings({ settings, onChange }) {
+    const [voices, setVoices] = useState(() => getVoicesForLocale(settings.locale));
+
+    useEffect(() => {
+        const refresh = () => setVoices(getVoicesForLocale(settings.locale));
+        refresh();
+        window.speechSynthesis?.addEventListener('voiceschanged', refresh);
+        return () => window.speechSynthesis?.removeEventListener('voiceschanged', refresh);
+    }, [settings.locale]);
+
+    const update = (patch) => onChange({ ...settings, ...patch });
+
+    return (
+        <div className="card voice-settings">
+            <span style={{ fontSize: '13px', fontWeight: 600, color: 'var(--text-secondary)', whiteSpace: 'nowrap' }}>🗣️ Voice Coach</span>
+            <select className="control-select" value={settings.locale} title="Language the coach speaks"
+                onChange={(e) => update({ locale: e.target.value, voiceURI: null })}>
+                {Object.entries(COACH_LOCALES).map(([id, pack]) => (
+                    <option key={id} value={id}>{pack.label}</option>
+                ))}
+            </select>
+            <select className="control-select" value={settings.voiceURI || ''} title="Voice"
+                onChange={(e) => update({ voiceURI: e.target.value || null })}>
+                <option value="">{voices.length > 0 ? 'Default voice' : 'No voice installed for this language'}</option>
+                {voices.map(v => (
+                    <option key={v.voiceURI} value={v.voiceURI}>{v.name}{v.localService ? '' : ' (online)'}</option>
+                ))}
+            </select>
+            <label style={labelStyle}>
+                Speed <input type="range" min={0.6} max={1.6} step={0.1} value={settings.rate} style={rangeStyle}
+                    onChange={(e) => update({ rate: Number(e.target.value) })} /> {settings.rate.toFixed(1)}×
+            </label>
+            <label style={labelStyle}>
+                Volume <input type="range" min={0.1} max={1} step={0.05} value={settings.volume} style={rangeStyle}
+                    onChange={(e) => update({ volume: Number(e.target.value) })} /> {Math.round(settings.volume * 100)}%
+            </label>
+            <label style={labelStyle} title="Shortest gap between two corrections">
+                Every <input type="range" min={2000} max={12000} step={500} value={settings.cooldownMs} style={rangeStyle}
+                    onChange={(e) => update({ cooldownMs: Number(e.target.value) })} /> {(settings.cooldownMs / 1000).toFixed(1)}s
+            </label>
+            {Object.entries(CUE_STYLES).map(([id, style]) => (
+                <button key={id} className={`speed-btn ${settings.cueStyle === id ? 'active' : ''}`} onClick={() => update({ cueStyle: id })}
+                    title={style.description}>
+                    {style.label}
+                </button>
+            ))}
+            <button className={`toggle-btn ${settings.danceTerms ? 'active' : ''}`} onClick={() => update({ danceTerms: !settings.danceTerms })}
+                title="Use studio vocabulary (plié, tendu, port de bras) instead of plain anatomy where the language has it">
+                🩰 Dance terms
+            </button>
+            <button className="toggle-btn" onClick={previewVoice}>▶ Test</button>
+        </div>
+    );
+}
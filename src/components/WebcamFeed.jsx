@@ -1,64 +1,127 @@
 import { useRef, useEffect, useState, useCallback, forwardRef, useImperativeHandle } from 'react';
-import { PoseLandmarker, FilesetResolver } from '@mediapipe/tasks-vision';
-import { drawSkeleton, smoothLandmarks, resetSmoothing, isPoseValid } from '../utils/skeletonRenderer';
+import { drawSkeleton, drawDancerTag, drawCorrectionArrow, createArrowFader, updateArrowFader, isPoseValid } from '../utils/skeletonRenderer';
+import { filterStream, DEFAULT_FILTER_SETTINGS } from '../utils/landmarkFilter';
+import { MODEL_TIERS } from '../utils/landmarkerLoader';
+import { createPoseDetector } from '../utils/poseDetector';
+import { createSessionRecorder, isRecordingSupported } from '../utils/sessionRecorder';
+import { fitPoseToBody } from '../utils/poseRetargeting';
+import { createPoseTracker, updatePoseTracker, resetPoseTracker, dancerLabel, dancerColor } from '../utils/poseTracker';
 
-const MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task';
-const WASM_URL = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm';
+const GHOST_COLOR = '#38bdf8';
+const OUT_OF_PLACE_COLOR = '#ef4444';
 
-const WebcamFeed = forwardRef(function WebcamFeed({ isActive, segmentScores, mirrored }, ref) {
+// The reference pose, moved onto the user's body, drawn translucent over their skeleton.
+// The canvas matches the webcam video, so its width over height is the body's aspect ratio.
+function drawGhost(ctx, body, w, h, { getGhostPose, ghostOpacity }, dancer) {
+    if (!getGhostPose || ghostOpacity <= 0) return;
+    const reference = getGhostPose(dancer);
+    const ghost = reference && fitPoseToBody(reference.pose, body, reference.aspect, w / h);
+    if (!ghost) return;
+    ctx.save();
+    ctx.globalAlpha = ghostOpacity;
+    drawSkeleton(ctx, ghost, w, h, null, GHOST_COLOR);
+    ctx.restore();
+}
+
+// Out-of-place dancer: a ring at their hips and a dashed line to the spot they should be on
+function drawOutOfPlace(ctx, body, target, w, h) {
+    const hip = { x: (body[23].x + body[24].x) / 2 * w, y: (body[23].y + body[24].y) / 2 * h };
+    const to = { x: target.x * w, y: target.y * h };
+    ctx.save();
+    ctx.strokeStyle = OUT_OF_PLACE_COLOR;
+    ctx.lineWidth = 3;
+    ctx.setLineDash([8, 6]);
+    ctx.beginPath();
+    ctx.arc(hip.x, hip.y, 36, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(hip.x, hip.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.arc(to.x, to.y, 10, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+}
+
+const WebcamFeed = forwardRef(function WebcamFeed({ isActive, dancerScores = [], dancerCorrections = [], dancerCount = 1, formation = null, mirrored, modelTier = 'lite', filterSettings = DEFAULT_FILTER_SETTINGS, record = false, onRecordingReady, getGhostPose = null, ghostOpacity = 0.4, children }, ref) {
     const videoRef = useRef(null);
     const canvasRef = useRef(null);
-    const landmarkerRef = useRef(null);
+    const detectorRef = useRef(null);
+    const inFlightRef = useRef(false);
     const rafRef = useRef(null);
     const streamRef = useRef(null);
     const lastTimeRef = useRef(-1);
-    const currentPoseRef = useRef(null);
+    const currentPosesRef = useRef([]);
+    const rawPosesRef = useRef([]);
+    const worldPosesRef = useRef([]);
+    const trackerRef = useRef(createPoseTracker(dancerCount));
+    const fadersRef = useRef([]);
+    const filtersRef = useRef(new Map());
+    const filterSettingsRef = useRef(filterSettings);
+    filterSettingsRef.current = filterSettings;
     const fpsCountRef = useRef(0);
     const fpsTimerRef = useRef(Date.now());
+    const recorderRef = useRef(null);
+    const recordRef = useRef(record);
+    recordRef.current = record;
+    const dancerCountRef = useRef(dancerCount);
+    dancerCountRef.current = dancerCount;
+    const mirroredRef = useRef(mirrored);
+    mirroredRef.current = mirrored;
+    const onRecordingReadyRef = useRef(onRecordingReady);
+    onRecordingReadyRef.current = onRecordingReady;
 
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [fps, setFps] = useState(0);
+    const [model, setModel] = useState(null); // { tier, delegate } actually in use
+    const [recording, setRecording] = useState(false);
 
     useImperativeHandle(ref, () => ({
-        getCurrentPose: () => currentPoseRef.current,
+        // Dancers keep their index for the whole session (pose tracker)
+        getCurrentPose: (dancer = 0) => currentPosesRef.current[dancer] || null,
+        // Latest landmarks even when the pose isn't valid for scoring (framing checks)
+        getRawPose: (dancer = 0) => rawPosesRef.current[dancer] || null,
+        // Metric 3D landmarks for the same pose, origin between the hips (poseCorrections)
+        getWorldPose: (dancer = 0) => worldPosesRef.current[dancer] || null,
+        // Seconds into the session recording, or null when not recording
+        getRecordingTime: () => recorderRef.current?.getTime() ?? null,
+        getAspect: () => videoRef.current?.videoWidth ? videoRef.current.videoWidth / videoRef.current.videoHeight : null,
     }));
 
+    // Reloaded when the model tier changes; the camera keeps running meanwhile
     useEffect(() => {
         let cancelled = false;
         (async () => {
             try {
                 setLoading(true);
-                console.log('[WebcamFeed] Loading MediaPipe model...');
-                const vision = await FilesetResolver.forVisionTasks(WASM_URL);
-                if (cancelled) return;
-                const landmarker = await PoseLandmarker.createFromOptions(vision, {
-                    baseOptions: { modelAssetPath: MODEL_URL, delegate: 'GPU' },
-                    runningMode: 'VIDEO',
-                    numPoses: 1,
-                    minPoseDetectionConfidence: 0.5,
-                    minPosePresenceConfidence: 0.5,
-                    minTrackingConfidence: 0.5
-                });
-                if (cancelled) { landmarker.close(); return; }
-                landmarkerRef.current = landmarker;
-                console.log('[WebcamFeed] MediaPipe model loaded ✓');
+                setError(null);
+                console.log(`[WebcamFeed] Loading MediaPipe ${modelTier} model...`);
+                const detector = await createPoseDetector({ numPoses: dancerCountRef.current, tier: modelTier });
+                if (cancelled) { detector.close(); return; }
+                detectorRef.current = detector;
+                setModel({ tier: detector.tier, delegate: detector.delegate });
+                console.log(`[WebcamFeed] MediaPipe model loaded ✓ (${detector.tier}, ${detector.delegate}${detector.inWorker ? ', worker' : ''})`);
                 setLoading(false);
             } catch (err) {
                 if (cancelled) return;
                 console.error('[WebcamFeed] Failed to init MediaPipe:', err);
-                setError('Failed to load AI model');
+                setError(`Failed to load the ${MODEL_TIERS[modelTier]?.label || ''} AI model`);
                 setLoading(false);
             }
         })();
 
         return () => {
             cancelled = true;
-            stopCamera();
-            if (landmarkerRef.current) { landmarkerRef.current.close(); landmarkerRef.current = null; }
-            resetSmoothing('user');
+            if (detectorRef.current) { detectorRef.current.close(); detectorRef.current = null; }
+            inFlightRef.current = false;
+            setModel(null);
         };
-    }, []);
+    }, [modelTier]);
+
+    useEffect(() => () => stopCamera(), []);
 
     const startCamera = useCallback(async () => {
         try {
@@ -71,6 +134,10 @@ const WebcamFeed = forwardRef(function WebcamFeed({ isActive, segmentScores, mir
                 videoRef.current.srcObject = stream;
                 await videoRef.current.play();
             }
+            if (recordRef.current && isRecordingSupported()) {
+                recorderRef.current = createSessionRecorder(stream, blob => onRecordingReadyRef.current?.(blob));
+                setRecording(true);
+            }
         } catch (err) {
             console.error('Camera error:', err);
             setError('Camera access denied');
@@ -78,35 +145,55 @@ const WebcamFeed = forwardRef(function WebcamFeed({ isActive, segmentScores, mir
     }, []);
 
     const stopCamera = useCallback(() => {
+        if (recorderRef.current) {
+            recorderRef.current.stop();
+            recorderRef.current = null;
+            setRecording(false);
+        }
         if (streamRef.current) {
             streamRef.current.getTracks().forEach(t => t.stop());
             streamRef.current = null;
         }
         if (rafRef.current) { cancelAnimationFrame(rafRef.current); rafRef.current = null; }
         lastTimeRef.current = -1;
-        resetSmoothing('user');
+        rawPosesRef.current = [];
+        currentPosesRef.current = [];
+        worldPosesRef.current = [];
+        fadersRef.current = [];
+        resetPoseTracker(trackerRef.current);
+        filtersRef.current.clear();
     }, []);
 
-    const latestScoresRef = useRef(segmentScores);
-    latestScoresRef.current = segmentScores;
+    // Group sessions: detect that many people and give each a tracked slot
+    useEffect(() => {
+        trackerRef.current = createPoseTracker(dancerCount);
+        filtersRef.current.clear();
+        detectorRef.current?.setOptions({ numPoses: dancerCount })
+            .catch(err => console.warn('[WebcamFeed] Could not change numPoses:', err.message));
+    }, [dancerCount, loading]);
 
-    const detectPose = useCallback(() => {
-        if (!landmarkerRef.current || !videoRef.current || !canvasRef.current) return;
-        const video = videoRef.current;
-        const canvas = canvasRef.current;
-        const ctx = canvas.getContext('2d');
+    useEffect(() => { filtersRef.current.clear(); }, [filterSettings]);
 
-        if (video.readyState < 2) { rafRef.current = requestAnimationFrame(detectPose); return; }
+    const latestScoresRef = useRef(dancerScores);
+    latestScoresRef.current = dancerScores;
+    const correctionsRef = useRef(dancerCorrections);
+    correctionsRef.current = dancerCorrections;
+    const formationRef = useRef(formation);
+    formationRef.current = formation;
+    const ghostRef = useRef({ getGhostPose, ghostOpacity });
+    ghostRef.current = { getGhostPose, ghostOpacity };
 
+    // Draws one detection result; runs when the worker answers, not on the animation frame.
+    // frameTime is the timestamp the frame was sent with, so filtering follows capture time
+    const handleResult = useCallback((result, video, frameTime) => {
+        const canvas = canvasRef.current;
+        if (!canvas || !streamRef.current) return;
+        const ctx = canvas.getContext('2d');
         if (canvas.width !== video.videoWidth || canvas.height !== video.videoHeight) {
             canvas.width = video.videoWidth;
             canvas.height = video.videoHeight;
         }
 
-        const now = performance.now();
-        if (now === lastTimeRef.current) { rafRef.current = requestAnimationFrame(detectPose); return; }
-        lastTimeRef.current = now;
-
         fpsCountRef.current++;
         const elapsed = Date.now() - fpsTimerRef.current;
         if (elapsed >= 1000) {
@@ -115,23 +202,58 @@ const WebcamFeed = forwardRef(function WebcamFeed({ isActive, segmentScores, mir
             fpsTimerRef.current = Date.now();
         }
 
-        try {
-            const result = landmarkerRef.current.detectForVideo(video, now);
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
-            if (result.landmarks && result.landmarks.length > 0) {
-                const landmarks = smoothLandmarks(result.landmarks[0], 'user');
-                currentPoseRef.current = isPoseValid(landmarks) ? landmarks : null;
-                drawSkeleton(ctx, landmarks, canvas.width, canvas.height, latestScoresRef.current, '#ec4899');
-            } else {
-                currentPoseRef.current = null;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        const slots = updatePoseTracker(trackerRef.current, result.landmarks, result.worldLandmarks);
+        const group = slots.length > 1;
+        rawPosesRef.current = [];
+        currentPosesRef.current = [];
+        worldPosesRef.current = [];
+        const now = performance.now();
+        const filters = filtersRef.current;
+        slots.forEach((slot, d) => {
+            if (!slot) return;
+            if (slot.isNew) {
+                filters.delete(`${d}`);
+                filters.delete(`${d}:world`);
+                fadersRef.current[d] = null;
+            }
+            const landmarks = filterStream(filters, `${d}`, slot.landmarks, frameTime, filterSettingsRef.current);
+            rawPosesRef.current[d] = landmarks;
+            currentPosesRef.current[d] = isPoseValid(landmarks) ? landmarks : null;
+            if (slot.worldLandmarks) worldPosesRef.current[d] = filterStream(filters, `${d}:world`, slot.worldLandmarks, frameTime, filterSettingsRef.current);
+            drawSkeleton(ctx, landmarks, canvas.width, canvas.height, latestScoresRef.current[d], dancerColor(d));
+            drawGhost(ctx, landmarks, canvas.width, canvas.height, ghostRef.current, d);
+            const fader = fadersRef.current[d] || (fadersRef.current[d] = createArrowFader());
+            for (const { correction, alpha } of updateArrowFader(fader, correctionsRef.current[d] || [], now)) {
+                drawCorrectionArrow(ctx, landmarks, correction, canvas.width, canvas.height, { alpha, mirrored: mirroredRef.current });
             }
-        } catch (err) { /* timing errors */ }
+            if (group) drawDancerTag(ctx, landmarks, canvas.width, canvas.height, dancerLabel(d), dancerColor(d), mirroredRef.current);
+            const placement = formationRef.current?.dancers[d];
+            if (placement?.outOfPlace) drawOutOfPlace(ctx, landmarks, placement.target, canvas.width, canvas.height);
+        });
+    }, []);
 
+    // Sends the newest camera frame whenever the detector is free; one frame in flight at a time
+    const detectPose = useCallback(() => {
+        const detector = detectorRef.current;
+        const video = videoRef.current;
+        if (!detector || !video || !canvasRef.current) return;
         rafRef.current = requestAnimationFrame(detectPose);
-    }, []);
+        if (video.readyState < 2 || inFlightRef.current) return;
+
+        const now = performance.now();
+        if (now <= lastTimeRef.current) return;
+        lastTimeRef.current = now;
+
+        inFlightRef.current = true;
+        detector.detect(video, now)
+            .then(result => { if (detectorRef.current === detector) handleResult(result, video, now); })
+            .catch(() => { /* timing errors, or the detector was closed */ })
+            .finally(() => { if (detectorRef.current === detector) inFlightRef.current = false; });
+    }, [handleResult]);
 
     useEffect(() => {
-        if (isActive && landmarkerRef.current && !loading) {
+        if (isActive && detectorRef.current && !loading) {
             startCamera().then(() => { rafRef.current = requestAnimationFrame(detectPose); });
         } else if (!isActive) { stopCamera(); }
     }, [isActive, loading]);
@@ -143,11 +265,15 @@ const WebcamFeed = forwardRef(function WebcamFeed({ isActive, segmentScores, mir
             <video ref={videoRef} autoPlay playsInline muted style={mirrorStyle} />
             <canvas ref={canvasRef} style={mirrorStyle} />
             <span className="panel-label user">🎥 You</span>
+            {children}
             <div className="panel-badge">
                 {isActive && (
                     <>
                         <span className="badge badge-live">LIVE</span>
-                        <span className="badge">{fps} FPS</span>
+                        {recording && <span className="badge badge-rec">REC</span>}
+                        <span className="badge" title={model ? `${MODEL_TIERS[model.tier].description} · running on the ${model.delegate}` : undefined}>
+                            {fps} FPS{model && ` · ${MODEL_TIERS[model.tier].label} · ${model.delegate}`}
+                        </span>
                     </>
                 )}
             </div>
@@ -7,3 +7,12 @@ import './index.css'
 ReactDOM.createRoot(document.getElementById('root')).render(
   <App />
 )
+
+// Offline support — only in production builds, so dev always sees fresh files
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch(err => {
+      console.warn('[ServiceWorker] Registration failed:', err.message)
+    })
+  })
+}
@@ -0,0 +1,82 @@
+import { describe, it, expect } from "vitest";
+import { analyzeAccentTiming, analyzeSessionAccents, compactAccentSample } from "@/utils/accentTiming";
+import { pushAlignmentSample } from "@/utils/poseAlignment";
+import { mirrorPose } from "@/utils/poseNormalizer";
+import { standingPose, movePoints, type Landmark } from "./poses";
+
+const TICK = 0.1; // the comparison loop's rate
+const HITS = [1, 2, 3, 4, 5, 6];
+
+// Wrist snapped out and back: out at each hit time, in halfway to the next
+function wristOffset(t: number) {
+  const out = HITS.some(h => t >= h && t < h + 0.5);
+  return out ? 0.15 : 0;
+}
+
+const withHits = (wrist: number, delay = 0) => (t: number) =>
+  movePoints(standingPose(), [wrist, wrist + 2, wrist + 4, wrist + 6], wristOffset(t - delay), -wristOffset(t - delay));
+
+function ticks(duration: number) {
+  return Array.from({ length: Math.round(duration / TICK) }, (_, i) => Math.round(i * TICK * 1000) / 1000);
+}
+
+function liveTrack(ref: (t: number) => Landmark[], user: (t: number) => Landmark[]) {
+  const history: unknown[] = [];
+  for (const t of ticks(7.5)) pushAlignmentSample(history, ref(t), user(t), t, 60000);
+  return history;
+}
+
+describe("accentTiming", () => {
+  it("finds user hits landing late, per segment", () => {
+    const result = analyzeAccentTiming(liveTrack(withHits(15), withHits(15, 0.1)));
+    expect(result).not.toBeNull();
+    expect(result!.segments.leftArm.matched).toBe(result!.segments.leftArm.hits);
+    expect(result!.segments.leftArm.offsetMs).toBeGreaterThan(80);
+    expect(result!.segments.leftArm.offsetMs).toBeLessThan(120);
+    expect(result!.segments.rightArm).toBeNull();
+  });
+
+  it("scores hits on time higher than late ones", () => {
+    const onTime = analyzeAccentTiming(liveTrack(withHits(15), withHits(15)));
+    const late = analyzeAccentTiming(liveTrack(withHits(15), withHits(15, 0.2)));
+    expect(onTime!.score).toBeGreaterThan(late!.score);
+    expect(onTime!.offsetMs).toBe(0);
+  });
+
+  it("matches the mirrored reference in mirror-mode sessions", () => {
+    // Reference hits with their left arm; facing them, the user copies with the right.
+    // Accent tracks hold the reference as it was scored, mirrored.
+    const sessionData = ticks(7.5).map(t => ({
+      videoTime: t,
+      accentTrack: [compactAccentSample(mirrorPose(withHits(15)(t)), mirrorPose(withHits(15, 0.1)(t)), t)],
+    }));
+    const result = analyzeSessionAccents(sessionData);
+    expect(result!.segments.rightArm.offsetMs).toBeGreaterThan(80);
+    expect(result!.segments.leftArm).toBeNull();
+  });
+
+  it("gives the summary the same result as the live score from per-tick accent tracks", () => {
+    const ref = withHits(16);
+    const user = withHits(16, 0.1);
+    const live = analyzeAccentTiming(liveTrack(ref, user));
+
+    // Sessions keep every 3rd tick's poses, with every tick's accent joints attached
+    const sessionData: object[] = [];
+    let trail: object[] = [];
+    ticks(7.5).forEach((t, i) => {
+      trail.push(compactAccentSample(ref(t), user(t), t)!);
+      if (i % 3 === 2) {
+        sessionData.push({ videoTime: t, refPose: ref(t), userPose: user(t), accentTrack: trail });
+        trail = [];
+      }
+    });
+    const summary = analyzeSessionAccents(sessionData);
+    expect(summary!.segments.rightArm.offsetMs).toBeCloseTo(live!.segments.rightArm.offsetMs, -1);
+    expect(summary!.segments.rightArm.hits).toBe(live!.segments.rightArm.hits);
+  });
+
+  it("needs a few hits before it scores anything", () => {
+    const still = () => standingPose();
+    expect(analyzeAccentTiming(liveTrack(still, still))).toBeNull();
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect } from "vitest";
+import { beatPositionAt, formatBeatPosition, formatBeatRange } from "@/utils/beatGrid";
+
+// 120 bpm from 1s, with the first eight-count starting on the third beat (2s)
+const grid = { bpm: 120, beats: Array.from({ length: 32 }, (_, i) => 1 + i * 0.5), downbeat: 2 };
+
+describe("beatPositionAt", () => {
+  it("counts eights from the downbeat", () => {
+    expect(beatPositionAt(grid, 2)).toEqual({ bar: 1, count: 1 });
+    expect(beatPositionAt(grid, 5.5)).toEqual({ bar: 1, count: 8 });
+    expect(beatPositionAt(grid, 6)).toEqual({ bar: 2, count: 1 });
+  });
+
+  it("puts beats before the downbeat in the pickup bar", () => {
+    expect(beatPositionAt(grid, 1)).toEqual({ bar: 0, count: 7 });
+    expect(formatBeatPosition(grid, 1)).toBe("intro, count 7");
+  });
+
+  it("credits a move landing just ahead of the beat to that beat", () => {
+    expect(beatPositionAt(grid, 5.9)).toEqual({ bar: 2, count: 1 });
+    expect(beatPositionAt(grid, 5.8)).toEqual({ bar: 1, count: 8 });
+  });
+
+  it("keeps counting at the tempo past the last detected beat", () => {
+    // Last beat 16.5s is index 31; 20s is 7 beats on
+    expect(beatPositionAt(grid, 20)).toEqual({ bar: 5, count: 5 });
+  });
+
+  it("has no position before the music or without a grid", () => {
+    expect(beatPositionAt(grid, 0.5)).toBeNull();
+    expect(beatPositionAt(null, 3)).toBeNull();
+    expect(beatPositionAt({ ...grid, beats: [1] }, 3)).toBeNull();
+  });
+});
+
+describe("formatBeatRange", () => {
+  it("spans two positions, or names one when they match", () => {
+    expect(formatBeatRange(grid, 2, 6)).toBe("bar 1, count 1 – bar 2, count 1");
+    expect(formatBeatRange(grid, 2, 2.1)).toBe("bar 1, count 1");
+    expect(formatBeatPosition(grid, 6, true)).toBe("2·1");
+  });
+
+  it("is null when either end has no position", () => {
+    expect(formatBeatRange(grid, 0, 6)).toBeNull();
+    expect(formatBeatRange(null, 2, 6)).toBeNull();
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  isTPose, createCalibrationState, addCalibrationSample, calibrationProgress,
+  loadCalibration, saveCalibration, clearCalibration,
+} from "@/utils/bodyCalibration";
+import { standingPose, tPose, movePoints } from "./poses";
+
+const HOLD = 15;
+
+describe("bodyCalibration", () => {
+  beforeEach(() => localStorage.clear());
+
+  it("recognizes a T-pose, and not arms hanging or raised", () => {
+    expect(isTPose(tPose())).toBe(true);
+    expect(isTPose(standingPose())).toBe(false);
+    expect(isTPose(movePoints(tPose(), [15, 17, 19, 21], 0, -0.15))).toBe(false);
+  });
+
+  it("measures bone lengths in torso lengths over a held T-pose", () => {
+    const state = createCalibrationState();
+    for (let i = 0; i < HOLD - 1; i++) expect(addCalibrationSample(state, tPose())).toBeNull();
+    const result = addCalibrationSample(state, tPose());
+    expect(result).not.toBeNull();
+    // Shoulder to elbow is 0.12 of the frame over a 0.25 torso
+    expect(result!.bones["11-13"]).toBeCloseTo(0.48, 3);
+    expect(result!.bones["12-14"]).toBeCloseTo(0.48, 3);
+    expect(result!.bones["23-25"]).toBeCloseTo(0.6, 3);
+  });
+
+  it("measures on a wide webcam frame as it would on a square one", () => {
+    // The same T-pose seen by a 16:9 camera: image x is squeezed by the aspect ratio
+    const aspect = 16 / 9;
+    const wide = tPose().map(lm => ({ ...lm, x: 0.5 + (lm.x - 0.5) / aspect }));
+    const state = createCalibrationState();
+    let result = null;
+    for (let i = 0; i < HOLD; i++) result = addCalibrationSample(state, wide, aspect) ?? result;
+    expect(result!.bones["11-13"]).toBeCloseTo(0.48, 3);
+    expect(result!.bones["23-25"]).toBeCloseTo(0.6, 3);
+  });
+
+  it("starts the hold over when the T-pose is dropped", () => {
+    const state = createCalibrationState();
+    for (let i = 0; i < 10; i++) addCalibrationSample(state, tPose());
+    expect(calibrationProgress(state)).toBeCloseTo(10 / HOLD);
+    addCalibrationSample(state, standingPose());
+    expect(calibrationProgress(state)).toBe(0);
+  });
+
+  it("takes the median, so one bad frame doesn't skew a bone", () => {
+    const state = createCalibrationState();
+    let result = null;
+    for (let i = 0; i < HOLD; i++) {
+      const pose = i === 3 ? movePoints(tPose(), [15, 17, 19, 21], 0.05, 0) : tPose();
+      result = addCalibrationSample(state, pose) ?? result;
+    }
+    expect(result!.bones["13-15"]).toBeCloseTo(0.48, 3);
+  });
+
+  it("keeps the calibration in localStorage", () => {
+    expect(loadCalibration()).toBeNull();
+    const calibration = { version: 2, createdAt: 1, bones: { "11-13": 0.5 } };
+    saveCalibration(calibration);
+    expect(loadCalibration()).toEqual(calibration);
+    clearCalibration();
+    expect(loadCalibration()).toBeNull();
+  });
+});
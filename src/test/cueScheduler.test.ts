@@ -0,0 +1,87 @@
+import { describe, it, expect } from "vitest";
+import { createCueScheduler, queueCue, observeTick, nextCue, cueStats } from "@/utils/cueScheduler";
+import { standingPose, movePoints } from "./poses";
+
+const TICK_MS = 100;
+// 120 bpm from the start, so an eight-count lasts 4s
+const grid = { bpm: 120, beats: Array.from({ length: 64 }, (_, i) => i * 0.5), downbeat: 0 };
+
+// The reference dancer's wrists flick every tick, or hold still
+const moving = (i: number) => movePoints(standingPose(), [15, 16], i % 2 ? 0.05 : -0.05, 0);
+const still = () => standingPose();
+
+const correction = (key: string, priority = 1) =>
+  ({ key, segment: key, cue: "raise", kind: "correction", priority, text: `${key} up` });
+
+type Scheduler = ReturnType<typeof createCueScheduler>;
+
+// Run the loop from `from` ms for `ms`, returning the first delivered cue and when
+function run(s: Scheduler, { from = 0, ms = 6000, ref = moving, beatGrid = null as typeof grid | null, scores = () => ({}) as Record<string, number> } = {}) {
+  for (let now = from; now < from + ms; now += TICK_MS) {
+    const i = now / TICK_MS;
+    observeTick(s, scores(), ref(i), now);
+    const cue = nextCue(s, { now, videoTime: now / 1000, beatGrid });
+    if (cue) return { cue, now };
+  }
+  return null;
+}
+
+describe("cueScheduler", () => {
+  it("holds a correction for the start of the next eight-count", () => {
+    const s = createCueScheduler();
+    run(s, { ms: 2000, beatGrid: grid });
+    queueCue(s, correction("leftArm"), 2000);
+    // Refreshed while the problem lasts, so it doesn't go stale waiting
+    queueCue(s, correction("leftArm"), 3000);
+    const delivered = run(s, { from: 2000, beatGrid: grid });
+    // Bar 2 starts at 4s; a tick up to a quarter beat early already counts as on it
+    expect(delivered!.now).toBeGreaterThan(3800);
+    expect(delivered!.now).toBeLessThanOrEqual(4000);
+    expect(s.log[0].moment).toBe("downbeat");
+  });
+
+  it("speaks when the reference dancer holds still", () => {
+    const s = createCueScheduler();
+    queueCue(s, correction("leftArm"), 0);
+    const delivered = run(s, { ref: still, beatGrid: grid });
+    expect(delivered!.now).toBeLessThan(1000);
+    expect(s.log[0].moment).toBe("quiet");
+  });
+
+  it("goes out anyway after a wait when there is no beat grid", () => {
+    const s = createCueScheduler();
+    queueCue(s, correction("leftArm"), 0);
+    const delivered = run(s);
+    expect(delivered!.now).toBe(1500);
+    expect(s.log[0].moment).toBe("waited");
+  });
+
+  it("delivers the most urgent cue first and never over one still playing", () => {
+    const s = createCueScheduler();
+    queueCue(s, correction("leftArm", 1), 0);
+    queueCue(s, correction("rightLeg", 5), 0);
+    expect(nextCue(s, { now: 2000, videoTime: 2, busy: true })).toBeNull();
+    expect(nextCue(s, { now: 2000, videoTime: 2 })!.key).toBe("rightLeg");
+  });
+
+  it("drops a correction nobody refreshed", () => {
+    const s = createCueScheduler();
+    run(s, { ms: 2000, beatGrid: grid });
+    queueCue(s, correction("leftArm"), 0);
+    expect(run(s, { from: 2000, beatGrid: grid })).toBeNull();
+    expect(s.queue.size).toBe(0);
+  });
+
+  it("reports whether the segment got better after the cue", () => {
+    const s = createCueScheduler();
+    queueCue(s, correction("leftArm"), 0);
+    let score = 60;
+    run(s, { scores: () => ({ leftArm: score }) });
+    score = 80;
+    run(s, { from: 1600, ms: 5000, scores: () => ({ leftArm: score }) });
+
+    const stats = cueStats(s);
+    expect(stats).toMatchObject({ total: 1, corrections: 1, measured: 1, improved: 1 });
+    expect(stats.byCue[0]).toMatchObject({ segment: "leftArm", count: 1, change: 20 });
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from "vitest";
+import { analyzeSession } from "@/utils/feedbackEngine";
+import { BODY_SEGMENTS } from "@/utils/poseSimilarity";
+
+// A short session where the left arm keeps ending up too low
+function session() {
+  const segments = Object.fromEntries(Object.keys(BODY_SEGMENTS).map(key => [key, key === "leftArm" ? 40 : 80]));
+  return Array.from({ length: 10 }, (_, i) => ({
+    overall: 70,
+    segments,
+    videoTime: i * 0.3,
+    corrections: [{ segment: "leftArm", joint: null, cue: "raiseBy", degrees: 20 }],
+    joints: [{ joint: "leftElbow", segment: "leftArm", delta: 30 }],
+  }));
+}
+
+// The same session saved before samples had 3D corrections
+function olderSession() {
+  return session().map(({ corrections, ...sample }) => sample);
+}
+
+const leftArm = (data: object[], options = {}) => analyzeSession(data, options).focusAreas.find((f: { segment: string }) => f.segment === "leftArm")?.corrections;
+
+describe("analyzeSession corrections", () => {
+  it("reports a recurring correction in English by default", () => {
+    expect(leftArm(session())).toEqual([expect.stringMatching(/^Raise your left arm about 20/)]);
+  });
+
+  it("phrases it in the voice coach's language", () => {
+    expect(leftArm(session(), { locale: "es" })[0]).toMatch(/^Sube .* 20/);
+  });
+
+  it("falls back to average joint angles for older sessions", () => {
+    expect(leftArm(olderSession())).toEqual(["Bend your left elbow about 30 degrees more"]);
+    expect(leftArm(olderSession(), { locale: "es" })[0]).toMatch(/^Flexiona .* 30/);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect } from "vitest";
+import { compareFormation, formationPoint, analyzeSessionFormation } from "@/utils/formationAnalyzer";
+import { standingPose, shiftPose } from "./poses";
+
+const at = (x: number, y: number, torso = 0.1) => ({ x, y, torso });
+
+// Reference trio: a line with the middle dancer a step forward
+const ref = [at(0.3, 0.5), at(0.5, 0.6), at(0.7, 0.5)];
+
+describe("compareFormation", () => {
+  it("scores the same layout full marks wherever the group stands and however big it looks", () => {
+    // Twice the size on screen, further right: offsets scale with the torso
+    const user = [at(0.2, 0.4, 0.2), at(0.6, 0.6, 0.2), at(1.0, 0.4, 0.2)];
+    const result = compareFormation(ref, user);
+    expect(result!.score).toBeCloseTo(100, 6);
+    expect(result!.spacing).toEqual({ ratio: expect.closeTo(1, 6), label: "well spaced" });
+  });
+
+  it("flags the dancer standing in the wrong spot and says where to go", () => {
+    const user = [at(0.3, 0.5), at(0.5, 0.45), at(0.7, 0.5)];
+    const result = compareFormation(ref, user);
+    expect(result!.dancers[1]!.outOfPlace).toBe(true);
+    expect(result!.dancers[1]!.target.y).toBeGreaterThan(0.5);
+    expect(result!.dancers[0]!.score).toBeGreaterThan(result!.dancers[1]!.score);
+  });
+
+  it("calls a huddled group too close together", () => {
+    const user = [at(0.45, 0.5), at(0.5, 0.53), at(0.55, 0.5)];
+    expect(compareFormation(ref, user)!.spacing.label).toBe("too close together");
+  });
+
+  it("flips the reference layout for a mirrored group", () => {
+    const lopsided = [at(0.3, 0.5), at(0.5, 0.5), at(0.9, 0.5)];
+    // Facing the reference, each dancer takes the spot across from the one they copy
+    const copied = [at(0.7, 0.5), at(0.5, 0.5), at(0.1, 0.5)];
+    expect(compareFormation(lopsided, copied, { mirrored: true })!.score).toBeCloseTo(100, 6);
+    expect(compareFormation(lopsided, copied)!.score).toBeLessThan(80);
+  });
+
+  it("returns targets in image coordinates for wide frames", () => {
+    const aspect = 16 / 9;
+    const user = ref.map(p => ({ ...p, x: p.x * aspect }));
+    const result = compareFormation(ref.map(p => ({ ...p, x: p.x * aspect })), user, { userAspect: aspect });
+    expect(result!.dancers[2]!.target.x).toBeCloseTo(0.7, 6);
+  });
+
+  it("needs two dancers seen in both groups", () => {
+    expect(compareFormation(ref, [at(0.3, 0.5), null, null])).toBeNull();
+  });
+});
+
+describe("formationPoint", () => {
+  it("takes the mid-hip and torso length of a visible dancer", () => {
+    const point = formationPoint(shiftPose(standingPose(), 0.1, 0));
+    expect(point!.x).toBeCloseTo(0.6, 6);
+    expect(point!.y).toBeCloseTo(0.55, 6);
+    expect(point!.torso).toBeCloseTo(0.25, 6);
+  });
+
+  it("skips a dancer whose hips are hidden", () => {
+    const pose = standingPose();
+    pose[23] = { ...pose[23], visibility: 0.1 };
+    expect(formationPoint(pose)).toBeNull();
+  });
+});
+
+describe("analyzeSessionFormation", () => {
+  it("splits the session into phases and averages the spacing", () => {
+    const samples = Array.from({ length: 8 }, (_, i) => ({
+      videoTime: i,
+      formation: { score: i < 4 ? 90 : 50, placement: i < 4 ? 80 : 40, spacing: 1 },
+    }));
+    const result = analyzeSessionFormation(samples, null, 2);
+    expect(result!.phases.map(p => p.score)).toEqual([90, 50]);
+    expect(result!.phases[0].label).toBe("0s–3s");
+    expect(result!.placement).toBe(60);
+    expect(result!.spacing!.label).toBe("well spaced");
+  });
+
+  it("is null for solo sessions", () => {
+    expect(analyzeSessionFormation([{ videoTime: 0 }, { videoTime: 1 }, { videoTime: 2 }])).toBeNull();
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, it, expect } from "vitest";
+import { checkFraming } from "@/utils/framingCheck";
+import { standingPose, movePoints } from "./poses";
+
+describe("checkFraming", () => {
+  it("is happy with the whole body in frame", () => {
+    expect(checkFraming(standingPose())).toMatchObject({ ok: true, cue: "holdStill" });
+  });
+
+  it("asks someone to step in when no one is detected", () => {
+    expect(checkFraming(null)).toMatchObject({ ok: false, cue: "enterFrame" });
+  });
+
+  it("names what is cut off", () => {
+    expect(checkFraming(movePoints(standingPose(), [27, 28, 29, 30, 31, 32], 0, 0.14)).cue).toBe("feetCut");
+    expect(checkFraming(movePoints(standingPose(), [0], 0, -0.19)).cue).toBe("headCut");
+    expect(checkFraming(movePoints(standingPose(), [15], 0.42, 0)).cue).toBe("handsCut");
+  });
+
+  it("treats barely visible joints as out of frame", () => {
+    const pose = standingPose();
+    pose[23] = { ...pose[23], visibility: 0.2 };
+    expect(checkFraming(pose).cue).toBe("faceCamera");
+  });
+
+  it("asks a dancer who is too small in the frame to come closer", () => {
+    const far = standingPose().map(lm => ({ ...lm, x: 0.5 + (lm.x - 0.5) * 0.5, y: 0.5 + (lm.y - 0.5) * 0.5 }));
+    expect(checkFraming(far).cue).toBe("comeCloser");
+  });
+});
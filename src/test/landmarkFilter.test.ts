@@ -0,0 +1,207 @@
+import { describe, it, expect } from "vitest";
+import { createLandmarkFilter, filterLandmarks, DEFAULT_FILTER_SETTINGS } from "@/utils/landmarkFilter";
+import { samplePoseTrack } from "@/utils/poseTrack";
+
+type Landmark = { x: number; y: number; z: number; visibility: number };
+type Point = { x: number; y: number };
+
+const FPS = 24; // i / FPS * FPS stays exact, so every sample lands on a whole frame
+const DURATION = 6;
+const NOISE = 0.004; // MediaPipe-like jitter, in image widths/heights
+const WRIST = 16;
+
+// Where the right wrist is at `t` seconds: holds, a sharp hit, a 1 Hz sweep
+function wristAt(t: number): Point {
+  const start = { x: 0.3, y: 0.5 };
+  const hit = { x: 0.55, y: 0.25 };
+  if (t < 1.5) return start;
+  if (t < 1.6) {
+    const k = (t - 1.5) / 0.1;
+    const s = k * k * (3 - 2 * k);
+    return { x: start.x + (hit.x - start.x) * s, y: start.y + (hit.y - start.y) * s };
+  }
+  if (t < 3 || t >= 5) return hit;
+  return { x: hit.x - 0.12 * Math.sin(2 * Math.PI * (t - 3)), y: hit.y };
+}
+
+// Short occlusions: one while holding still, one mid-sweep
+const OCCLUDED = [[2.2, 2.4], [4.0, 4.15]];
+const isOccluded = (t: number) => OCCLUDED.some(([a, b]) => t >= a && t < b);
+
+// Seeded Gaussian noise, so every run sees the same recording
+function createNoise(seed: number) {
+  let s = seed;
+  const uniform = () => {
+    s = (s + 0x6d2b79f5) | 0;
+    let r = Math.imul(s ^ (s >>> 15), 1 | s);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+  return () => Math.sqrt(-2 * Math.log(uniform() || 1e-12)) * Math.cos(2 * Math.PI * uniform());
+}
+
+/**
+ * A recorded pose track (poseTrack's packed format) of one dancer standing
+ * still except for the right wrist, with detector noise and occlusions where
+ * the wrist's position is a bad guess at low visibility.
+ */
+function recordTrack() {
+  const noise = createNoise(7);
+  const frameCount = DURATION * FPS;
+  const poses = new Float32Array(frameCount * 33 * 4);
+  for (let i = 0; i < frameCount; i++) {
+    const t = i / FPS;
+    for (let j = 0; j < 33; j++) {
+      const truth = j === WRIST ? wristAt(t) : { x: 0.3 + (j % 5) * 0.08, y: 0.2 + Math.floor(j / 5) * 0.1 };
+      const hidden = j === WRIST && isOccluded(t);
+      const spread = hidden ? NOISE * 12 : NOISE;
+      const base = (i * 33 + j) * 4;
+      poses[base] = truth.x + noise() * spread;
+      poses[base + 1] = truth.y + noise() * spread;
+      poses[base + 2] = noise() * spread;
+      poses[base + 3] = hidden ? 0.1 : 0.95;
+    }
+  }
+  return { fps: FPS, duration: DURATION, frameCount, dancers: 1, poses, present: new Uint8Array(frameCount).fill(1) };
+}
+
+// The previous smoothing: a plain average over the last 4 frames
+function createBoxFilter() {
+  const history: Landmark[][] = [];
+  return (landmarks: Landmark[]) => {
+    history.push(landmarks);
+    if (history.length > 4) history.shift();
+    return landmarks.map((_, j) => {
+      const n = history.length;
+      const sum = history.reduce((a, f) => ({ x: a.x + f[j].x, y: a.y + f[j].y }), { x: 0, y: 0 });
+      return { x: sum.x / n, y: sum.y / n, z: 0, visibility: landmarks[j].visibility };
+    });
+  };
+}
+
+function play(track: ReturnType<typeof recordTrack>, step: (landmarks: Landmark[], timeMs: number) => Landmark[]) {
+  const out: Landmark[] = [];
+  for (let i = 0; i < track.frameCount; i++) {
+    const frame = samplePoseTrack(track, i / FPS) as Landmark[];
+    out.push(step(frame, (i / FPS) * 1000)[WRIST]);
+  }
+  return out;
+}
+
+const rms = (values: number[]) => Math.sqrt(values.reduce((a, v) => a + v * v, 0) / values.length);
+const frameRange = (from: number, to: number) => {
+  const frames: number[] = [];
+  for (let i = Math.ceil(from * FPS); i < to * FPS; i++) frames.push(i);
+  return frames;
+};
+const errorAt = (out: Landmark[], i: number, delayMs = 0) => {
+  const truth = wristAt(i / FPS - delayMs / 1000);
+  return Math.hypot(out[i].x - truth.x, out[i].y - truth.y);
+};
+
+/**
+ * Jitter: RMS error while the wrist holds still (settled, occlusions excluded).
+ * Hit lag: ms after the hit ends until 90% of the way there.
+ * Sweep lag: the delay (ms) that best lines the output up with the true sweep.
+ * Gap error: RMS error over the occluded frames.
+ */
+function measure(out: Landmark[]) {
+  const still = [...frameRange(0.5, 1.5), ...frameRange(5.5, 6.0)];
+  const jitter = rms(still.map(i => errorAt(out, i)));
+
+  const from = wristAt(0);
+  const to = wristAt(2);
+  const distance = Math.hypot(to.x - from.x, to.y - from.y);
+  const arrived = frameRange(1.5, 2.0).find(i => Math.hypot(out[i].x - from.x, out[i].y - from.y) >= 0.9 * distance);
+  const hitLag = arrived === undefined ? Infinity : (arrived / FPS - 1.6) * 1000;
+
+  const sweep = frameRange(3.4, 3.95);
+  const sweepError = (delayMs: number) => rms(sweep.map(i => errorAt(out, i, delayMs)));
+  let sweepLag = 0;
+  for (let delayMs = 0; delayMs <= 200; delayMs += 2) {
+    if (sweepError(delayMs) < sweepError(sweepLag)) sweepLag = delayMs;
+  }
+
+  const gapError = rms(OCCLUDED.flatMap(([a, b]) => frameRange(a, b)).map(i => errorAt(out, i)));
+  return { jitter, hitLag, sweepLag, gapError };
+}
+
+describe("landmarkFilter", () => {
+  const track = recordTrack();
+  const raw = measure(play(track, landmarks => landmarks));
+  const boxFilter = createBoxFilter();
+  const box = measure(play(track, landmarks => boxFilter(landmarks)));
+  const run = (kind: string) => {
+    const filter = createLandmarkFilter({ ...DEFAULT_FILTER_SETTINGS, kind });
+    const out = play(track, (landmarks, time) => filterLandmarks(filter, landmarks, time));
+    return { out, ...measure(out) };
+  };
+  const filtered = { oneEuro: run("oneEuro"), kalman: run("kalman") };
+
+  for (const [kind, result] of Object.entries(filtered)) {
+    describe(kind, () => {
+      it("cuts jitter on a held pose", () => {
+        expect(result.jitter).toBeLessThan(raw.jitter * 0.9);
+      });
+
+      it("arrives on a sharp hit sooner than the 4-frame average", () => {
+        expect(result.hitLag).toBeLessThan(box.hitLag);
+      });
+
+      it("follows a sweep with less delay than the 4-frame average", () => {
+        expect(result.sweepLag).toBeLessThan(box.sweepLag);
+      });
+
+      it("fills short occlusions instead of following the detector's guess", () => {
+        for (const i of OCCLUDED.flatMap(([a, b]) => frameRange(a, b))) {
+          expect(result.out[i].visibility).toBeGreaterThanOrEqual(DEFAULT_FILTER_SETTINGS.minVisibility);
+        }
+        expect(result.gapError).toBeLessThan(raw.gapError * 0.7);
+      });
+    });
+  }
+
+  // The trade-off between the two: One Euro for steadiness, Kalman for the least lag
+  it("holds still about as steadily as the 4-frame average with One Euro", () => {
+    expect(filtered.oneEuro.jitter).toBeLessThan(box.jitter * 1.2);
+  });
+
+  it("lags a sweep least with Kalman", () => {
+    expect(filtered.kalman.sweepLag).toBeLessThan(filtered.oneEuro.sweepLag);
+  });
+
+  it("holds a hidden landmark in place in hold mode", () => {
+    const filter = createLandmarkFilter({ ...DEFAULT_FILTER_SETTINGS, gap: "hold" });
+    const at = (x: number, visibility: number) => [{ x, y: 0.5, z: 0, visibility }];
+    for (let i = 0; i < 10; i++) filterLandmarks(filter, at(0.2 + i * 0.01, 0.9), i * 33);
+    const before = filterLandmarks(filter, at(0.3, 0.9), 330)[0];
+    const hidden = filterLandmarks(filter, at(0.9, 0.1), 363)[0];
+    expect(hidden.x).toBe(before.x);
+    expect(hidden.visibility).toBe(0.9);
+  });
+
+  it("gives up on a gap longer than maxGapMs and passes the raw landmark through", () => {
+    const filter = createLandmarkFilter(DEFAULT_FILTER_SETTINGS);
+    filterLandmarks(filter, [{ x: 0.2, y: 0.5, z: 0, visibility: 0.9 }], 0);
+    let last: Landmark | undefined;
+    for (let t = 33; t <= DEFAULT_FILTER_SETTINGS.maxGapMs + 100; t += 33) {
+      last = filterLandmarks(filter, [{ x: 0.8, y: 0.5, z: 0, visibility: 0.1 }], t)[0];
+    }
+    expect(last).toEqual({ x: 0.8, y: 0.5, z: 0, visibility: 0.1 });
+  });
+
+  it("keeps each filter's state to itself", () => {
+    const a = createLandmarkFilter(DEFAULT_FILTER_SETTINGS);
+    const b = createLandmarkFilter(DEFAULT_FILTER_SETTINGS);
+    filterLandmarks(a, [{ x: 0.1, y: 0.1, z: 0, visibility: 1 }], 0);
+    filterLandmarks(a, [{ x: 0.1, y: 0.1, z: 0, visibility: 1 }], 33);
+    const first = filterLandmarks(b, [{ x: 0.9, y: 0.9, z: 0, visibility: 1 }], 0)[0];
+    expect(first.x).toBe(0.9);
+  });
+
+  it("passes landmarks through untouched when off", () => {
+    const filter = createLandmarkFilter({ ...DEFAULT_FILTER_SETTINGS, kind: "off" });
+    const landmarks = [{ x: 0.4, y: 0.6, z: 0, visibility: 0.2 }];
+    expect(filterLandmarks(filter, landmarks, 0)).toBe(landmarks);
+  });
+});
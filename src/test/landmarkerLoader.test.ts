@@ -0,0 +1,35 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { resolveModelPath, modelPath } from "@/utils/landmarkerLoader";
+import { remoteModelUrl } from "@/utils/modelSources";
+
+const respond = (status: number, contentType: string) =>
+  vi.fn().mockResolvedValue(new Response(null, { status, headers: { "content-type": contentType } }));
+
+describe("resolveModelPath", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it("uses the self-hosted model when it is deployed", async () => {
+    vi.stubGlobal("fetch", respond(200, "application/octet-stream"));
+    expect(await resolveModelPath("lite")).toBe(modelPath("lite"));
+  });
+
+  it("falls back to the pinned upstream model when it is missing", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    vi.stubGlobal("fetch", respond(404, "text/plain"));
+    expect(await resolveModelPath("full")).toBe(remoteModelUrl("full"));
+  });
+
+  it("keeps the self-hosted path when offline, where the service worker has it", async () => {
+    vi.stubGlobal("fetch", vi.fn().mockRejectedValue(new TypeError("Failed to fetch")));
+    expect(await resolveModelPath("offline-tier")).toBe(modelPath("offline-tier"));
+  });
+
+  it("treats a host's index.html fallback as missing", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    vi.stubGlobal("fetch", respond(200, "text/html; charset=utf-8"));
+    expect(await resolveModelPath("heavy")).toBe(remoteModelUrl("heavy"));
+  });
+});
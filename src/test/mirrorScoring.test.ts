@@ -0,0 +1,46 @@
+import { describe, it, expect } from "vitest";
+import { compareWithOrientation, createOrientationState, MIRROR_MODES } from "@/utils/mirrorScoring";
+import { mirrorPose } from "@/utils/poseNormalizer";
+import { standingPose, movePoints } from "./poses";
+
+// Reference dancer with their left arm raised out to the side
+const ref = movePoints(movePoints(standingPose(), [15, 17, 19, 21], 0.2, -0.3), [13], 0.08, -0.15);
+
+function run(user: typeof ref, state: ReturnType<typeof createOrientationState>, samples: number) {
+  let last = null;
+  for (let i = 0; i < samples; i++) last = compareWithOrientation(ref, user, state, undefined, null);
+  return last!;
+}
+
+describe("compareWithOrientation", () => {
+  it("locks auto mode to mirrored for a student copying face to face", () => {
+    const state = createOrientationState(MIRROR_MODES.AUTO);
+    const out = run(mirrorPose(ref), state, 30);
+    expect(state.resolved).toBe(true);
+    expect(state.mirrored).toBe(true);
+    expect(out.result.mirrored).toBe(true);
+    expect(out.result.overall).toBeGreaterThan(95);
+  });
+
+  it("keeps the same side when the student matches the reference as-is", () => {
+    const state = createOrientationState(MIRROR_MODES.AUTO);
+    const out = run(ref, state, 30);
+    expect(state.mirrored).toBe(false);
+    expect(out.refPose).toBe(ref);
+  });
+
+  it("keeps scoring both ways until enough samples are in", () => {
+    const state = createOrientationState(MIRROR_MODES.AUTO);
+    run(mirrorPose(ref), state, 5);
+    expect(state.resolved).toBe(false);
+    // The better fit so far is still used meanwhile
+    expect(state.mirrored).toBe(true);
+  });
+
+  it("never switches a fixed mode", () => {
+    const state = createOrientationState(MIRROR_MODES.OFF);
+    const out = run(mirrorPose(ref), state, 40);
+    expect(state.mirrored).toBe(false);
+    expect(out.result.overall).toBeLessThan(90);
+  });
+});
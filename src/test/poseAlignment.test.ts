@@ -0,0 +1,59 @@
+import { describe, it, expect } from "vitest";
+import { alignPoseHistory, pushAlignmentSample, describeTimingOffset } from "@/utils/poseAlignment";
+import { standingPose, movePoints } from "./poses";
+
+const TICK = 0.1;
+
+// Both arms swinging out and back once a second
+const swing = (delay = 0) => (t: number) => {
+  const lift = 0.12 * Math.sin(2 * Math.PI * (t - delay));
+  let pose = movePoints(standingPose(), [15, 17, 19, 21], lift, -lift);
+  pose = movePoints(pose, [16, 18, 20, 22], -lift, -lift);
+  return movePoints(movePoints(pose, [13], lift / 2, -lift / 2), [14], -lift / 2, -lift / 2);
+};
+
+function history(ref: (t: number) => unknown, user: (t: number) => unknown, duration = 3) {
+  const h: unknown[] = [];
+  for (let i = 0; i < Math.round(duration / TICK); i++) {
+    const t = Math.round(i * TICK * 1000) / 1000;
+    pushAlignmentSample(h, ref(t), user(t), t);
+  }
+  return h;
+}
+
+describe("alignPoseHistory", () => {
+  it("finds a user a fixed time behind the reference", () => {
+    const result = alignPoseHistory(history(swing(), swing(0.3)));
+    expect(result!.offsetMs).toBeGreaterThanOrEqual(250);
+    expect(result!.offsetMs).toBeLessThanOrEqual(350);
+    expect(result!.segments.leftArm!.offsetMs).toBe(result!.offsetMs);
+    // Once the lag is taken out the shape matches; at zero lag it didn't
+    expect(result!.segments.leftArm!.shape).toBeGreaterThan(result!.segments.leftArm!.zeroLag + 5);
+    // Segments that don't move carry no timing
+    expect(result!.segments.leftLeg!.offsetMs).toBe(0);
+  });
+
+  it("reports early users with a negative offset", () => {
+    const result = alignPoseHistory(history(swing(), swing(-0.3)));
+    expect(result!.offsetMs).toBeLessThanOrEqual(-250);
+    expect(describeTimingOffset(result!.offsetMs)).toMatch(/early$/);
+  });
+
+  it("keeps zero lag when the dancers are in step", () => {
+    const result = alignPoseHistory(history(swing(), swing()));
+    expect(result!.offsetMs).toBe(0);
+    expect(describeTimingOffset(result!.offsetMs)).toBe("on time");
+  });
+
+  it("starts over after a seek backwards", () => {
+    const h = history(swing(), swing(), 1.5);
+    pushAlignmentSample(h, swing()(0.2), swing()(0.2), 0.2);
+    expect(h).toHaveLength(1);
+    expect(alignPoseHistory(h)).toBeNull();
+  });
+
+  it("drops samples older than the window", () => {
+    const h = history(swing(), swing(), 5) as Array<{ videoTime: number }>;
+    expect(h[h.length - 1].videoTime - h[0].videoTime).toBeLessThanOrEqual(3);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from "vitest";
+import { computeCorrections, segmentCorrection, phraseCorrection } from "@/utils/poseCorrections";
+import { standingPose, type Landmark } from "./poses";
+
+const LEFT_ARM = [11, 13, 15, 17, 19, 21];
+const rad = (deg: number) => deg * Math.PI / 180;
+
+// Copy of `pose` with the left upper arm along `upper` and the forearm along `fore`
+// (unit vectors in landmark space: x right, y down, z away from the camera)
+function leftArm(pose: Landmark[], upper: number[], fore = upper) {
+  const [s, e, w, ...hand] = LEFT_ARM;
+  const out = pose.map(lm => ({ ...lm }));
+  const at = (from: Landmark, [dx, dy, dz]: number[], len: number) =>
+    ({ ...from, x: from.x + dx * len, y: from.y + dy * len, z: from.z + dz * len });
+  out[e] = at(out[s], upper, 0.12);
+  out[w] = at(out[e], fore, 0.12);
+  for (const h of hand) out[h] = { ...out[h], x: out[w].x + pose[h].x - pose[w].x, y: out[w].y + pose[h].y - pose[w].y, z: out[w].z };
+  return out;
+}
+
+const DOWN = [0, 1, 0];
+// Toward the camera is forward for a dancer facing it
+const forwardBy = (deg: number) => [0, Math.cos(rad(deg)), -Math.sin(rad(deg))];
+
+// The same pose seen from behind: turned half way round
+const fromBehind = (pose: Landmark[]) => pose.map(lm => ({ ...lm, x: 1 - lm.x, z: -lm.z }));
+
+describe("computeCorrections", () => {
+  it("finds nothing to correct when the poses match", () => {
+    const pose = leftArm(standingPose(), DOWN);
+    expect(computeCorrections(pose, pose)).toEqual([]);
+  });
+
+  it("says which way a limb is off, in degrees", () => {
+    const ref = leftArm(standingPose(), DOWN);
+    const user = leftArm(standingPose(), forwardBy(40));
+    const c = segmentCorrection(computeCorrections(ref, user), "leftArm")!;
+    expect(c).toMatchObject({ cue: "back", axis: "depth", degrees: 40, anchor: [13] });
+    expect(phraseCorrection("en", c)).toBe("Take your left arm about 40 degrees further back");
+  });
+
+  it("reads directions in the dancer's own frame whichever way they face", () => {
+    const ref = leftArm(standingPose(), DOWN);
+    const user = leftArm(standingPose(), forwardBy(40));
+    const c = segmentCorrection(computeCorrections(fromBehind(ref), fromBehind(user)), "leftArm")!;
+    expect(c).toMatchObject({ cue: "back", degrees: 40 });
+  });
+
+  it("straightens a bent elbow, with the offset leading to the reference's wrist", () => {
+    const ref = leftArm(standingPose(), DOWN);
+    const user = leftArm(standingPose(), DOWN, [1, 0, 0]);
+    const corrections = computeCorrections(ref, user);
+    const c = corrections.find(x => x.joint === "leftElbow")!;
+    expect(c).toMatchObject({ cue: "straighten", axis: "bend", degrees: 90, anchor: [15] });
+
+    const torso = 0.25;
+    expect(user[15].x + c.offset.x * torso).toBeCloseTo(ref[15].x, 6);
+    expect(user[15].y + c.offset.y * torso).toBeCloseTo(ref[15].y, 6);
+  });
+
+  it("puts the biggest correction first and ignores small differences", () => {
+    const ref = leftArm(standingPose(), DOWN);
+    expect(computeCorrections(ref, leftArm(standingPose(), forwardBy(10)))).toEqual([]);
+
+    const corrections = computeCorrections(ref, leftArm(standingPose(), forwardBy(70), forwardBy(20)));
+    const angles = corrections.map(c => c.angle);
+    expect(angles).toEqual([...angles].sort((a, b) => b - a));
+    expect(corrections[0].segment).toBe("leftArm");
+  });
+
+  it("gives up without both torsos in view", () => {
+    const user = standingPose();
+    user[12] = { ...user[12], visibility: 0 };
+    expect(computeCorrections(standingPose(), user)).toEqual([]);
+    expect(computeCorrections(null, user)).toEqual([]);
+  });
+});
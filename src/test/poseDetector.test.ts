@@ -0,0 +1,177 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createPoseDetector } from "@/utils/poseDetector";
+import { createPoseLandmarker } from "@/utils/landmarkerLoader";
+
+vi.mock("@/utils/landmarkerLoader", () => ({ createPoseLandmarker: vi.fn() }));
+
+type Message = { id: number; type: string; [key: string]: unknown };
+
+// Stands in for the module worker: records what it is sent, replies on demand
+class FakeWorker {
+  static last: FakeWorker;
+  messages: Message[] = [];
+  transfers: unknown[][] = [];
+  terminated = false;
+  onmessage: ((event: { data: unknown }) => void) | null = null;
+  onerror: ((event: { message: string; preventDefault?: () => void }) => void) | null = null;
+  constructor() { FakeWorker.last = this; }
+  postMessage(message: Message, transfer: unknown[] = []) { this.messages.push(message); this.transfers.push(transfer); }
+  terminate() { this.terminated = true; }
+  reply(data: object) { this.onmessage?.({ data }); }
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+const video = {} as HTMLVideoElement;
+const frame = () => ({ close: vi.fn() });
+
+function mainThreadLandmarker() {
+  const landmarker = {
+    detectForVideo: vi.fn(() => ({ landmarks: [["user"]], worldLandmarks: [["world"]] })),
+    setOptions: vi.fn(),
+    close: vi.fn(),
+  };
+  vi.mocked(createPoseLandmarker).mockResolvedValue({ landmarker, tier: "lite", delegate: "CPU" } as never);
+  return landmarker;
+}
+
+describe("createPoseDetector in a worker", () => {
+  beforeEach(() => {
+    vi.stubGlobal("Worker", FakeWorker);
+    vi.stubGlobal("createImageBitmap", vi.fn(async () => frame()));
+  });
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  async function ready() {
+    const created = createPoseDetector({ numPoses: 2, tier: "full" });
+    const worker = FakeWorker.last;
+    worker.reply({ id: 0, type: "ready", tier: "full", delegate: "GPU" });
+    return { detector: await created, worker };
+  }
+
+  it("initializes the worker's landmarker and reports what it loaded", async () => {
+    const { detector, worker } = await ready();
+    expect(worker.messages[0]).toEqual({ type: "init", numPoses: 2, tier: "full", id: 0 });
+    expect(detector).toMatchObject({ tier: "full", delegate: "GPU", inWorker: true });
+  });
+
+  it("transfers each frame and resolves detections by request id", async () => {
+    const { detector, worker } = await ready();
+    const first = detector.detect(video, 10);
+    await flush();
+    const second = detector.detect(video, 20);
+    await flush();
+
+    const [, a, b] = worker.messages;
+    expect(a).toMatchObject({ type: "detect", timestamp: 10 });
+    expect(worker.transfers[1]).toEqual([a.frame]);
+    // Answered out of order, each still gets its own result
+    worker.reply({ id: b.id, type: "result", landmarks: ["b"], worldLandmarks: [] });
+    worker.reply({ id: a.id, type: "result", landmarks: ["a"], worldLandmarks: [] });
+    expect((await first).landmarks).toEqual(["a"]);
+    expect((await second).landmarks).toEqual(["b"]);
+  });
+
+  it("rejects a request the worker reports an error for", async () => {
+    const { detector, worker } = await ready();
+    const options = detector.setOptions({ numPoses: 1 });
+    worker.reply({ id: worker.messages[1].id, type: "error", message: "bad options" });
+    await expect(options).rejects.toThrow("bad options");
+  });
+
+  it("fails every pending request when the worker crashes", async () => {
+    const { detector, worker } = await ready();
+    const detections = [detector.detect(video, 10), detector.detect(video, 20)];
+    await flush();
+    const preventDefault = vi.fn();
+    worker.onerror!({ message: "out of memory", preventDefault });
+    for (const detection of detections) await expect(detection).rejects.toThrow("out of memory");
+    expect(preventDefault).toHaveBeenCalled();
+  });
+
+  it("fails pending requests on close, and closes frames grabbed afterwards", async () => {
+    const { detector, worker } = await ready();
+    const pending = detector.detect(video, 10);
+    await flush();
+    detector.close();
+    await expect(pending).rejects.toThrow("closed");
+    expect(worker.messages.at(-1)).toEqual({ type: "close" });
+
+    const late = frame();
+    vi.mocked(createImageBitmap).mockResolvedValueOnce(late as never);
+    await expect(detector.detect(video, 20)).rejects.toThrow("closed");
+    expect(late.close).toHaveBeenCalled();
+  });
+
+  it("falls back to the main thread when the worker can't load a model", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    mainThreadLandmarker();
+    const created = createPoseDetector({ tier: "heavy" });
+    const worker = FakeWorker.last;
+    worker.reply({ id: 0, type: "error", message: "no WebGL" });
+    const detector = await created;
+    expect(worker.terminated).toBe(true);
+    expect(detector.inWorker).toBe(false);
+    expect(createPoseLandmarker).toHaveBeenCalledWith({ numPoses: 1, tier: "heavy" });
+  });
+});
+
+describe("createPoseDetector on the main thread", () => {
+  afterEach(() => vi.restoreAllMocks());
+
+  it("detects with a main-thread landmarker where module workers aren't available", async () => {
+    const landmarker = mainThreadLandmarker();
+    const detector = await createPoseDetector({ tier: "lite" });
+    expect(detector).toMatchObject({ tier: "lite", delegate: "CPU", inWorker: false });
+    expect(await detector.detect(video, 5)).toEqual({ landmarks: [["user"]], worldLandmarks: [["world"]] });
+    expect(landmarker.detectForVideo).toHaveBeenCalledWith(video, 5);
+    detector.close();
+    expect(landmarker.close).toHaveBeenCalled();
+  });
+});
+
+describe("pose detector worker", () => {
+  let posted: Message[];
+
+  beforeEach(async () => {
+    posted = [];
+    vi.stubGlobal("postMessage", (message: Message) => posted.push(message));
+    vi.stubGlobal("close", vi.fn());
+    await import("@/utils/poseDetector.worker.js");
+  });
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  const send = (data: object) => (self.onmessage as unknown as (event: { data: object }) => Promise<void>)({ data });
+
+  it("answers init, detect and close, closing every frame it is given", async () => {
+    const landmarker = mainThreadLandmarker();
+    await send({ id: 0, type: "init", numPoses: 1, tier: "lite" });
+    expect(posted[0]).toEqual({ id: 0, type: "ready", tier: "lite", delegate: "CPU" });
+
+    const detected = frame();
+    await send({ id: 1, type: "detect", frame: detected, timestamp: 40 });
+    expect(landmarker.detectForVideo).toHaveBeenCalledWith(detected, 40);
+    expect(posted[1]).toEqual({ id: 1, type: "result", landmarks: [["user"]], worldLandmarks: [["world"]] });
+    expect(detected.close).toHaveBeenCalled();
+
+    await send({ type: "close" });
+    expect(landmarker.close).toHaveBeenCalled();
+    expect(self.close).toHaveBeenCalled();
+  });
+
+  it("reports a failed detection as an error and still closes the frame", async () => {
+    const landmarker = mainThreadLandmarker();
+    landmarker.detectForVideo.mockImplementation(() => { throw new Error("timestamp went backwards"); });
+    await send({ id: 0, type: "init", numPoses: 1, tier: "lite" });
+
+    const detected = frame();
+    await send({ id: 1, type: "detect", frame: detected, timestamp: 10 });
+    expect(posted[1]).toEqual({ id: 1, type: "error", message: "timestamp went backwards" });
+    expect(detected.close).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect } from "vitest";
+import { retargetPose, measureReferenceBones, updateBoneMaxima, fitPoseToBody } from "@/utils/poseRetargeting";
+import { scaleToAspect } from "@/utils/poseNormalizer";
+import { standingPose, tPose, movePoints, dist, type Landmark } from "./poses";
+
+// A pose as a 16:9 camera sees it: image x squeezed by the aspect ratio
+const WIDE = 16 / 9;
+const onFrame = (pose: Landmark[], aspect: number) => pose.map(lm => ({ ...lm, x: 0.5 + (lm.x - 0.5) / aspect }));
+const onWideFrame = (pose: Landmark[]) => onFrame(pose, WIDE);
+
+// Left forearm pointing straight at the camera: short on screen, full length in 3D
+function reachingForward() {
+  const image = movePoints(standingPose(), [15, 17, 19, 21], -0.005, -0.09);
+  const world = movePoints(standingPose(), [15, 17, 19, 21], -0.01, -0.1, -0.1);
+  return { image, world };
+}
+
+describe("poseRetargeting", () => {
+  it("leaves the reference alone when the user's proportions match the dancer's", () => {
+    const pose = standingPose();
+    const bones = measureReferenceBones(pose);
+    const out = retargetPose(pose, bones, bones);
+    out.forEach((lm, i) => {
+      expect(lm.x).toBeCloseTo(pose[i].x, 6);
+      expect(lm.y).toBeCloseTo(pose[i].y, 6);
+    });
+  });
+
+  it("keeps a foreshortened limb short instead of stretching it to full length", () => {
+    const { image, world } = reachingForward();
+    const bones = measureReferenceBones(standingPose());
+    const out = retargetPose(image, bones, measureReferenceBones(world));
+    expect(dist(out[13], out[15])).toBeCloseTo(dist(image[13], image[15]), 3);
+    expect(dist(out[13], out[15])).toBeLessThan(dist(standingPose()[13], standingPose()[15]) / 2);
+  });
+
+  it("scales a bone by the user's length over the dancer's, keeping its direction", () => {
+    const pose = standingPose();
+    const refBones = measureReferenceBones(pose)!;
+    const bones = { ...refBones, "13-15": refBones["13-15"] * 1.2, "14-16": refBones["14-16"] * 1.2 };
+    const out = retargetPose(pose, bones, refBones);
+
+    const before = { x: pose[15].x - pose[13].x, y: pose[15].y - pose[13].y };
+    const after = { x: out[15].x - out[13].x, y: out[15].y - out[13].y };
+    expect(after.x).toBeCloseTo(before.x * 1.2, 6);
+    expect(after.y).toBeCloseTo(before.y * 1.2, 6);
+    // The hand points follow the wrist
+    expect(out[19].y - out[15].y).toBeCloseTo(pose[19].y - pose[15].y, 6);
+    // Bones further up are untouched
+    expect(out[13].x).toBeCloseTo(pose[13].x, 6);
+  });
+
+  it("measures the longest each bone has looked when there are no world landmarks", () => {
+    const maxima = {};
+    updateBoneMaxima(maxima, standingPose());
+    const standing = { ...maxima };
+    updateBoneMaxima(maxima, reachingForward().image);
+    expect(maxima).toEqual(standing);
+  });
+
+  it("measures image bones on a wide frame in the same units as the calibration", () => {
+    const square = updateBoneMaxima({}, tPose());
+    const wide = updateBoneMaxima({}, onWideFrame(tPose()), WIDE);
+    for (const key of Object.keys(square)) expect(wide[key]).toBeCloseTo(square[key], 6);
+    // A dancer with the user's proportions keeps their arm length
+    const out = retargetPose(onWideFrame(tPose()), square, wide);
+    expect(out[15].x).toBeCloseTo(onWideFrame(tPose())[15].x, 6);
+  });
+
+  it("scales bones by their true length on a wide frame", () => {
+    const refBones = measureReferenceBones(tPose())!;
+    const bones = { ...refBones, "13-15": refBones["13-15"] * 1.2, "14-16": refBones["14-16"] * 1.2 };
+    const out = scaleToAspect(retargetPose(onWideFrame(tPose()), bones, refBones), WIDE)!;
+    const before = scaleToAspect(onWideFrame(tPose()), WIDE)!;
+    expect(dist(out[13], out[15])).toBeCloseTo(dist(before[13], before[15]) * 1.2, 6);
+    expect(dist(out[11], out[13])).toBeCloseTo(dist(before[11], before[13]), 6);
+  });
+
+  it("returns the pose unchanged without a calibration", () => {
+    const pose = standingPose();
+    expect(retargetPose(pose, null, null)).toBe(pose);
+  });
+});
+
+describe("fitPoseToBody", () => {
+  it("keeps the pose's shape between a 4:3 reference and a 16:9 webcam", () => {
+    // The reference's T-pose on a 4:3 video, fitted onto a dancer on a 16:9 webcam
+    const ghost = fitPoseToBody(onFrame(tPose(), 4 / 3), onWideFrame(standingPose()), 4 / 3, WIDE)!;
+    const body = onWideFrame(standingPose());
+    // Same hips, in the webcam's image space
+    expect((ghost[23].x + ghost[24].x) / 2).toBeCloseTo((body[23].x + body[24].x) / 2, 6);
+    expect((ghost[23].y + ghost[24].y) / 2).toBeCloseTo((body[23].y + body[24].y) / 2, 6);
+    // On screen, the upper arm keeps its length relative to the shoulder-to-hip line, and stays level
+    const shown = scaleToAspect(ghost, WIDE)!;
+    const t = tPose();
+    expect(dist(shown[11], shown[13]) / dist(shown[11], shown[23])).toBeCloseTo(dist(t[11], t[13]) / dist(t[11], t[23]), 6);
+    expect(shown[15].y).toBeCloseTo(shown[11].y, 6);
+  });
+
+  it("matches the plain fit when both videos are square", () => {
+    const ghost = fitPoseToBody(tPose(), standingPose())!;
+    tPose().forEach((lm, i) => {
+      expect(ghost[i].x).toBeCloseTo(lm.x, 6);
+      expect(ghost[i].y).toBeCloseTo(lm.y, 6);
+    });
+  });
+});
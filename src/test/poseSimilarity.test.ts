@@ -0,0 +1,78 @@
+import { describe, it, expect } from "vitest";
+import { comparePoses } from "@/utils/poseSimilarity";
+import { getScoringProfile } from "@/utils/scoringProfiles";
+import { tPose, movePoints, shiftPose, type Landmark } from "./poses";
+
+// Copy of `pose` with the given landmarks turned by `deg` around landmark `pivot`, in the image plane
+function rotatePoints(pose: Landmark[], indices: number[], pivot: number, deg: number): Landmark[] {
+  const { x: px, y: py } = pose[pivot];
+  const cos = Math.cos(deg * Math.PI / 180);
+  const sin = Math.sin(deg * Math.PI / 180);
+  return pose.map((lm, i) => (indices.includes(i)
+    ? { ...lm, x: px + (lm.x - px) * cos - (lm.y - py) * sin, y: py + (lm.x - px) * sin + (lm.y - py) * cos }
+    : { ...lm }));
+}
+
+// Reference with the left arm straight out; the user bends it 45° at the elbow, hand and all
+const ref = tPose();
+const bentElbow = rotatePoints(ref, [15, 17, 19, 21], 13, 45);
+
+describe("jointAngle scorer", () => {
+  it("scores a 45° elbow error on its joint, halved across the arm's two joints", () => {
+    const result = comparePoses(ref, bentElbow, "jointAngle")!;
+    const elbow = result.joints.find((j: { joint: string }) => j.joint === "leftElbow");
+    expect(elbow.delta).toBeCloseTo(-45, 5);
+    expect(result.angleErrors.leftArm).toBeCloseTo(22.5, 5);
+    expect(result.segments.leftArm).toBeCloseTo(75, 5);
+  });
+
+  it("leaves the segments that did not move at 100", () => {
+    const result = comparePoses(ref, bentElbow, "jointAngle")!;
+    expect(result.segments.rightArm).toBeCloseTo(100, 5);
+    // The hand turned with the forearm, so the wrist angle is unchanged
+    expect(result.segments.leftHand).toBeCloseTo(100, 5);
+  });
+});
+
+describe("angleErrors", () => {
+  it("reports each segment's mean bone direction error in degrees", () => {
+    const result = comparePoses(ref, bentElbow, "cosine")!;
+    // Upper arm 0°, forearm 45°
+    expect(result.angleErrors.leftArm).toBeCloseTo(22.5, 5);
+    expect(result.angleErrors.leftHand).toBeCloseTo(45, 5);
+    expect(result.angleErrors.rightArm).toBeCloseTo(0, 5);
+    // The score itself comes from the mean cosine, (1 + cos 45°) / 2
+    expect(result.segments.leftArm).toBeCloseTo(((1 + (1 + Math.SQRT1_2) / 2) / 2) * 100, 5);
+  });
+});
+
+describe("oks scorer", () => {
+  it("scores the same pose 100 wherever it stands in the frame", () => {
+    const moved = shiftPose(ref, 0.1, 0.05);
+    const result = comparePoses(ref, moved, "oks")!;
+    for (const score of Object.values(result.segments)) expect(score).toBeCloseTo(100, 5);
+  });
+
+  it("falls off with a keypoint's distance relative to its sigma", () => {
+    // Torso length is 0.25 in the fixture; the wrist's falloff k is 2 × 0.062 × 3 torso lengths
+    const k = 2 * 0.062 * 3 * 0.25;
+    const result = comparePoses(ref, movePoints(ref, [15], 0, k), "oks")!;
+    // Shoulder and elbow still match; the wrist is one k away, exp(-1/2)
+    expect(result.segments.leftArm).toBeCloseTo(((2 + Math.exp(-0.5)) / 3) * 100, 4);
+    const further = comparePoses(ref, movePoints(ref, [15], 0, 2 * k), "oks")!;
+    expect(further.segments.leftArm).toBeLessThan(result.segments.leftArm);
+  });
+});
+
+describe("scoring profile segments", () => {
+  it("scores only the profile's segments and keeps only their joints", () => {
+    const result = comparePoses(ref, bentElbow, "jointAngle", getScoringProfile("legsOnly"))!;
+    expect(result.segments.leftArm).toBeNull();
+    expect(result.angleErrors.leftArm).toBeNull();
+    expect(result.segments.leftLeg).toBeCloseTo(100, 5);
+    expect(result.joints.every((j: { segment: string }) => ["leftLeg", "rightLeg", "leftFoot", "rightFoot"].includes(j.segment))).toBe(true);
+    // The bent arm no longer counts
+    expect(result.overall).toBeCloseTo(100, 5);
+    expect(result.profile).toBe("legsOnly");
+  });
+});
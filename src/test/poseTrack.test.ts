@@ -0,0 +1,79 @@
+import { describe, it, expect } from "vitest";
+import { samplePoseTrack, sampleWorldPose } from "@/utils/poseTrack";
+
+const FPS = 10;
+const FRAMES = 4;
+const DANCERS = 2;
+
+// A packed two-dancer track where dancer d's landmarks in frame i sit at x = i / 10 + d,
+// with visibility fading frame by frame and world x counting frames.
+// `missing` lists [frame, dancer] pairs without a pose.
+function track(missing: Array<[number, number]> = []) {
+  const poses = new Float32Array(FRAMES * DANCERS * 33 * 4);
+  const world = new Float32Array(FRAMES * DANCERS * 33 * 3);
+  const present = new Uint8Array(FRAMES * DANCERS).fill(1);
+  for (let i = 0; i < FRAMES; i++) {
+    for (let d = 0; d < DANCERS; d++) {
+      for (let j = 0; j < 33; j++) {
+        poses.set([i / 10 + d, j / 100, 0, 1 - i / 10], ((i * DANCERS + d) * 33 + j) * 4);
+        world.set([i, j, d], ((i * DANCERS + d) * 33 + j) * 3);
+      }
+    }
+  }
+  for (const [i, d] of missing) present[i * DANCERS + d] = 0;
+  return { fps: FPS, frameCount: FRAMES, dancers: DANCERS, poses, world, present };
+}
+
+describe("samplePoseTrack", () => {
+  it("interpolates between the two nearest frames", () => {
+    const pose = samplePoseTrack(track(), 0.15)!;
+    expect(pose).toHaveLength(33);
+    expect(pose[0].x).toBeCloseTo(0.15, 5);
+    expect(pose[5].y).toBeCloseTo(0.05, 5);
+    // The less certain of the two frames
+    expect(pose[0].visibility).toBeCloseTo(0.8, 5);
+  });
+
+  it("reads each dancer's own slot", () => {
+    expect(samplePoseTrack(track(), 0.1, 1)![0].x).toBeCloseTo(1.1, 5);
+  });
+
+  it("falls back to whichever neighbouring frame has a pose", () => {
+    const gap = track([[2, 0]]);
+    expect(samplePoseTrack(gap, 0.15)![0].x).toBeCloseTo(0.1, 5);
+    expect(samplePoseTrack(gap, 0.25)![0].x).toBeCloseTo(0.3, 5);
+    // The other dancer is still there
+    expect(samplePoseTrack(gap, 0.15, 1)![0].x).toBeCloseTo(1.15, 5);
+  });
+
+  it("returns null where the present mask has no pose on either side", () => {
+    const gone = track([[1, 1], [2, 1]]);
+    expect(samplePoseTrack(gone, 0.15, 1)).toBeNull();
+    expect(samplePoseTrack(gone, 0.15, 0)).not.toBeNull();
+    expect(samplePoseTrack(gone, 0.15, 2)).toBeNull();
+  });
+
+  it("clamps times outside the video to its first and last frames", () => {
+    expect(samplePoseTrack(track(), -1)![0].x).toBeCloseTo(0, 5);
+    expect(samplePoseTrack(track(), 99)![0].x).toBeCloseTo(0.3, 5);
+  });
+});
+
+describe("sampleWorldPose", () => {
+  it("interpolates world landmarks with the image landmarks' visibility", () => {
+    const pose = sampleWorldPose(track(), 0.15, 1)!;
+    expect(pose[4]).toMatchObject({ y: 4, z: 1 });
+    expect(pose[4].x).toBeCloseTo(1.5, 5);
+    expect(pose[4].visibility).toBeCloseTo(0.8, 5);
+  });
+
+  it("uses the one frame that has a pose, like samplePoseTrack", () => {
+    expect(sampleWorldPose(track([[2, 0]]), 0.15)![0].x).toBeCloseTo(1, 5);
+    expect(sampleWorldPose(track([[1, 0]]), 0.15)![0].x).toBeCloseTo(2, 5);
+    expect(sampleWorldPose(track([[1, 0], [2, 0]]), 0.15)).toBeNull();
+  });
+
+  it("returns null for tracks saved without world landmarks", () => {
+    expect(sampleWorldPose({ ...track(), world: undefined }, 0.15)).toBeNull();
+  });
+});
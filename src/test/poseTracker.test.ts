@@ -0,0 +1,71 @@
+import { describe, it, expect } from "vitest";
+import { createPoseTracker, updatePoseTracker } from "@/utils/poseTracker";
+import { standingPose, shiftPose } from "./poses";
+
+// A dancer with their mid-hip at (x, y); the fixture's is at (0.5, 0.55)
+const dancer = (x: number, y = 0.55) => shiftPose(standingPose(), x - 0.5, y - 0.55);
+
+type Slot = { landmarks: ReturnType<typeof standingPose>; isNew: boolean } | null;
+const hipX = (slot: Slot) => slot && (slot.landmarks[23].x + slot.landmarks[24].x) / 2;
+const hipY = (slot: Slot) => slot && (slot.landmarks[23].y + slot.landmarks[24].y) / 2;
+
+describe("updatePoseTracker", () => {
+  it("fills free slots with newcomers left to right", () => {
+    const tracker = createPoseTracker(3);
+    const out = updatePoseTracker(tracker, [dancer(0.8), dancer(0.2)]);
+    expect(hipX(out[0])).toBeCloseTo(0.2, 6);
+    expect(hipX(out[1])).toBeCloseTo(0.8, 6);
+    expect(out[2]).toBeNull();
+    expect(out[0].isNew && out[1].isNew).toBe(true);
+  });
+
+  it("keeps each dancer in their slot whatever order they are detected in", () => {
+    const tracker = createPoseTracker(2);
+    updatePoseTracker(tracker, [dancer(0.2), dancer(0.8)]);
+    const out = updatePoseTracker(tracker, [dancer(0.79), dancer(0.21)]);
+    expect(hipX(out[0])).toBeCloseTo(0.21, 6);
+    expect(hipX(out[1])).toBeCloseTo(0.79, 6);
+    expect(out[0].isNew || out[1].isNew).toBe(false);
+  });
+
+  it("follows two dancers crossing paths", () => {
+    // One crosses upstage of the other, left to right, as the other goes right to left
+    const tracker = createPoseTracker(2);
+    for (let i = 0; i <= 10; i++) {
+      const out = updatePoseTracker(tracker, [dancer(0.7 - i * 0.04, 0.65), dancer(0.3 + i * 0.04, 0.45)]);
+      expect(hipY(out[0])).toBeCloseTo(0.45, 6);
+      expect(hipX(out[0])).toBeCloseTo(0.3 + i * 0.04, 6);
+      expect(hipY(out[1])).toBeCloseTo(0.65, 6);
+    }
+  });
+
+  it("gives a briefly hidden dancer their slot back, with a wider search the longer they were gone", () => {
+    const tracker = createPoseTracker(2);
+    updatePoseTracker(tracker, [dancer(0.2), dancer(0.5)]);
+    for (let i = 0; i < 8; i++) updatePoseTracker(tracker, [dancer(0.2)]);
+    // Further than one frame's match distance from where they were last seen
+    const out = updatePoseTracker(tracker, [dancer(0.2), dancer(0.8)]);
+    expect(hipX(out[1])).toBeCloseTo(0.8, 6);
+    expect(out[1].isNew).toBe(false);
+  });
+
+  it("gives a slot away once its dancer has been missing too long", () => {
+    const gone = (frames: number) => {
+      const tracker = createPoseTracker(2);
+      updatePoseTracker(tracker, [dancer(0.3), dancer(0.7)]);
+      for (let i = 0; i < frames; i++) updatePoseTracker(tracker, [dancer(0.3)]);
+      return updatePoseTracker(tracker, [dancer(0.3), dancer(0.7)])[1];
+    };
+    expect(gone(30).isNew).toBe(false);
+    expect(gone(31).isNew).toBe(true);
+  });
+
+  it("lets a newcomer take a never-used slot before a recently vacated one", () => {
+    const tracker = createPoseTracker(3);
+    updatePoseTracker(tracker, [dancer(0.2), dancer(0.5)]);
+    const out = updatePoseTracker(tracker, [dancer(0.2), dancer(0.9)]);
+    expect(out[1]).toBeNull();
+    expect(hipX(out[2])).toBeCloseTo(0.9, 6);
+    expect(out[2].isNew).toBe(true);
+  });
+});
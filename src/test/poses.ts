@@ -0,0 +1,56 @@
+// Hand-built poses for the pose utilities' tests
+
+export type Landmark = { x: number; y: number; z: number; visibility: number };
+
+// A dancer facing the camera, arms hanging, in image coordinates (x right, y down).
+// Their left side (odd indices) is on the image's right.
+const STANDING: Array<[number, number]> = [
+  [0.5, 0.2],
+  [0.51, 0.19], [0.52, 0.19], [0.53, 0.19],
+  [0.49, 0.19], [0.48, 0.19], [0.47, 0.19],
+  [0.54, 0.2], [0.46, 0.2],
+  [0.51, 0.23], [0.49, 0.23],
+  [0.56, 0.3], [0.44, 0.3],
+  [0.58, 0.42], [0.42, 0.42],
+  [0.59, 0.52], [0.41, 0.52],
+  [0.6, 0.55], [0.4, 0.55],
+  [0.59, 0.56], [0.41, 0.56],
+  [0.58, 0.54], [0.42, 0.54],
+  [0.54, 0.55], [0.46, 0.55],
+  [0.54, 0.7], [0.46, 0.7],
+  [0.54, 0.85], [0.46, 0.85],
+  [0.545, 0.87], [0.455, 0.87],
+  [0.54, 0.88], [0.46, 0.88],
+];
+
+export function standingPose(): Landmark[] {
+  return STANDING.map(([x, y]) => ({ x, y, z: 0, visibility: 1 }));
+}
+
+// The same dancer with arms straight out to the sides at shoulder height
+export function tPose(): Landmark[] {
+  const pose = standingPose();
+  const arm = (side: 1 | -1, [shoulder, elbow, wrist, pinky, index, thumb]: number[]) => {
+    const x = pose[shoulder].x;
+    pose[elbow] = { ...pose[elbow], x: x + side * 0.12, y: 0.3 };
+    pose[wrist] = { ...pose[wrist], x: x + side * 0.24, y: 0.3 };
+    pose[pinky] = { ...pose[pinky], x: x + side * 0.27, y: 0.31 };
+    pose[index] = { ...pose[index], x: x + side * 0.28, y: 0.3 };
+    pose[thumb] = { ...pose[thumb], x: x + side * 0.26, y: 0.29 };
+  };
+  arm(1, [11, 13, 15, 17, 19, 21]);
+  arm(-1, [12, 14, 16, 18, 20, 22]);
+  return pose;
+}
+
+// Copy of `pose` with the given landmarks moved by (dx, dy, dz)
+export function movePoints(pose: Landmark[], indices: number[], dx: number, dy: number, dz = 0): Landmark[] {
+  return pose.map((lm, i) => (indices.includes(i) ? { ...lm, x: lm.x + dx, y: lm.y + dy, z: lm.z + dz } : { ...lm }));
+}
+
+// The whole pose shifted in x and y, e.g. a delayed or offset copy of a dancer
+export function shiftPose(pose: Landmark[], dx: number, dy: number): Landmark[] {
+  return movePoints(pose, pose.map((_, i) => i), dx, dy);
+}
+
+export const dist = (a: Landmark, b: Landmark) => Math.hypot(a.x - b.x, a.y - b.y);
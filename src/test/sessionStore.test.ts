@@ -0,0 +1,24 @@
+import { describe, it, expect } from "vitest";
+import { buildProgressSeries, isFullRun } from "@/utils/sessionStore";
+
+const session = (overallAvg: number, loop: object | null = null) => ({
+  createdAt: Date.UTC(2024, 0, 1),
+  overallAvg,
+  segmentAverages: { leftArm: overallAvg + 0.4, rightArm: null },
+  loop,
+});
+
+describe("buildProgressSeries", () => {
+  it("charts full run-throughs only, numbered among themselves", () => {
+    const sessions = [session(60), session(85, { start: 4, end: 8, reps: 3 }), session(70)];
+    const series = buildProgressSeries(sessions);
+    expect(series.map(r => [r.attempt, r.overall])).toEqual([[1, 60], [2, 70]]);
+    expect(series[0].leftArm).toBe(60);
+    expect(series[0].rightArm).toBeNull();
+  });
+
+  it("tells loop sessions apart by their stored loop", () => {
+    expect(isFullRun(session(50))).toBe(true);
+    expect(isFullRun(session(50, { start: 0, end: 2, reps: 1 }))).toBe(false);
+  });
+});
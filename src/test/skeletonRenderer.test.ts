@@ -0,0 +1,46 @@
+import { describe, it, expect } from "vitest";
+import { createArrowFader, updateArrowFader } from "@/utils/skeletonRenderer";
+
+const raise = { segment: "leftArm", cue: "raiseBy" };
+const lower = { segment: "leftArm", cue: "lowerBy" };
+
+// Alpha of each arrow by segment:cue
+const alphas = (arrows: Array<{ correction: typeof raise; alpha: number }>) =>
+  Object.fromEntries(arrows.map(a => [`${a.correction.segment}:${a.correction.cue}`, a.alpha]));
+
+describe("updateArrowFader", () => {
+  it("fades a new arrow in over 300ms", () => {
+    const fader = createArrowFader();
+    expect(alphas(updateArrowFader(fader, [raise], 0))).toEqual({ "leftArm:raiseBy": 0 });
+    expect(alphas(updateArrowFader(fader, [raise], 150))["leftArm:raiseBy"]).toBeCloseTo(0.5, 6);
+    expect(alphas(updateArrowFader(fader, [raise], 300))["leftArm:raiseBy"]).toBeCloseTo(1, 6);
+    expect(alphas(updateArrowFader(fader, [raise], 1000))["leftArm:raiseBy"]).toBe(1);
+  });
+
+  it("fades an arrow out once its correction is gone, then drops it", () => {
+    const fader = createArrowFader();
+    updateArrowFader(fader, [raise], 0);
+    updateArrowFader(fader, [raise], 300);
+    expect(alphas(updateArrowFader(fader, [], 400))["leftArm:raiseBy"]).toBeCloseTo(2 / 3, 6);
+    expect(updateArrowFader(fader, [], 700)).toEqual([]);
+    expect(fader.arrows.size).toBe(0);
+  });
+
+  it("cross-fades when the cue for a segment changes", () => {
+    const fader = createArrowFader();
+    updateArrowFader(fader, [raise], 0);
+    updateArrowFader(fader, [raise], 300);
+    expect(alphas(updateArrowFader(fader, [lower], 400))).toEqual({
+      "leftArm:raiseBy": expect.closeTo(2 / 3, 6),
+      "leftArm:lowerBy": expect.closeTo(1 / 3, 6),
+    });
+    expect(alphas(updateArrowFader(fader, [lower], 700))).toEqual({ "leftArm:lowerBy": 1 });
+  });
+
+  it("keeps the latest correction for an arrow that stays up", () => {
+    const fader = createArrowFader();
+    updateArrowFader(fader, [{ ...raise, degrees: 20 }], 0);
+    const [arrow] = updateArrowFader(fader, [{ ...raise, degrees: 30 }], 100);
+    expect(arrow.correction).toMatchObject({ degrees: 30 });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Accent Timing — Are the hits landing on time?
+ *
+ * Shape scoring can't tell a sharp arm hit that lands on the count from one
+ * that drifts in late. Here each segment's tip joint is followed through the
+ * reference and user pose sequences; accents ("hits") are peaks in its
+ * acceleration, where a move snaps into place or changes direction. Each
+ * reference hit is matched to the nearest user hit on the same segment, giving
+ * an early/late offset per segment and a 0–100 on-beat score.
+ *
+ * Peaks need every comparison tick, so sessions keep the accent joints of each
+ * tick (compactAccentSample) alongside the every-3rd-tick samples; the summary
+ * then sees the same track the live score did.
+ */
+
+import { normalizePose } from './poseNormalizer';
+import { BODY_SEGMENTS } from './poseSimilarity';
+
+// Landmark(s) whose motion carries each segment's accents (averaged when several)
+const ACCENT_POINTS = {
+    leftArm: [15], rightArm: [16],
+    leftLeg: [27], rightLeg: [28],
+    torso: [11, 12], head: [0],
+    leftHand: [19], rightHand: [20],
+    leftFoot: [31], rightFoot: [32],
+};
+
+const ACCENT_LANDMARKS = [...new Set(Object.values(ACCENT_POINTS).flat())];
+
+// Rolling window for the live on-beat score; long enough to hold a few hits per segment
+export const ACCENT_WINDOW_MS = 8000;
+
+const MIN_VISIBILITY = 0.4;
+const MIN_ACCEL = 3;            // torso lengths / s² — below this it is tracking jitter, not a hit
+const PEAK_STD_FACTOR = 0.5;    // peaks must stand this many std-devs above the joint's mean acceleration
+const MIN_HIT_GAP_SEC = 0.2;
+const MATCH_WINDOW_MS = 350;    // a user hit further than this from the reference hit is a miss
+const MAX_SAMPLE_GAP_SEC = 1;   // split runs at pauses and seeks
+const MIN_SEGMENT_HITS = 3;
+const MIN_TOTAL_HITS = 4;
+
+/**
+ * @param {Array} track - [{ videoTime, ref, user }] with normalized poses, in time order
+ *   (the shape pushAlignmentSample produces)
+ * @returns {Object|null} { score, offsetMs, hits, matched, segments: { [key]: { score, offsetMs, hits, matched } | null } }
+ *   — offsets are in video time, positive = late
+ */
+export function analyzeAccentTiming(track) {
+    if (!track || track.length < 5) return null;
+
+    const totals = {};
+    for (const run of splitRuns(track)) {
+        for (const [key, points] of Object.entries(ACCENT_POINTS)) {
+            const refHits = findHits(run, 'ref', points);
+            const userHits = findHits(run, 'user', points);
+            const t = totals[key] || (totals[key] = { scores: [], offsets: [] });
+            matchHits(refHits, userHits, t);
+        }
+    }
+
+    const segments = {};
+    const allOffsets = [];
+    let scoreSum = 0;
+    let hitCount = 0;
+    for (const key of Object.keys(BODY_SEGMENTS)) {
+        const t = totals[key];
+        if (!t || t.scores.length < MIN_SEGMENT_HITS) { segments[key] = null; continue; }
+        const sum = t.scores.reduce((a, b) => a + b, 0);
+        segments[key] = {
+            score: sum / t.scores.length,
+            offsetMs: t.offsets.length > 0 ? Math.round(median(t.offsets)) : null,
+            hits: t.scores.length,
+            matched: t.offsets.length,
+        };
+        scoreSum += sum;
+        hitCount += t.scores.length;
+        allOffsets.push(...t.offsets);
+    }
+    if (hitCount < MIN_TOTAL_HITS) return null;
+
+    return {
+        score: scoreSum / hitCount,
+        offsetMs: allOffsets.length > 0 ? Math.round(median(allOffsets)) : null,
+        hits: hitCount,
+        matched: allOffsets.length,
+        segments,
+    };
+}
+
+/**
+ * One comparison tick, reduced to the accent joints for storing with the session.
+ *
+ * @param {Array} refPose - Reference as scored (oriented), like the live track's
+ * @returns {Object|null} { videoTime, ref, user } — poses keyed by landmark index
+ */
+export function compactAccentSample(refPose, userPose, videoTime) {
+    const ref = normalizePose(refPose);
+    const user = normalizePose(userPose);
+    if (!ref || !user) return null;
+    const pick = (pose) => Object.fromEntries(ACCENT_LANDMARKS.map(i => [i, {
+        x: Math.round(pose[i].x * 1e4) / 1e4,
+        y: Math.round(pose[i].y * 1e4) / 1e4,
+        visibility: Math.round(pose[i].visibility * 100) / 100,
+    }]));
+    return { videoTime, ref: pick(ref), user: pick(user) };
+}
+
+/**
+ * Accent timing over stored session samples, from each sample's per-tick
+ * accentTrack (already in the orientation the session was scored in).
+ */
+export function analyzeSessionAccents(sessionData) {
+    const track = (sessionData || []).flatMap(d => d.accentTrack || []);
+    return analyzeAccentTiming(track);
+}
+
+function splitRuns(track) {
+    const runs = [];
+    let run = [track[0]];
+    for (let i = 1; i < track.length; i++) {
+        const dt = track[i].videoTime - track[i - 1].videoTime;
+        if (dt <= 0 || dt > MAX_SAMPLE_GAP_SEC) {
+            runs.push(run);
+            run = [];
+        }
+        run.push(track[i]);
+    }
+    runs.push(run);
+    return runs.filter(r => r.length >= 5);
+}
+
+function jointPosition(pose, points) {
+    let x = 0, y = 0;
+    for (const i of points) {
+        const lm = pose[i];
+        if (!lm || (lm.visibility ?? 1) < MIN_VISIBILITY) return null;
+        x += lm.x;
+        y += lm.y;
+    }
+    return { x: x / points.length, y: y / points.length };
+}
+
+// Times (video seconds) of acceleration peaks for one joint in one run
+function findHits(run, side, points) {
+    const pos = run.map(s => jointPosition(s[side], points));
+    const accel = new Array(run.length).fill(null);
+    for (let i = 1; i < run.length - 1; i++) {
+        const [a, b, c] = [pos[i - 1], pos[i], pos[i + 1]];
+        if (!a || !b || !c) continue;
+        const dt1 = run[i].videoTime - run[i - 1].videoTime;
+        const dt2 = run[i + 1].videoTime - run[i].videoTime;
+        const v1x = (b.x - a.x) / dt1, v1y = (b.y - a.y) / dt1;
+        const v2x = (c.x - b.x) / dt2, v2y = (c.y - b.y) / dt2;
+        accel[i] = Math.hypot(v2x - v1x, v2y - v1y) / ((dt1 + dt2) / 2);
+    }
+
+    const values = accel.filter(v => v !== null);
+    if (values.length < 3) return [];
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const std = Math.sqrt(values.reduce((a, v) => a + (v - mean) ** 2, 0) / values.length);
+    const threshold = Math.max(MIN_ACCEL, mean + PEAK_STD_FACTOR * std);
+
+    const hits = [];
+    for (let i = 1; i < run.length - 1; i++) {
+        const [prev, cur, next] = [accel[i - 1] ?? 0, accel[i], accel[i + 1] ?? 0];
+        if (cur === null || cur < threshold || cur <= prev || cur < next) continue;
+        // Parabolic interpolation puts the peak between samples
+        const denom = prev - 2 * cur + next;
+        const shift = denom < 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (prev - next) / denom)) : 0;
+        const step = shift >= 0 ? (run[i + 1]?.videoTime ?? run[i].videoTime) - run[i].videoTime : run[i].videoTime - run[i - 1].videoTime;
+        const time = run[i].videoTime + shift * step;
+        if (hits.length > 0 && time - hits[hits.length - 1].time < MIN_HIT_GAP_SEC) {
+            if (cur > hits[hits.length - 1].strength) hits[hits.length - 1] = { time, strength: cur };
+            continue;
+        }
+        hits.push({ time, strength: cur });
+    }
+    return hits.map(h => h.time);
+}
+
+// Pair each reference hit with the closest unused user hit inside the match window
+function matchHits(refHits, userHits, totals) {
+    const used = new Set();
+    for (const refTime of refHits) {
+        let best = -1;
+        let bestDist = Infinity;
+        for (let j = 0; j < userHits.length; j++) {
+            if (used.has(j)) continue;
+            const dist = Math.abs(userHits[j] - refTime) * 1000;
+            if (dist <= MATCH_WINDOW_MS && dist < bestDist) { best = j; bestDist = dist; }
+        }
+        if (best < 0) { totals.scores.push(0); continue; }
+        used.add(best);
+        const offsetMs = (userHits[best] - refTime) * 1000;
+        totals.offsets.push(offsetMs);
+        totals.scores.push(100 * (1 - Math.abs(offsetMs) / MATCH_WINDOW_MS));
+    }
+}
+
+function median(arr) {
+    const sorted = [...arr].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
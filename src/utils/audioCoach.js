@@ -1,115 +1,198 @@
 /**
  * Audio Coach — Real-time voice feedback using Web Speech API
+ *
+ * Cues come from the tick's 3D corrections (poseCorrections: which cue, which
+ * joint or segment, by how many degrees) and are only phrased at the end, in
+ * the chosen locale pack (coachLocales). They are not spoken on the spot: the cue
+ * scheduler holds them until the start of the next eight-count or a quiet
+ * moment, and they can be played as short tones (earcons) instead of words.
+ * Language, voice, rate, volume, cooldown, dance vocabulary and cue style are
+ * the user's, kept in localStorage.
  */
 
-const COOLDOWN_MS = 4000;
+import { getCoachLocale, phraseCue, phraseSetup, DEFAULT_LOCALE } from './coachLocales';
+import { segmentCorrection, phraseCorrection } from './poseCorrections';
+import { createCueScheduler, queueCue, clearCue, observeTick, nextCue, cueStats } from './cueScheduler';
+import { playEarcon } from './earcons';
+
 const SCORE_THRESHOLD_SPEAK = 55;
 const SCORE_THRESHOLD_PRAISE = 85;
+const PRAISE_GAP_MS = 8000;
+
+const STORAGE_KEY = 'dancecoach-ai:voice-settings';
+export const DEFAULT_VOICE_SETTINGS = {
+    locale: DEFAULT_LOCALE,
+    voiceURI: null, // null → the language's default voice
+    rate: 1.1,
+    volume: 0.85,
+    cooldownMs: 4000,
+    danceTerms: false,
+    cueStyle: 'voice', // 'voice' or 'tones'
+};
+
+export const CUE_STYLES = {
+    voice: { label: '🗣️ Words', description: 'Spoken corrections' },
+    tones: { label: '🔔 Tones', description: 'A chime when it looks good, a buzz when something is off' },
+};
 
 let lastSpeakTime = 0;
 let lastSpokenSegment = null;
 let enabled = true;
+let speakBelow = SCORE_THRESHOLD_SPEAK;
+let praiseAbove = SCORE_THRESHOLD_PRAISE;
+let settings = loadVoiceSettings();
+let scheduler = createCueScheduler();
 
-const SEGMENT_TO_JOINTS = {
-    leftArm: { primary: [15, 13], label: 'left arm' },
-    rightArm: { primary: [16, 14], label: 'right arm' },
-    leftLeg: { primary: [27, 25], label: 'left leg' },
-    rightLeg: { primary: [28, 26], label: 'right leg' },
-    torso: { primary: [11, 23], label: 'torso' },
-    head: { primary: [0, 11], label: 'head' },
-};
-
-function analyzeDifference(refLandmarks, userLandmarks, segmentKey) {
-    const seg = SEGMENT_TO_JOINTS[segmentKey];
-    if (!seg) return null;
-
-    const [tipIdx, baseIdx] = seg.primary;
-    const ref = refLandmarks[tipIdx];
-    const user = userLandmarks[tipIdx];
-    const refBase = refLandmarks[baseIdx];
-    const userBase = userLandmarks[baseIdx];
-
-    if (!ref || !user || !refBase || !userBase) return null;
-    if ((ref.visibility || 0) < 0.4 || (user.visibility || 0) < 0.4) return null;
-
-    const refRelY = ref.y - refBase.y;
-    const userRelY = user.y - userBase.y;
-    const refRelX = ref.x - refBase.x;
-    const userRelX = user.x - userBase.x;
-
-    const yDiff = userRelY - refRelY;
-    const xDiff = userRelX - refRelX;
-    const label = seg.label;
-    const absY = Math.abs(yDiff);
-    const absX = Math.abs(xDiff);
-
-    if (absY > absX && absY > 0.04) {
-        return yDiff > 0 ? `Raise your ${label} higher` : `Lower your ${label} a bit`;
-    } else if (absX > 0.04) {
-        return xDiff > 0 ? `Bring your ${label} more to the left` : `Extend your ${label} more to the right`;
-    }
-    return `Adjust your ${label} position`;
+/**
+ * What the coach would correct in a comparison: the worst segments below the
+ * correction threshold, worst first, each with its biggest 3D correction (or
+ * null when no single direction stands out). The on-screen arrows use it too,
+ * so they always point the way the voice says.
+ *
+ * @returns {Array} [{ segment, score, correction }]
+ */
+export function pickCorrections(comparison, count = 1) {
+    return Object.entries(comparison?.segments || {})
+        .filter(([, score]) => score !== null && score < speakBelow)
+        .sort((a, b) => a[1] - b[1])
+        .slice(0, count)
+        .map(([segment, score]) => ({ segment, score, correction: segmentCorrection(comparison.corrections, segment) }));
 }
 
-export function generateVoiceCue(comparison, refLandmarks, userLandmarks) {
+/**
+ * Queue a cue for this comparison tick and deliver whatever the scheduler says is due.
+ *
+ * @param {Object} comparison - Scoring result for the tick, with its `corrections`
+ * @param {Array} refLandmarks - Reference pose as scored (retargeted, oriented), for spotting quiet moments
+ * @param {Object} timing - { videoTime, beatGrid } — where the routine is, for eight-count timing
+ */
+export function generateVoiceCue(comparison, refLandmarks, { videoTime = 0, beatGrid = null } = {}) {
     if (!enabled || !comparison) return;
     const now = Date.now();
-    if (now - lastSpeakTime < COOLDOWN_MS) return;
+    const { locale, cooldownMs, danceTerms } = settings;
+    observeTick(scheduler, comparison.segments, refLandmarks, now);
 
-    let worstSeg = null;
-    let worstScore = 100;
-    for (const [key, score] of Object.entries(comparison.segments)) {
-        if (score === null) continue;
-        if (score < worstScore) { worstScore = score; worstSeg = key; }
-    }
+    const [worst] = pickCorrections(comparison);
 
-    if (worstScore >= SCORE_THRESHOLD_SPEAK) {
-        if (comparison.overall >= SCORE_THRESHOLD_PRAISE && now - lastSpeakTime > 8000) {
-            speak("Great form! You're nailing it!");
-            lastSpeakTime = now;
+    if (!worst) {
+        // Fixed in the meantime — nothing left to correct
+        for (const key of Object.keys(comparison.segments)) clearCue(scheduler, key);
+        if (comparison.overall >= praiseAbove && now - lastSpeakTime > Math.max(PRAISE_GAP_MS, cooldownMs * 2)) {
+            queueCue(scheduler, { key: 'praise', segment: null, cue: 'praise', kind: 'praise', priority: 0, text: phraseCue(locale, 'praise') }, now);
         }
-        return;
+    } else if (worst.segment !== lastSpokenSegment || now - lastSpeakTime >= cooldownMs * 2) {
+        // The segment's biggest 3D correction ("bring your left arm about 20 degrees further forward"),
+        // or just where to look when no single direction stands out
+        const { segment, score, correction } = worst;
+        const cue = correction ? correction.cue : 'watch';
+        const text = correction
+            ? phraseCorrection(locale, correction, { danceTerms })
+            : phraseCue(locale, cue, { segment, danceTerms });
+        clearCue(scheduler, 'praise');
+        queueCue(scheduler, { key: segment, segment, cue, kind: 'correction', priority: speakBelow - score, text }, now);
     }
 
-    if (worstSeg === lastSpokenSegment && now - lastSpeakTime < COOLDOWN_MS * 2) return;
-
-    let message = null;
-    if (refLandmarks && userLandmarks) {
-        message = analyzeDifference(refLandmarks, userLandmarks, worstSeg);
-    }
-    if (!message) {
-        const label = SEGMENT_TO_JOINTS[worstSeg]?.label || worstSeg;
-        message = `Watch your ${label}`;
-    }
+    const busy = settings.cueStyle === 'voice' && !!window.speechSynthesis?.speaking;
+    const due = nextCue(scheduler, { now, videoTime, beatGrid, busy, cooldownMs });
+    if (!due) return;
 
-    speak(message);
+    if (settings.cueStyle === 'tones') playEarcon(due.kind === 'praise' ? 'good' : 'off', settings.volume);
+    else speak(due.text, false);
     lastSpeakTime = now;
-    lastSpokenSegment = worstSeg;
+    if (due.segment) lastSpokenSegment = due.segment;
+}
+
+// The chosen voice while it is installed, otherwise the language's default (or first) voice
+function pickVoice() {
+    const voices = getVoicesForLocale(settings.locale);
+    return voices.find(v => v.voiceURI === settings.voiceURI)
+        || voices.find(v => v.default)
+        || voices[0]
+        || null;
 }
 
-function speak(text) {
+// Setup prompts cut in; scheduled cues are only delivered once nothing is playing
+function speak(text, interrupt = true) {
     if (!window.speechSynthesis) return;
-    window.speechSynthesis.cancel();
+    if (interrupt) window.speechSynthesis.cancel();
     const utterance = new SpeechSynthesisUtterance(text);
-    utterance.rate = 1.1;
+    utterance.lang = getCoachLocale(settings.locale).lang;
+    utterance.rate = settings.rate;
     utterance.pitch = 1.0;
-    utterance.volume = 0.85;
-    const voices = window.speechSynthesis.getVoices();
-    const preferred = voices.find(v =>
-        v.name.includes('Samantha') || v.name.includes('Karen') ||
-        v.name.includes('Daniel') || v.name.includes('Google')
-    );
-    if (preferred) utterance.voice = preferred;
+    utterance.volume = settings.volume;
+    const voice = pickVoice();
+    if (voice) utterance.voice = voice;
     window.speechSynthesis.speak(utterance);
 }
 
+// Setup prompts and countdown numbers — spoken straight away, outside the cue cooldown
+export function announce(text) {
+    if (!enabled) return;
+    speak(text);
+}
+
+// A setup prompt (coachLocales `setup` key) in the coach's language, for announce()
+export function setupPhrase(key, dancer = null) {
+    return phraseSetup(settings.locale, key, dancer);
+}
+
 export function setAudioCoachEnabled(val) {
     enabled = val;
     if (!val) window.speechSynthesis?.cancel();
 }
 
+// Correction and praise thresholds come from the active scoring profile
+export function setAudioCoachProfile(profile) {
+    speakBelow = profile?.speakBelow ?? SCORE_THRESHOLD_SPEAK;
+    praiseAbove = profile?.praiseAbove ?? SCORE_THRESHOLD_PRAISE;
+}
+
+// Starts a new session: empties the cue queue and its statistics
 export function resetAudioCoach() {
     lastSpeakTime = 0;
     lastSpokenSegment = null;
+    scheduler = createCueScheduler();
     window.speechSynthesis?.cancel();
 }
+
+// Which cues this session gave and whether the segment improved after them (cueScheduler cueStats)
+export function getCueStats() {
+    return cueStats(scheduler);
+}
+
+/**
+ * Installed voices for a locale pack's language ("es" matches es-ES, es-MX, …).
+ * Browsers load voices lazily — listen for speechSynthesis "voiceschanged" to refresh.
+ */
+export function getVoicesForLocale(localeId) {
+    if (!window.speechSynthesis) return [];
+    const lang = getCoachLocale(localeId).lang.split('-')[0];
+    return window.speechSynthesis.getVoices().filter(v => v.lang.toLowerCase().split(/[-_]/)[0] === lang);
+}
+
+export function loadVoiceSettings() {
+    try {
+        return { ...DEFAULT_VOICE_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+    } catch {
+        return { ...DEFAULT_VOICE_SETTINGS };
+    }
+}
+
+export function setVoiceSettings(next) {
+    settings = { ...DEFAULT_VOICE_SETTINGS, ...next };
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (err) {
+        console.warn('[AudioCoach] Failed to save voice settings:', err.message);
+    }
+}
+
+// The pack's sample sentence (or both tones) with the current settings, for trying them out
+export function previewVoice() {
+    if (settings.cueStyle === 'tones') {
+        playEarcon('good', settings.volume);
+        setTimeout(() => playEarcon('off', settings.volume), 600);
+        return;
+    }
+    speak(getCoachLocale(settings.locale).sample);
+}
@@ -0,0 +1,264 @@
+/**
+ * Beat Grid — Offline beat and downbeat detection on the reference soundtrack.
+ *
+ * The video's audio track is decoded with Web Audio and turned into an onset
+ * envelope (rises in short-time energy). The tempo comes from autocorrelating
+ * that envelope, beats from dynamic-programming beat tracking (Ellis, 2007),
+ * and the downbeat from where the low-passed kick energy lands hardest.
+ * Dancers count in eights, so a "bar" here is one eight-count: times are
+ * labeled like "bar 12, count 5". Grids are cached in IndexedDB next to the
+ * pose tracks, keyed by the same video hash.
+ */
+
+import { dbGet, dbPut, STORES } from './localDb';
+
+export const COUNTS_PER_BAR = 8;
+const GRID_VERSION = 1;
+const ANALYSIS_RATE = 22050;
+const HOP = 256; // ~11.6ms per onset frame
+const KICK_CUTOFF_HZ = 150;
+const MIN_BPM = 70;
+const MAX_BPM = 180;
+const PREFERRED_BPM = 115;
+const TEMPO_SPREAD_OCTAVES = 0.9;
+const TIGHTNESS = 100; // how strongly beat tracking sticks to the detected tempo
+
+export async function loadBeatGrid(hash) {
+    try {
+        const grid = await dbGet(STORES.BEAT_GRIDS, hash);
+        return grid && grid.version === GRID_VERSION ? grid : null;
+    } catch (err) {
+        console.warn('[BeatGrid] Cache read failed:', err.message);
+        return null;
+    }
+}
+
+export async function saveBeatGrid(grid) {
+    try {
+        await dbPut(STORES.BEAT_GRIDS, grid);
+    } catch (err) {
+        console.warn('[BeatGrid] Cache write failed:', err.message);
+    }
+}
+
+/**
+ * Decode a video file's soundtrack and detect its beat grid.
+ * Videos without an audio track produce a grid with no beats.
+ *
+ * @param {File} file - The reference video
+ * @param {string} hash - Cache key (hashVideoFile)
+ * @returns {Promise<Object>} { hash, version, bpm, beats: [seconds], downbeat: index of the first count 1 }
+ */
+export async function detectBeatGrid(file, hash) {
+    const empty = { hash, version: GRID_VERSION, bpm: null, beats: [], downbeat: 0 };
+
+    let buffer;
+    try {
+        const decoder = new OfflineAudioContext(1, 1, ANALYSIS_RATE);
+        buffer = await decoder.decodeAudioData(await file.arrayBuffer());
+    } catch (err) {
+        console.warn('[BeatGrid] No decodable audio track:', err?.message || err);
+        return empty;
+    }
+    if (buffer.duration < 4) return empty;
+
+    const fps = buffer.sampleRate / HOP;
+    const onsets = onsetEnvelope(mixdown(buffer));
+    const kick = onsetEnvelope(await renderLowpass(buffer, KICK_CUTOFF_HZ));
+
+    const period = estimatePeriod(onsets, fps);
+    if (!period) return empty;
+    const beatFrames = trackBeats(onsets, period);
+    if (beatFrames.length < COUNTS_PER_BAR) return empty;
+
+    return {
+        ...empty,
+        bpm: Math.round((60 * fps / period) * 10) / 10,
+        beats: beatFrames.map(f => Math.round((f * HOP / buffer.sampleRate) * 1000) / 1000),
+        downbeat: findDownbeat(beatFrames, onsets, kick),
+    };
+}
+
+function mixdown(buffer) {
+    const out = new Float32Array(buffer.length);
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        const data = buffer.getChannelData(c);
+        for (let i = 0; i < data.length; i++) out[i] += data[i] / buffer.numberOfChannels;
+    }
+    return out;
+}
+
+async function renderLowpass(buffer, cutoffHz) {
+    const ctx = new OfflineAudioContext(1, buffer.length, buffer.sampleRate);
+    const source = ctx.createBufferSource();
+    source.buffer = buffer;
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = cutoffHz;
+    source.connect(filter).connect(ctx.destination);
+    source.start();
+    const rendered = await ctx.startRendering();
+    return rendered.getChannelData(0);
+}
+
+// Half-wave rectified rise in log energy per frame, with the local average removed
+function onsetEnvelope(samples) {
+    const frames = Math.floor(samples.length / HOP);
+    const energy = new Float32Array(frames);
+    for (let f = 0; f < frames; f++) {
+        let sum = 0;
+        for (let i = f * HOP; i < (f + 1) * HOP; i++) sum += samples[i] * samples[i];
+        energy[f] = Math.log(1 + 1000 * sum / HOP);
+    }
+
+    const flux = new Float32Array(frames);
+    for (let f = 1; f < frames; f++) flux[f] = Math.max(0, energy[f] - energy[f - 1]);
+
+    // Subtract a ~0.5s moving average so sustained loud passages don't dominate
+    const half = 20;
+    const env = new Float32Array(frames);
+    let windowSum = 0;
+    for (let f = 0; f < Math.min(frames, half); f++) windowSum += flux[f];
+    for (let f = 0; f < frames; f++) {
+        if (f + half < frames) windowSum += flux[f + half];
+        if (f - half - 1 >= 0) windowSum -= flux[f - half - 1];
+        const count = Math.min(frames - 1, f + half) - Math.max(0, f - half) + 1;
+        env[f] = Math.max(0, flux[f] - windowSum / count);
+    }
+
+    let sq = 0;
+    for (let f = 0; f < frames; f++) sq += env[f] * env[f];
+    const std = Math.sqrt(sq / frames) || 1;
+    for (let f = 0; f < frames; f++) env[f] /= std;
+    return env;
+}
+
+// Beat period in frames: autocorrelation weighted towards a comfortable dance tempo
+function estimatePeriod(env, fps) {
+    const minLag = Math.floor(60 * fps / MAX_BPM);
+    const maxLag = Math.ceil(60 * fps / MIN_BPM);
+    const preferredLag = 60 * fps / PREFERRED_BPM;
+
+    const scores = new Float32Array(maxLag + 2);
+    let best = -1;
+    for (let lag = minLag; lag <= maxLag + 1; lag++) {
+        let sum = 0;
+        for (let i = lag; i < env.length; i++) sum += env[i] * env[i - lag];
+        const octaves = Math.log2(lag / preferredLag) / TEMPO_SPREAD_OCTAVES;
+        scores[lag] = (sum / (env.length - lag)) * Math.exp(-0.5 * octaves * octaves);
+        if (lag <= maxLag && (best < 0 || scores[lag] > scores[best])) best = lag;
+    }
+    if (best < 0 || scores[best] <= 0) return null;
+
+    // Parabolic interpolation for a fractional period
+    const a = scores[best - 1] || 0;
+    const b = scores[best];
+    const c = scores[best + 1] || 0;
+    const denom = a - 2 * b + c;
+    return denom < 0 ? best + 0.5 * (a - c) / denom : best;
+}
+
+// Dynamic programming: each beat maximises its onset strength plus the best
+// previous beat, penalised for straying from the tempo
+function trackBeats(env, period) {
+    const n = env.length;
+    const score = new Float32Array(n);
+    const back = new Int32Array(n).fill(-1);
+    const minGap = Math.round(period / 2);
+    const maxGap = Math.round(period * 2);
+
+    for (let t = 0; t < n; t++) {
+        let best = -Infinity;
+        let bestPrev = -1;
+        for (let prev = Math.max(0, t - maxGap); prev <= t - minGap; prev++) {
+            const penalty = Math.log((t - prev) / period);
+            const value = score[prev] - TIGHTNESS * penalty * penalty;
+            if (value > best) { best = value; bestPrev = prev; }
+        }
+        score[t] = env[t] + (bestPrev >= 0 ? Math.max(0, best) : 0);
+        back[t] = best > 0 ? bestPrev : -1;
+    }
+
+    // Start from the best-scoring frame within the last beat period
+    let end = n - 1;
+    for (let t = Math.max(0, n - Math.round(period)); t < n; t++) {
+        if (score[t] > score[end]) end = t;
+    }
+    const beats = [];
+    for (let t = end; t >= 0; t = back[t]) beats.push(t);
+    return beats.reverse();
+}
+
+// Index of the first beat that starts an eight-count
+function findDownbeat(beatFrames, onsets, kick) {
+    const strengthAt = (env, frame) => Math.max(env[frame - 1] || 0, env[frame] || 0, env[frame + 1] || 0);
+    const phaseStrength = (env, phase, every) => {
+        let sum = 0;
+        let count = 0;
+        for (let i = phase; i < beatFrames.length; i += every) { sum += strengthAt(env, beatFrames[i]); count++; }
+        return count > 0 ? sum / count : 0;
+    };
+
+    // Bar downbeat (of 4) from the kick drum, then which half of the eight-count it opens
+    let barPhase = 0;
+    for (let p = 1; p < 4; p++) {
+        if (phaseStrength(kick, p, 4) > phaseStrength(kick, barPhase, 4)) barPhase = p;
+    }
+    const other = barPhase + 4;
+    return phaseStrength(onsets, other, COUNTS_PER_BAR) > phaseStrength(onsets, barPhase, COUNTS_PER_BAR) ? other : barPhase;
+}
+
+export function hasBeats(grid) {
+    return !!grid && grid.beats.length >= 2;
+}
+
+/**
+ * Musical position of a video time.
+ * @returns {Object|null} { bar, count } — bar 0 is the pickup before the first count 1
+ */
+export function beatPositionAt(grid, time) {
+    if (!hasBeats(grid)) return null;
+    const { beats } = grid;
+    const period = 60 / grid.bpm;
+    if (time < beats[0] - period / 2) return null;
+
+    let index;
+    if (time >= beats[beats.length - 1]) {
+        index = beats.length - 1 + Math.floor((time - beats[beats.length - 1]) / period);
+    } else {
+        // Last beat at or before `time`, allowing for landing a little early
+        let lo = 0;
+        let hi = beats.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (beats[mid] <= time + period / 4) lo = mid; else hi = mid - 1;
+        }
+        index = lo;
+    }
+
+    const rel = index - grid.downbeat;
+    return {
+        bar: Math.floor(rel / COUNTS_PER_BAR) + 1,
+        count: ((rel % COUNTS_PER_BAR) + COUNTS_PER_BAR) % COUNTS_PER_BAR + 1,
+    };
+}
+
+/**
+ * "bar 12, count 5" (or "12·5" when short), or null without a beat grid.
+ */
+export function formatBeatPosition(grid, time, short = false) {
+    const pos = beatPositionAt(grid, time);
+    if (!pos) return null;
+    if (short) return `${pos.bar}·${pos.count}`;
+    return pos.bar < 1 ? `intro, count ${pos.count}` : `bar ${pos.bar}, count ${pos.count}`;
+}
+
+/**
+ * "bar 12, count 5 – bar 13, count 2", or null without a beat grid.
+ */
+export function formatBeatRange(grid, start, end) {
+    const from = formatBeatPosition(grid, start);
+    const to = formatBeatPosition(grid, end);
+    if (!from || !to) return null;
+    return from === to ? from : `${from} – ${to}`;
+}
@@ -0,0 +1,128 @@
+/**
+ * Body Calibration — The user's limb proportions, measured once from a T-pose.
+ *
+ * Bone lengths are measured in the normalized (torso-length) space scoring
+ * uses, over a short hold so one bad frame doesn't skew them, and kept in
+ * localStorage for later sessions. The webcam landmarks are scaled to the
+ * frame's aspect ratio first, so arms held out to the sides aren't measured
+ * shorter than the legs on a wide frame.
+ */
+
+import { normalizePose, scaleToAspect } from './poseNormalizer';
+
+const STORAGE_KEY = 'dancecoach-ai:calibration';
+const CALIBRATION_VERSION = 2;
+const HOLD_SAMPLES = 15; // ~1.5s of T-pose at the 100ms setup tick
+const MIN_VISIBILITY = 0.5;
+const ARM_LEVEL_TOLERANCE = 0.35; // wrist height vs shoulder height, in torso lengths
+const MIN_ELBOW_DEG = 150;
+
+// Bones measured, as [from, to] landmark pairs
+export const CALIBRATION_BONES = [
+    [11, 12], [23, 24], [11, 23], [12, 24],
+    [11, 13], [13, 15], [12, 14], [14, 16],
+    [15, 19], [16, 20],
+    [23, 25], [25, 27], [24, 26], [26, 28],
+    [27, 29], [28, 30], [27, 31], [28, 32],
+];
+
+export function boneKey(a, b) {
+    return `${a}-${b}`;
+}
+
+function dist2d(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function elbowAngle(norm, [s, e, w]) {
+    const v1 = { x: norm[s].x - norm[e].x, y: norm[s].y - norm[e].y };
+    const v2 = { x: norm[w].x - norm[e].x, y: norm[w].y - norm[e].y };
+    const cos = (v1.x * v2.x + v1.y * v2.y) / ((Math.hypot(v1.x, v1.y) * Math.hypot(v2.x, v2.y)) || 1);
+    return Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI;
+}
+
+/**
+ * Arms straight out to the sides at shoulder height, everything visible.
+ *
+ * @param {number} aspect - Webcam frame width over height
+ */
+export function isTPose(landmarks, aspect = 1) {
+    const norm = normalizePose(scaleToAspect(landmarks, aspect));
+    if (!norm) return false;
+    if (CALIBRATION_BONES.flat().some(i => (norm[i].visibility || 0) < MIN_VISIBILITY)) return false;
+
+    for (const [s, e, w] of [[11, 13, 15], [12, 14, 16]]) {
+        if (Math.abs(norm[w].y - norm[s].y) > ARM_LEVEL_TOLERANCE) return false;
+        if (elbowAngle(norm, [s, e, w]) < MIN_ELBOW_DEG) return false;
+    }
+    // Wrists spread well beyond the shoulders
+    const spread = Math.abs(norm[15].x - norm[16].x);
+    return spread > Math.abs(norm[11].x - norm[12].x) * 2;
+}
+
+function measureBones(landmarks, aspect) {
+    const norm = normalizePose(scaleToAspect(landmarks, aspect));
+    if (!norm) return null;
+    const bones = {};
+    for (const [a, b] of CALIBRATION_BONES) bones[boneKey(a, b)] = dist2d(norm[a], norm[b]);
+    return bones;
+}
+
+export function createCalibrationState() {
+    return { samples: [] };
+}
+
+/**
+ * Feed one setup-tick pose. Non-T-pose frames restart the hold.
+ *
+ * @param {Array|null} landmarks - Raw webcam landmarks
+ * @param {number} aspect - Webcam frame width over height
+ * @returns {Object|null} The finished calibration { version, createdAt, bones } once the hold is complete
+ */
+export function addCalibrationSample(state, landmarks, aspect = 1) {
+    if (!isTPose(landmarks, aspect)) {
+        state.samples = [];
+        return null;
+    }
+    const sample = measureBones(landmarks, aspect);
+    if (sample) state.samples.push(sample);
+    if (state.samples.length < HOLD_SAMPLES) return null;
+
+    const bones = {};
+    for (const [a, b] of CALIBRATION_BONES) {
+        const key = boneKey(a, b);
+        bones[key] = median(state.samples.map(s => s[key]));
+    }
+    return { version: CALIBRATION_VERSION, createdAt: Date.now(), bones };
+}
+
+export function calibrationProgress(state) {
+    return Math.min(1, state.samples.length / HOLD_SAMPLES);
+}
+
+export function loadCalibration() {
+    try {
+        const cal = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return cal && cal.version === CALIBRATION_VERSION ? cal : null;
+    } catch {
+        return null;
+    }
+}
+
+export function saveCalibration(calibration) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(calibration));
+    } catch (err) {
+        console.warn('[BodyCalibration] Failed to save:', err.message);
+    }
+}
+
+export function clearCalibration() {
+    localStorage.removeItem(STORAGE_KEY);
+}
+
+function median(arr) {
+    const sorted = [...arr].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
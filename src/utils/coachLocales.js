@@ -0,0 +1,261 @@
+/**
+ * Coach Locales — What the voice coach says, per language.
+ *
+ * A pack names every body part the coach talks about (segments and joints,
+ * with whatever article or gender the language needs), phrases every cue as
+ * a template, and says how to count degrees. Templates are strings with
+ * {part} / {degrees} / {n} placeholders, or functions of those values for
+ * languages where the surrounding words depend on the part itself (Korean
+ * object particles). `danceTerms` optionally replaces a cue for one kind of
+ * joint with studio vocabulary ("Plié deeper"), keyed `cue.jointType`.
+ *
+ * Directions are the dancer's own: "out" and "in" are away from and towards
+ * the body's midline, and left/right cues say "your left", so they hold
+ * whether or not the dancer copies the reference as a mirror image.
+ */
+
+// Korean object particle: 을 after a final consonant, 를 after a vowel
+function obj(word) {
+    const code = word.charCodeAt(word.length - 1) - 0xAC00;
+    const batchim = code >= 0 && code <= 11171 && code % 28 !== 0;
+    return `${word}${batchim ? '을' : '를'}`;
+}
+
+export const COACH_LOCALES = {
+    en: {
+        label: 'English',
+        lang: 'en-US',
+        degrees: { one: '{n} degree', other: '{n} degrees' },
+        segments: {
+            leftArm: 'left arm', rightArm: 'right arm', leftLeg: 'left leg', rightLeg: 'right leg',
+            torso: 'torso', head: 'head', leftHand: 'left hand', rightHand: 'right hand',
+            leftFoot: 'left foot', rightFoot: 'right foot',
+        },
+        joints: {
+            leftShoulder: 'left arm', rightShoulder: 'right arm', leftElbow: 'left elbow', rightElbow: 'right elbow',
+            leftHip: 'left leg', rightHip: 'right leg', leftKnee: 'left knee', rightKnee: 'right knee',
+            leftWrist: 'left wrist', rightWrist: 'right wrist', leftAnkle: 'left foot', rightAnkle: 'right foot',
+        },
+        cues: {
+            bend: 'Bend your {part} about {degrees} more',
+            straighten: 'Straighten your {part} about {degrees}',
+            raiseBy: 'Raise your {part} about {degrees} higher',
+            lowerBy: 'Lower your {part} about {degrees}',
+            forward: 'Bring your {part} about {degrees} further forward',
+            back: 'Take your {part} about {degrees} further back',
+            out: 'Open your {part} about {degrees} further out to the side',
+            in: 'Bring your {part} about {degrees} closer to your body',
+            flex: 'Flex your {part} about {degrees} more',
+            point: 'Point your {part} about {degrees} more',
+            rotateOut: 'Turn your {part} out about {degrees} more',
+            rotateIn: 'Turn your {part} in about {degrees}',
+            turnLeft: 'Turn your {part} about {degrees} to your left',
+            turnRight: 'Turn your {part} about {degrees} to your right',
+            leanLeft: 'Tilt your {part} about {degrees} to your left',
+            leanRight: 'Tilt your {part} about {degrees} to your right',
+            watch: 'Watch your {part}',
+            praise: "Great form! You're nailing it!",
+        },
+        danceTerms: {
+            'bend.knee': 'Plié deeper, about {degrees} more',
+            'straighten.knee': 'Pull up out of the plié, straighten your {part}',
+            'point.ankle': 'Point your {part}, stretch through the tendu',
+            'raiseBy.leg': 'Higher extension on your {part}, about {degrees} more',
+            'raiseBy.arm': 'Lift your {part}, fuller port de bras',
+            'rotateOut.foot': 'More turnout on your {part}, rotate from the hip',
+            'watch.torso': 'Pull up through your center',
+        },
+        setup: {
+            enterFrame: 'Step into the frame',
+            faceCamera: 'Face the camera and step into the middle of the frame',
+            feetCut: 'Step back, your feet are cut off',
+            headCut: 'Step back, your head is cut off',
+            handsCut: 'Move to the middle, your hands are cut off',
+            comeCloser: 'Come a little closer',
+            holdStill: 'Looking good — hold still',
+            tPose: 'Hold a T-pose, arms straight out to the sides',
+            dancer: 'Dancer {n}: {message}',
+        },
+        sample: 'Raise your left arm higher',
+    },
+
+    es: {
+        label: 'Español',
+        lang: 'es-ES',
+        degrees: { one: '{n} grado', other: '{n} grados' },
+        segments: {
+            leftArm: 'el brazo izquierdo', rightArm: 'el brazo derecho', leftLeg: 'la pierna izquierda', rightLeg: 'la pierna derecha',
+            torso: 'el torso', head: 'la cabeza', leftHand: 'la mano izquierda', rightHand: 'la mano derecha',
+            leftFoot: 'el pie izquierdo', rightFoot: 'el pie derecho',
+        },
+        joints: {
+            leftShoulder: 'el brazo izquierdo', rightShoulder: 'el brazo derecho', leftElbow: 'el codo izquierdo', rightElbow: 'el codo derecho',
+            leftHip: 'la pierna izquierda', rightHip: 'la pierna derecha', leftKnee: 'la rodilla izquierda', rightKnee: 'la rodilla derecha',
+            leftWrist: 'la muñeca izquierda', rightWrist: 'la muñeca derecha', leftAnkle: 'el pie izquierdo', rightAnkle: 'el pie derecho',
+        },
+        cues: {
+            bend: 'Flexiona {part} unos {degrees} más',
+            straighten: 'Estira {part} unos {degrees}',
+            raiseBy: 'Sube {part} unos {degrees} más',
+            lowerBy: 'Baja {part} unos {degrees}',
+            forward: 'Lleva {part} unos {degrees} más adelante',
+            back: 'Lleva {part} unos {degrees} más atrás',
+            out: 'Abre {part} unos {degrees} más hacia el lado',
+            in: 'Acerca {part} unos {degrees} al cuerpo',
+            flex: 'Flexiona {part} unos {degrees} más',
+            point: 'Apunta {part} unos {degrees} más',
+            rotateOut: 'Gira {part} unos {degrees} más hacia fuera',
+            rotateIn: 'Gira {part} unos {degrees} hacia dentro',
+            turnLeft: 'Gira {part} unos {degrees} hacia tu izquierda',
+            turnRight: 'Gira {part} unos {degrees} hacia tu derecha',
+            leanLeft: 'Inclina {part} unos {degrees} hacia tu izquierda',
+            leanRight: 'Inclina {part} unos {degrees} hacia tu derecha',
+            watch: 'Cuidado con {part}',
+            praise: '¡Muy bien! ¡Lo estás bordando!',
+        },
+        danceTerms: {
+            'bend.knee': 'Más plié, unos {degrees} más',
+            'straighten.knee': 'Sal del plié, estira {part}',
+            'point.ankle': 'Estira {part}, tendu completo',
+            'raiseBy.leg': 'Más extensión en {part}, unos {degrees} más',
+            'raiseBy.arm': 'Sube {part}, más port de bras',
+            'rotateOut.foot': 'Más en dehors en {part}, gira desde la cadera',
+            'watch.torso': 'Crece desde el centro',
+        },
+        setup: {
+            enterFrame: 'Entra en la imagen',
+            faceCamera: 'Mira a la cámara y colócate en el centro',
+            feetCut: 'Da un paso atrás, no se te ven los pies',
+            headCut: 'Da un paso atrás, no se te ve la cabeza',
+            handsCut: 'Ve al centro, no se te ven las manos',
+            comeCloser: 'Acércate un poco',
+            holdStill: 'Muy bien, no te muevas',
+            tPose: 'Haz una T, con los brazos estirados a los lados',
+            dancer: 'Bailarín {n}: {message}',
+        },
+        sample: 'Sube más el brazo izquierdo',
+    },
+
+    ko: {
+        label: '한국어',
+        lang: 'ko-KR',
+        degrees: { other: '{n}도' },
+        segments: {
+            leftArm: '왼팔', rightArm: '오른팔', leftLeg: '왼쪽 다리', rightLeg: '오른쪽 다리',
+            torso: '상체', head: '머리', leftHand: '왼손', rightHand: '오른손',
+            leftFoot: '왼발', rightFoot: '오른발',
+        },
+        joints: {
+            leftShoulder: '왼팔', rightShoulder: '오른팔', leftElbow: '왼쪽 팔꿈치', rightElbow: '오른쪽 팔꿈치',
+            leftHip: '왼쪽 다리', rightHip: '오른쪽 다리', leftKnee: '왼쪽 무릎', rightKnee: '오른쪽 무릎',
+            leftWrist: '왼쪽 손목', rightWrist: '오른쪽 손목', leftAnkle: '왼발', rightAnkle: '오른발',
+        },
+        cues: {
+            bend: ({ part, degrees }) => `${obj(part)} ${degrees} 정도 더 구부리세요`,
+            straighten: ({ part, degrees }) => `${obj(part)} ${degrees} 정도 펴세요`,
+            raiseBy: ({ part, degrees }) => `${obj(part)} ${degrees} 정도 더 올리세요`,
+            lowerBy: ({ part, degrees }) => `${obj(part)} ${degrees} 정도 내리세요`,
+            forward: ({ part, degrees }) => `${obj(part)} ${degrees} 정도 더 앞으로 보내세요`,
+            back: ({ part, degrees }) => `${obj(part)} ${degrees} 정도 더 뒤로 보내세요`,
+            out: ({ part, degrees }) => `${obj(part)} ${degrees} 정도 더 옆으로 여세요`,
+            in: ({ part, degrees }) => `${obj(part)} ${degrees} 정도 몸 쪽으로 모으세요`,
+            flex: ({ part, degrees }) => `${obj(part)} ${degrees} 정도 더 당기세요`,
+            point: '{part} 끝을 {degrees} 정도 더 뻗으세요',
+            rotateOut: ({ part, degrees }) => `${obj(part)} ${degrees} 정도 더 바깥쪽으로 돌리세요`,
+            rotateIn: ({ part, degrees }) => `${obj(part)} ${degrees} 정도 안쪽으로 돌리세요`,
+            turnLeft: ({ part, degrees }) => `${obj(part)} 본인 기준 왼쪽으로 ${degrees} 정도 돌리세요`,
+            turnRight: ({ part, degrees }) => `${obj(part)} 본인 기준 오른쪽으로 ${degrees} 정도 돌리세요`,
+            leanLeft: ({ part, degrees }) => `${obj(part)} 본인 기준 왼쪽으로 ${degrees} 정도 기울이세요`,
+            leanRight: ({ part, degrees }) => `${obj(part)} 본인 기준 오른쪽으로 ${degrees} 정도 기울이세요`,
+            watch: '{part}에 신경 쓰세요',
+            praise: '좋아요! 아주 잘하고 있어요!',
+        },
+        danceTerms: {
+            'bend.knee': '플리에를 {degrees} 정도 더 깊게',
+            'straighten.knee': ({ part }) => `플리에에서 올라오며 ${obj(part)} 펴세요`,
+            'point.ankle': '{part} 끝을 쭉 뻗으세요, 탄듀',
+            'raiseBy.leg': '{part} 익스텐션을 {degrees} 정도 더 높이세요',
+            'raiseBy.arm': ({ part }) => `포 드 브라, ${obj(part)} 더 높이`,
+            'rotateOut.foot': '{part} 턴아웃을 더, 고관절부터 돌리세요',
+            'watch.torso': '풀업, 중심을 세우세요',
+        },
+        setup: {
+            enterFrame: '화면 안으로 들어오세요',
+            faceCamera: '카메라를 보고 화면 가운데에 서세요',
+            feetCut: '뒤로 물러나세요, 발이 잘렸어요',
+            headCut: '뒤로 물러나세요, 머리가 잘렸어요',
+            handsCut: '가운데로 오세요, 손이 잘렸어요',
+            comeCloser: '조금 더 가까이 오세요',
+            holdStill: '좋아요, 그대로 계세요',
+            tPose: 'T자 자세로 팔을 양옆으로 쭉 펴세요',
+            dancer: '{n}번 댄서: {message}',
+        },
+        sample: '왼팔을 더 높이 올리세요',
+    },
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+// Which way a joint angle is off (poseSimilarity joint delta), as a cue key
+export function jointCueKey({ kind, delta }) {
+    switch (kind) {
+        case 'hinge': return delta > 0 ? 'bend' : 'straighten';
+        case 'shoulder': return delta > 0 ? 'lowerBy' : 'raiseBy';
+        case 'hip': return delta > 0 ? 'liftBy' : 'lowerBy';
+        case 'ankle': return delta > 0 ? 'flex' : 'point';
+        default: return 'adjustBy';
+    }
+}
+
+export function getCoachLocale(id) {
+    return COACH_LOCALES[id] || COACH_LOCALES[DEFAULT_LOCALE];
+}
+
+function fill(template, values) {
+    if (typeof template === 'function') return template(values);
+    return template.replace(/\{(\w+)\}/g, (_, key) => values[key] ?? '');
+}
+
+// "20 degrees" / "20 grados" / "20도", by the language's plural rules
+function formatDegrees(pack, n) {
+    const category = new Intl.PluralRules(pack.lang).select(n);
+    return fill(pack.degrees[category] || pack.degrees.other, { n });
+}
+
+// leftKnee → knee, rightArm → arm
+function partType(key) {
+    return key.replace(/^(left|right)/, '').toLowerCase();
+}
+
+/**
+ * Phrase a cue in a locale.
+ *
+ * @param {string} localeId - Key of COACH_LOCALES
+ * @param {string} cue - Key of the pack's `cues`
+ * @param {Object} options
+ * @param {string} options.joint - Joint key (poseSimilarity JOINTS), for joint corrections
+ * @param {string} options.segment - Segment key, for everything else
+ * @param {number} options.degrees - Rounded angle, for corrections by a measured amount
+ * @param {boolean} options.danceTerms - Prefer the pack's dance vocabulary where it has some
+ * @returns {string}
+ */
+export function phraseCue(localeId, cue, { joint = null, segment = null, degrees = null, danceTerms = false } = {}) {
+    const pack = getCoachLocale(localeId);
+    const key = joint || segment;
+    const part = (joint ? pack.joints[joint] : pack.segments[segment]) || key || '';
+    const values = { part, degrees: degrees !== null ? formatDegrees(pack, degrees) : '' };
+    const term = danceTerms && key ? pack.danceTerms?.[`${cue}.${partType(key)}`] : null;
+    return fill(term || pack.cues[cue], values);
+}
+
+/**
+ * Phrase a setup prompt (framing check, calibration) in a locale.
+ *
+ * @param {string} key - Key of the pack's `setup`
+ * @param {number|null} dancer - Index of the dancer it is meant for, in group sessions
+ */
+export function phraseSetup(localeId, key, dancer = null) {
+    const pack = getCoachLocale(localeId);
+    const message = pack.setup[key] || '';
+    return dancer === null ? message : fill(pack.setup.dancer, { n: dancer + 1, message });
+}
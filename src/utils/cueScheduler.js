@@ -0,0 +1,174 @@
+/**
+ * Cue Scheduler — When the coach speaks, and whether it helped.
+ *
+ * Corrections are queued instead of spoken on the spot: one entry per body
+ * segment, refreshed while the problem lasts and dropped once it is stale. The
+ * most urgent one is delivered at the next good moment — the start of an
+ * eight-count, or a quiet window where the reference dancer holds still —
+ * and never over a cue that is still playing. Without a beat grid a cue that
+ * has waited long enough goes out anyway, so a non-stop routine still gets
+ * coached.
+ *
+ * Every delivered correction is logged with the segment's score just before
+ * it and a few seconds after, which is what the session statistics report.
+ */
+
+import { normalizePose } from './poseNormalizer';
+import { beatPositionAt, hasBeats } from './beatGrid';
+
+const QUEUE_TTL_MS = 3000;      // an older correction no longer describes what the dancer is doing
+const NO_GRID_WAIT_MS = 1500;
+const QUIET_MOTION = 0.04;      // torso lengths per tick, limbs averaged
+const QUIET_HOLD_MS = 400;
+const BEFORE_MS = 1000;
+const AFTER_FROM_MS = 1000;     // give the dancer a moment to react
+const AFTER_TO_MS = 4000;
+const IMPROVED_BY = 5;
+const HISTORY_MS = 6000;
+
+const MOTION_POINTS = [13, 14, 15, 16, 25, 26, 27, 28];
+
+export function createCueScheduler() {
+    return {
+        queue: new Map(),   // key → { key, segment, cue, kind, priority, text, queuedAt }
+        lastBar: null,
+        lastRefPose: null,
+        stillSince: null,
+        scores: {},         // segment → [{ t, score }]
+        log: [],
+    };
+}
+
+/**
+ * Queue a cue, replacing any waiting one for the same key.
+ *
+ * @param {Object} cue - { key, segment, cue, kind: 'correction' | 'praise', priority, text }
+ */
+export function queueCue(scheduler, cue, now) {
+    const waiting = scheduler.queue.get(cue.key);
+    scheduler.queue.set(cue.key, { ...cue, queuedAt: waiting?.queuedAt ?? now });
+}
+
+export function clearCue(scheduler, key) {
+    scheduler.queue.delete(key);
+}
+
+/**
+ * Record this tick's segment scores and reference pose. Finishes the
+ * follow-up of delivered cues whose "after" window has passed.
+ */
+export function observeTick(scheduler, segments, refPose, now) {
+    for (const [key, score] of Object.entries(segments || {})) {
+        if (score === null) continue;
+        const history = scheduler.scores[key] || (scheduler.scores[key] = []);
+        history.push({ t: now, score });
+        while (history.length > 0 && history[0].t < now - HISTORY_MS) history.shift();
+    }
+
+    const norm = normalizePose(refPose);
+    if (norm && scheduler.lastRefPose) {
+        const motion = MOTION_POINTS.reduce((a, i) =>
+            a + Math.hypot(norm[i].x - scheduler.lastRefPose[i].x, norm[i].y - scheduler.lastRefPose[i].y), 0) / MOTION_POINTS.length;
+        if (motion < QUIET_MOTION) scheduler.stillSince = scheduler.stillSince ?? now;
+        else scheduler.stillSince = null;
+    }
+    if (norm) scheduler.lastRefPose = norm;
+
+    for (const entry of scheduler.log) {
+        if (entry.after === undefined && now - entry.at > AFTER_TO_MS) finishFollowUp(scheduler, entry);
+    }
+}
+
+function meanScore(scheduler, segment, from, to) {
+    const scores = (scheduler.scores[segment] || []).filter(s => s.t > from && s.t <= to).map(s => s.score);
+    return scores.length > 0 ? scores.reduce((a, b) => a + b, 0) / scores.length : null;
+}
+
+function finishFollowUp(scheduler, entry) {
+    entry.after = entry.kind === 'correction'
+        ? meanScore(scheduler, entry.segment, entry.at + AFTER_FROM_MS, entry.at + AFTER_TO_MS)
+        : null;
+}
+
+/**
+ * The cue to deliver now, if any — removed from the queue and logged.
+ *
+ * @param {Object} options
+ * @param {number} options.now - ms
+ * @param {number} options.videoTime - Reference video time (s), for the eight-count
+ * @param {Object|null} options.beatGrid
+ * @param {boolean} options.busy - A cue is still playing
+ * @param {number} options.cooldownMs - Shortest gap since the last delivered cue
+ */
+export function nextCue(scheduler, { now, videoTime, beatGrid = null, busy = false, cooldownMs = 0 }) {
+    for (const [key, cue] of scheduler.queue) {
+        if (now - cue.queuedAt > QUEUE_TTL_MS) scheduler.queue.delete(key);
+    }
+
+    // Start of an eight-count: the bar number just went up
+    const position = beatPositionAt(beatGrid, videoTime);
+    const downbeat = position !== null && scheduler.lastBar !== null && position.bar > scheduler.lastBar;
+    if (position) scheduler.lastBar = position.bar;
+
+    if (scheduler.queue.size === 0 || busy) return null;
+    const last = scheduler.log[scheduler.log.length - 1];
+    if (last && now - last.at < cooldownMs) return null;
+
+    const top = [...scheduler.queue.values()].sort((a, b) => b.priority - a.priority)[0];
+    const quiet = scheduler.stillSince !== null && now - scheduler.stillSince >= QUIET_HOLD_MS;
+    const waitedOut = !hasBeats(beatGrid) && now - top.queuedAt >= NO_GRID_WAIT_MS;
+    if (!downbeat && !quiet && !waitedOut) return null;
+
+    scheduler.queue.delete(top.key);
+    scheduler.log.push({
+        segment: top.segment,
+        cue: top.cue,
+        kind: top.kind,
+        text: top.text,
+        at: now,
+        videoTime,
+        moment: downbeat ? 'downbeat' : quiet ? 'quiet' : 'waited',
+        before: top.kind === 'correction' ? meanScore(scheduler, top.segment, now - BEFORE_MS, now) : null,
+        after: undefined,
+    });
+    return top;
+}
+
+/**
+ * What was said this session, grouped by segment and cue.
+ *
+ * @returns {Object} { total, corrections, measured, improved, byCue: [{ segment, cue, kind, text, count, measured, improved, change }] }
+ *   — improved counts corrections whose segment scored IMPROVED_BY points better in the seconds after;
+ *   change is the mean score change over the measured ones (null when none could be measured)
+ */
+export function cueStats(scheduler) {
+    for (const entry of scheduler.log) {
+        if (entry.after === undefined) finishFollowUp(scheduler, entry);
+    }
+
+    const groups = new Map();
+    for (const entry of scheduler.log) {
+        const key = `${entry.segment}:${entry.cue}`;
+        const group = groups.get(key) || { segment: entry.segment, cue: entry.cue, kind: entry.kind, text: entry.text, count: 0, measured: 0, improved: 0, changeSum: 0 };
+        group.count++;
+        if (entry.before !== null && entry.after !== null) {
+            const change = entry.after - entry.before;
+            group.measured++;
+            group.changeSum += change;
+            if (change >= IMPROVED_BY) group.improved++;
+        }
+        groups.set(key, group);
+    }
+
+    const byCue = [...groups.values()]
+        .map(({ changeSum, ...g }) => ({ ...g, change: g.measured > 0 ? Math.round(changeSum / g.measured * 10) / 10 : null }))
+        .sort((a, b) => b.count - a.count);
+    const corrections = byCue.filter(g => g.kind === 'correction');
+    return {
+        total: scheduler.log.length,
+        corrections: corrections.reduce((a, g) => a + g.count, 0),
+        measured: corrections.reduce((a, g) => a + g.measured, 0),
+        improved: corrections.reduce((a, g) => a + g.improved, 0),
+        byCue,
+    };
+}
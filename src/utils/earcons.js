@@ -0,0 +1,53 @@
+/**
+ * Earcons — Short tones the coach can play instead of speaking.
+ *
+ * A rising chime means "good", a low buzz means "off". They are over in a
+ * fraction of a second, so they fit between counts where a sentence wouldn't,
+ * and they work whatever language the dancer speaks.
+ */
+
+// Each note: frequency (Hz), start and length (s), oscillator type
+const EARCONS = {
+    good: [
+        { freq: 880, at: 0, dur: 0.12, type: 'sine' },
+        { freq: 1320, at: 0.09, dur: 0.2, type: 'sine' },
+    ],
+    off: [
+        { freq: 150, at: 0, dur: 0.22, type: 'square' },
+    ],
+};
+
+let audioContext = null;
+
+function getContext() {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return null;
+    if (!audioContext) audioContext = new Ctx();
+    if (audioContext.state === 'suspended') audioContext.resume().catch(() => {});
+    return audioContext;
+}
+
+/**
+ * @param {string} name - 'good' or 'off'
+ * @param {number} volume - 0–1
+ */
+export function playEarcon(name, volume = 0.8) {
+    const notes = EARCONS[name];
+    const ctx = notes && getContext();
+    if (!ctx) return;
+    const start = ctx.currentTime;
+    // Square waves are much louder than sines at the same gain
+    for (const { freq, at, dur, type } of notes) {
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        const peak = volume * (type === 'sine' ? 0.35 : 0.12);
+        osc.type = type;
+        osc.frequency.value = freq;
+        gain.gain.setValueAtTime(0, start + at);
+        gain.gain.linearRampToValueAtTime(peak, start + at + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + at + dur);
+        osc.connect(gain).connect(ctx.destination);
+        osc.start(start + at);
+        osc.stop(start + at + dur + 0.02);
+    }
+}
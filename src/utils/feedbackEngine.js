@@ -2,13 +2,33 @@
  * Feedback Engine — Generates grouped, actionable feedback from session data.
  */
 
-import { BODY_SEGMENTS } from './poseSimilarity';
+import { BODY_SEGMENTS, JOINTS } from './poseSimilarity';
+import { describeTimingOffset, isOnTime } from './poseAlignment';
+import { getScoringProfile } from './scoringProfiles';
+import { formatBeatRange } from './beatGrid';
+import { analyzeSessionAccents } from './accentTiming';
+import { analyzeSessionFormation } from './formationAnalyzer';
+import { phraseCorrection } from './poseCorrections';
+import { phraseCue, jointCueKey, DEFAULT_LOCALE } from './coachLocales';
 
-export function analyzeSession(sessionData) {
+// Share of the grade that comes from hitting accents on time, when there are enough hits to judge
+const ACCENT_GRADE_WEIGHT = 0.2;
+
+/**
+ * @param {Array} sessionData - Sampled comparison results from a session
+ * @param {Object} options
+ * @param {Object} options.profile - Scoring profile; defaults to the one the session was scored with
+ * @param {Object} options.beatGrid - Reference beat grid; labels the timeline in counts instead of seconds
+ * @param {string} options.locale - Coach language (coachLocales) for the corrections, matching what the voice coach said
+ * @param {boolean} options.danceTerms - Phrase corrections with studio vocabulary, as the voice coach does
+ */
+export function analyzeSession(sessionData, { profile = getScoringProfile(sessionData?.[0]?.profile), beatGrid = null, locale = DEFAULT_LOCALE, danceTerms = false } = {}) {
     if (!sessionData || sessionData.length < 3) {
         return { overallGrade: 'N/A', focusAreas: [], strengths: [], timeline: [], tips: [] };
     }
 
+    const accents = analyzeSessionAccents(sessionData);
+
     const segmentStats = {};
     for (const key of Object.keys(BODY_SEGMENTS)) {
         const scores = sessionData.map(d => d.segments[key]).filter(v => v !== null);
@@ -23,8 +43,18 @@ export function analyzeSession(sessionData) {
         const firstAvg = firstHalf.reduce((a, b) => a + b, 0) / firstHalf.length;
         const secondAvg = secondHalf.reduce((a, b) => a + b, 0) / secondHalf.length;
 
+        // Shape/timing split from the lag search, when the session recorded it
+        const aligned = sessionData.map(d => d.alignment?.segments?.[key]).filter(Boolean);
+        const shapeAvg = aligned.length > 0 ? aligned.reduce((a, al) => a + al.shape, 0) / aligned.length : null;
+        const offsetMs = aligned.length > 0 ? median(aligned.map(al => al.offsetMs)) : null;
+
+        const angleErrors = sessionData.map(d => d.angleErrors?.[key]).filter(v => v !== null && v !== undefined);
+        const angleError = angleErrors.length > 0 ? angleErrors.reduce((a, b) => a + b, 0) / angleErrors.length : null;
+
         segmentStats[key] = {
-            avg, min, max, trend: secondAvg - firstAvg, struggles,
+            avg, min, max, trend: secondAvg - firstAvg, struggles, shapeAvg, offsetMs, angleError,
+            accent: accents?.segments[key] || null,
+            corrections: recurringCorrections(sessionData, key, { locale, danceTerms }) ?? averageJointCorrections(sessionData, key, { locale, danceTerms }),
             label: BODY_SEGMENTS[key].label,
             emoji: BODY_SEGMENTS[key].emoji,
             consistency: 100 - (standardDeviation(scores) * 2),
@@ -33,7 +63,7 @@ export function analyzeSession(sessionData) {
 
     const sorted = Object.entries(segmentStats).sort((a, b) => a[1].avg - b[1].avg);
     const focusAreas = sorted
-        .filter(([_, s]) => s.avg < 70)
+        .filter(([_, s]) => s.avg < profile.focusBelow)
         .map(([key, s]) => ({
             segment: key, ...s,
             feedback: generateSegmentFeedback(key, s),
@@ -41,7 +71,7 @@ export function analyzeSession(sessionData) {
         }));
 
     const strengths = sorted
-        .filter(([_, s]) => s.avg >= 70)
+        .filter(([_, s]) => s.avg >= profile.focusBelow)
         .reverse()
         .map(([key, s]) => ({
             segment: key, ...s,
@@ -52,11 +82,23 @@ export function analyzeSession(sessionData) {
 
     const overallScores = sessionData.map(d => d.overall);
     const overallAvg = overallScores.reduce((a, b) => a + b, 0) / overallScores.length;
-    const overallGrade = getGrade(overallAvg);
-    const timeline = analyzeTimeline(sessionData);
-    const tips = generateTopTips(focusAreas, segmentStats, overallAvg);
+    // The grade folds in how well the hits land; overallAvg stays pure shape accuracy
+    const gradeScore = accents ? overallAvg * (1 - ACCENT_GRADE_WEIGHT) + accents.score * ACCENT_GRADE_WEIGHT : overallAvg;
+    const overallGrade = getGrade(gradeScore);
+    const timeline = analyzeTimeline(sessionData, beatGrid);
+    const timing = analyzeTiming(sessionData);
+    const formation = analyzeSessionFormation(sessionData, beatGrid);
+    const tips = generateTopTips(focusAreas, segmentStats, overallAvg, timing, accents, formation);
+
+    return { overallGrade, overallAvg, gradeScore, focusAreas, strengths, timeline, tips, segmentStats, timing, accents, formation };
+}
 
-    return { overallGrade, overallAvg, focusAreas, strengths, timeline, tips, segmentStats };
+function analyzeTiming(sessionData) {
+    const aligned = sessionData.map(d => d.alignment).filter(Boolean);
+    if (aligned.length === 0) return null;
+    const shapeAvg = aligned.reduce((a, al) => a + al.shape, 0) / aligned.length;
+    const offsetMs = median(aligned.map(al => al.offsetMs));
+    return { shapeAvg, offsetMs, label: describeTimingOffset(offsetMs) };
 }
 
 function generateSegmentFeedback(segKey, stats) {
@@ -69,6 +111,17 @@ function generateSegmentFeedback(segKey, stats) {
     if (stats.struggles.length > 0) lines.push(`There were ${stats.struggles.length} periods where your ${label} dropped below 50%.`);
     if (stats.trend > 5) lines.push(`Good news: your ${label} improved (+${Math.round(stats.trend)}% in second half).`);
     else if (stats.trend < -5) lines.push(`Your ${label} accuracy dropped towards the end.`);
+    if (stats.shapeAvg !== null && stats.shapeAvg - stats.avg >= 8 && !isOnTime(stats.offsetMs)) {
+        lines.push(`The shape is right (${Math.round(stats.shapeAvg)}% when timing is ignored) — your ${label} is landing ${describeTimingOffset(stats.offsetMs)}.`);
+    }
+
+    if (stats.accent && stats.accent.offsetMs !== null && !isOnTime(stats.accent.offsetMs)) {
+        lines.push(`Your ${label} hits land ${describeTimingOffset(stats.accent.offsetMs)} (on-beat ${Math.round(stats.accent.score)}%).`);
+    }
+    if (stats.angleError !== null && stats.angleError >= 10) {
+        lines.push(`On average it was about ${Math.round(stats.angleError)}° away from the reference.`);
+    }
+    for (const correction of stats.corrections) lines.push(`${correction}.`);
 
     const specifics = {
         leftArm: 'Focus on matching the extension and angle of your left arm.',
@@ -77,6 +130,10 @@ function generateSegmentFeedback(segKey, stats) {
         rightLeg: 'Right leg positioning — check kick height, step width, or knee bend.',
         torso: 'Torso alignment is the foundation. Keep your core aligned with the reference.',
         head: 'Head position affects the overall look. Match your gaze and head angle.',
+        leftHand: 'Check your left hand shape — wrist angle, which way the palm faces, and where the fingers point.',
+        rightHand: 'Check your right hand shape — wrist angle, which way the palm faces, and where the fingers point.',
+        leftFoot: 'Left foot placement matters — watch whether the toes point or flex, and heel versus toe landings.',
+        rightFoot: 'Right foot placement matters — watch whether the toes point or flex, and heel versus toe landings.',
     };
     if (specifics[segKey]) lines.push(specifics[segKey]);
     return lines;
@@ -90,11 +147,15 @@ function generateExercises(segKey) {
         rightLeg: [{ name: 'Step Width Practice', desc: 'Focus on matching width and depth of each step' }, { name: 'Slow-Mo Leg Drill', desc: 'Run reference at 0.5× for right leg only' }],
         torso: [{ name: 'Core Alignment Check', desc: 'Dance while watching skeleton — keep torso lines green' }, { name: 'Hip-Shoulder Sync', desc: 'Rotate hips and shoulders together' }],
         head: [{ name: 'Head Position Awareness', desc: 'Practice with fixed gaze matching reference' }, { name: 'Posture Check', desc: 'Keep chin level and head centered' }],
+        leftHand: [{ name: 'Hand Shape Freeze', desc: 'Pause on each hand shape and match wrist and finger direction' }, { name: 'Wrist Isolation', desc: 'Roll and flick the wrist slowly while the arm stays still' }],
+        rightHand: [{ name: 'Hand Shape Freeze', desc: 'Pause on each hand shape and match wrist and finger direction' }, { name: 'Wrist Isolation', desc: 'Roll and flick the wrist slowly while the arm stays still' }],
+        leftFoot: [{ name: 'Heel-Toe Drill', desc: 'Practice heel and toe placements at 0.5× without arms' }, { name: 'Point & Flex', desc: 'Alternate pointed and flexed foot on each count' }],
+        rightFoot: [{ name: 'Heel-Toe Drill', desc: 'Practice heel and toe placements at 0.5× without arms' }, { name: 'Point & Flex', desc: 'Alternate pointed and flexed foot on each count' }],
     };
     return exercises[segKey] || [{ name: 'Slow Practice', desc: 'Practice at 0.5× speed' }];
 }
 
-function analyzeTimeline(sessionData) {
+function analyzeTimeline(sessionData, beatGrid) {
     const chunkSize = Math.max(1, Math.floor(sessionData.length / 4));
     const phases = [];
     for (let i = 0; i < sessionData.length; i += chunkSize) {
@@ -116,13 +177,27 @@ function analyzeTimeline(sessionData) {
             const a = vals.reduce((s, v) => s + v, 0) / vals.length;
             if (a < weakestAvg) { weakestAvg = a; weakest = k; }
         }
-        phases.push({ label: `${startSec}s–${endSec}s`, avg: Math.round(avg), weakestSegment: weakest ? BODY_SEGMENTS[weakest]?.label : null, weakestScore: Math.round(weakestAvg) });
+        const beatLabel = formatBeatRange(beatGrid, chunk[0].videoTime, chunk[chunk.length - 1].videoTime);
+        phases.push({ label: beatLabel || `${startSec}s–${endSec}s`, avg: Math.round(avg), weakestSegment: weakest ? BODY_SEGMENTS[weakest]?.label : null, weakestScore: Math.round(weakestAvg) });
     }
     return phases;
 }
 
-function generateTopTips(focusAreas, segmentStats, overallAvg) {
+function generateTopTips(focusAreas, segmentStats, overallAvg, timing, accents, formation) {
     const tips = [];
+    if (formation && formation.score < 60) {
+        const spacing = formation.spacing && formation.spacing.label !== 'well spaced' ? ` The group is ${formation.spacing.label}.` : '';
+        tips.push({ icon: '📐', text: `Hold the formation — formation score ${Math.round(formation.score)}%.${spacing} Mark your spot on the floor for each section and walk the transitions without the arms first.` });
+    }
+    if (accents && accents.score < 60) {
+        const late = accents.offsetMs !== null && !isOnTime(accents.offsetMs)
+            ? ` Your hits land ${describeTimingOffset(accents.offsetMs)} on average.`
+            : ' Several hits were missed or blurred.';
+        tips.push({ icon: '💥', text: `Sharpen the accents — on-beat score ${Math.round(accents.score)}%.${late} Snap into each position and freeze it on the count.` });
+    }
+    if (timing && timing.shapeAvg >= 70 && !isOnTime(timing.offsetMs)) {
+        tips.push({ icon: '🥁', text: `Right moves, ${timing.label}: your shapes match at ${Math.round(timing.shapeAvg)}%. ${timing.offsetMs > 0 ? 'Anticipate each count a little earlier.' : 'Wait for the count — you are rushing ahead.'}` });
+    }
     if (focusAreas.length === 0) {
         tips.push({ icon: '🌟', text: 'Amazing work! All body parts are matching well. Try increasing the speed or a harder routine.' });
         return tips;
@@ -137,7 +212,7 @@ function generateTopTips(focusAreas, segmentStats, overallAvg) {
     const declining = Object.entries(segmentStats).filter(([_, s]) => s.trend < -8).map(([k, s]) => s.label);
     if (declining.length > 0) tips.push({ icon: '💤', text: `Your ${declining.join(' and ')} got worse towards the end — take a break.` });
 
-    tips.push({ icon: '💡', text: 'Pro tip: Use mirror mode if the reference dancer faces you. Use speed controls to slow down.' });
+    tips.push({ icon: '💡', text: 'Pro tip: If the reference dancer faces you, set Match to Mirrored (or Auto). Use speed controls to slow down.' });
     return tips.slice(0, 5);
 }
 
@@ -152,6 +227,63 @@ function findStruggles(scores, threshold, minLength) {
     return struggles;
 }
 
+// Share of a segment's samples one correction must show up in to be reported
+const RECURRING_SHARE = 0.3;
+
+/**
+ * The 3D corrections (poseCorrections) that kept coming back for a segment,
+ * e.g. "Bring your left arm about 20 degrees further forward", phrased with
+ * their median amount in the coach's language. Null for sessions saved
+ * before samples had corrections.
+ */
+function recurringCorrections(sessionData, segKey, { locale, danceTerms }) {
+    const withCorrections = sessionData.filter(d => d.corrections && d.segments[segKey] !== null);
+    if (withCorrections.length < 3) return null;
+
+    const groups = new Map();
+    for (const sample of withCorrections) {
+        for (const c of sample.corrections) {
+            if (c.segment !== segKey) continue;
+            const key = `${c.joint || c.segment}:${c.cue}`;
+            const group = groups.get(key) || { ...c, amounts: [] };
+            group.amounts.push(c.degrees);
+            groups.set(key, group);
+        }
+    }
+    return [...groups.values()]
+        .filter(g => g.amounts.length >= Math.max(3, withCorrections.length * RECURRING_SHARE))
+        .sort((a, b) => b.amounts.length - a.amounts.length)
+        .slice(0, 2)
+        .map(g => phraseCorrection(locale, { ...g, degrees: Math.round(median(g.amounts) / 5) * 5 }, { danceTerms }));
+}
+
+// Smallest average joint-angle error, in degrees, worth a correction
+const MIN_CORRECTION_DEG = 10;
+
+// Consistent joint-angle errors for a segment, e.g. "Bend your left knee about 20 degrees more",
+// in the coach's language. Fallback for sessions saved before samples had 3D corrections.
+function averageJointCorrections(sessionData, segKey, { locale, danceTerms }) {
+    const corrections = [];
+    for (const [jointKey, joint] of Object.entries(JOINTS)) {
+        if (joint.segment !== segKey) continue;
+        const deltas = sessionData
+            .map(d => d.joints?.find(j => j.joint === jointKey)?.delta)
+            .filter(v => v !== undefined);
+        if (deltas.length < 3) continue;
+        const meanDelta = deltas.reduce((a, b) => a + b, 0) / deltas.length;
+        if (Math.abs(meanDelta) < MIN_CORRECTION_DEG) continue;
+        const degrees = Math.round(Math.abs(meanDelta) / 5) * 5;
+        corrections.push(phraseCue(locale, jointCueKey({ ...joint, delta: meanDelta }), { joint: jointKey, degrees, danceTerms }));
+    }
+    return corrections;
+}
+
+function median(arr) {
+    const sorted = [...arr].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
 function standardDeviation(arr) {
     const mean = arr.reduce((a, b) => a + b, 0) / arr.length;
     return Math.sqrt(arr.reduce((a, v) => a + (v - mean) ** 2, 0) / arr.length);
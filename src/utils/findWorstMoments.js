@@ -1,3 +1,6 @@
+import { BODY_SEGMENTS } from './poseSimilarity';
+import { formatBeatRange } from './beatGrid';
+
 /**
  * Find the N worst (lowest-scoring) non-overlapping time windows in session data.
  *
@@ -10,9 +13,10 @@
  * @param {Array} sessionData - Array of comparison results with { overall, timestamp, videoTime, refPose, userPose }
  * @param {number} count - Number of worst moments to find (default 3)
  * @param {number} windowSec - Window duration in seconds (default 3)
- * @returns {Array} Array of { startVideoTime, endVideoTime, avgScore, samples, centerIndex }
+ * @param {Object} beatGrid - Reference beat grid, for labeling moments in counts (optional)
+ * @returns {Array} Array of { startVideoTime, endVideoTime, label, avgScore, samples, centerIndex } — label is null without a beat grid
  */
-export function findWorstMoments(sessionData, count = 3, windowSec = 3) {
+export function findWorstMoments(sessionData, count = 3, windowSec = 3, beatGrid = null) {
     if (!sessionData || sessionData.length < 5) return [];
 
     // Filter to only entries that have videoTime and pose data
@@ -31,6 +35,8 @@ export function findWorstMoments(sessionData, count = 3, windowSec = 3) {
     const rollingAvgs = [];
     for (let i = 0; i <= validData.length - windowSamples; i++) {
         const window = validData.slice(i, i + windowSamples);
+        // Skip windows that straddle a jump back in the video (loop repetitions)
+        if (window.some((d, j) => j > 0 && d.videoTime < window[j - 1].videoTime)) continue;
         const avg = window.reduce((sum, d) => sum + d.overall, 0) / window.length;
         rollingAvgs.push({
             index: i,
@@ -74,6 +80,7 @@ export function findWorstMoments(sessionData, count = 3, windowSec = 3) {
         results.push({
             startVideoTime: candidate.startVideoTime,
             endVideoTime: candidate.endVideoTime,
+            label: formatBeatRange(beatGrid, candidate.startVideoTime, candidate.endVideoTime),
             avgScore: Math.round(candidate.avg * 10) / 10,
             samples: candidate.samples,
             centerIndex,
@@ -85,3 +92,33 @@ export function findWorstMoments(sessionData, count = 3, windowSec = 3) {
 
     return results;
 }
+
+/**
+ * Lowest-scoring body segments across a moment's samples.
+ *
+ * @param {Array} samples - Session samples with { segments }
+ * @param {number} limit - Number of segments to return (default 3)
+ * @returns {Array} Array of { key, avg, label, emoji }, worst first
+ */
+export function getWorstSegments(samples, limit = 3) {
+    const segTotals = {};
+
+    for (const sample of samples) {
+        for (const [key, score] of Object.entries(sample.segments)) {
+            if (score === null) continue;
+            if (!segTotals[key]) segTotals[key] = { sum: 0, count: 0 };
+            segTotals[key].sum += score;
+            segTotals[key].count++;
+        }
+    }
+
+    return Object.entries(segTotals)
+        .map(([key, { sum, count }]) => ({
+            key,
+            avg: sum / count,
+            label: BODY_SEGMENTS[key]?.label || key,
+            emoji: BODY_SEGMENTS[key]?.emoji || '•',
+        }))
+        .sort((a, b) => a.avg - b.avg)
+        .slice(0, limit);
+}
@@ -0,0 +1,133 @@
+/**
+ * Formation Analyzer — Are the dancers standing where the group should be?
+ *
+ * Each dancer is reduced to their mid-hip position. The reference group's
+ * layout is centred on its centroid and scaled by the reference dancers'
+ * torso length; the same layout is then laid over the user group (centred on
+ * their centroid, at their torso length), which gives every user a target
+ * spot. How far each dancer is from their spot, in torso lengths, is their
+ * placement score, and the formation score is their mean. Spacing compares
+ * how spread out the two groups are, relative to body size.
+ */
+
+import { formatBeatRange } from './beatGrid';
+
+const MIN_VISIBILITY = 0.4;
+const PLACEMENT_SIGMA = 0.75;    // torso lengths off target that still scores ~60
+const OUT_OF_PLACE_BELOW = 50;
+const TIGHT_RATIO = 0.8;
+const WIDE_RATIO = 1.25;
+
+/**
+ * Mid-hip position and torso length of one dancer.
+ *
+ * @param {Array|null} landmarks - Raw landmarks (0–1 image coordinates)
+ * @param {number} aspect - Frame width / height, so x and y distances are comparable
+ * @returns {Object|null} { x, y, torso } with x scaled by the aspect
+ */
+export function formationPoint(landmarks, aspect = 1) {
+    if (!landmarks || landmarks.length < 33) return null;
+    const [ls, rs, lh, rh] = [landmarks[11], landmarks[12], landmarks[23], landmarks[24]];
+    if ([ls, rs, lh, rh].some(lm => (lm.visibility || 0) < MIN_VISIBILITY)) return null;
+    const hip = { x: (lh.x + rh.x) / 2 * aspect, y: (lh.y + rh.y) / 2 };
+    const shoulder = { x: (ls.x + rs.x) / 2 * aspect, y: (ls.y + rs.y) / 2 };
+    const torso = Math.hypot(shoulder.x - hip.x, shoulder.y - hip.y);
+    return torso > 0.001 ? { ...hip, torso } : null;
+}
+
+// User spread / reference spread, relative to body size
+export function describeSpacing(ratio) {
+    if (ratio < TIGHT_RATIO) return 'too close together';
+    if (ratio > WIDE_RATIO) return 'too spread out';
+    return 'well spaced';
+}
+
+function centroid(points) {
+    return {
+        x: points.reduce((a, p) => a + p.x, 0) / points.length,
+        y: points.reduce((a, p) => a + p.y, 0) / points.length,
+    };
+}
+
+/**
+ * Compare the user group's layout with the reference group's.
+ *
+ * @param {Array} refPoints - formationPoint per user dancer, of the reference dancer they copy
+ * @param {Array} userPoints - formationPoint per user dancer
+ * @param {Object} options
+ * @param {boolean} options.mirrored - The group copies the reference mirror-image, so its layout is flipped too
+ * @param {number} options.userAspect - The user frame's aspect, to return targets in image coordinates
+ * @returns {Object|null} { score, spacing: { ratio, label }, dancers: [{ score, target, outOfPlace } | null] }
+ *   — score is the mean placement, targets are where each dancer should stand
+ *   — null with fewer than two dancers visible in both
+ */
+export function compareFormation(refPoints, userPoints, { mirrored = false, userAspect = 1 } = {}) {
+    const pairs = [];
+    refPoints.forEach((ref, d) => {
+        if (ref && userPoints[d]) pairs.push({ d, ref: mirrored ? { ...ref, x: -ref.x } : ref, user: userPoints[d] });
+    });
+    if (pairs.length < 2) return null;
+
+    const refCenter = centroid(pairs.map(p => p.ref));
+    const userCenter = centroid(pairs.map(p => p.user));
+    const refTorso = pairs.reduce((a, p) => a + p.ref.torso, 0) / pairs.length;
+    const userTorso = pairs.reduce((a, p) => a + p.user.torso, 0) / pairs.length;
+
+    const spreadOf = (points, center, torso) =>
+        Math.sqrt(points.reduce((a, p) => a + (p.x - center.x) ** 2 + (p.y - center.y) ** 2, 0) / points.length) / torso;
+    const refSpread = spreadOf(pairs.map(p => p.ref), refCenter, refTorso);
+    const userSpread = spreadOf(pairs.map(p => p.user), userCenter, userTorso);
+    const ratio = refSpread > 0.05 ? userSpread / refSpread : 1;
+
+    const dancers = refPoints.map(() => null);
+    for (const { d, ref, user } of pairs) {
+        const target = {
+            x: userCenter.x + (ref.x - refCenter.x) / refTorso * userTorso,
+            y: userCenter.y + (ref.y - refCenter.y) / refTorso * userTorso,
+        };
+        const off = Math.hypot(user.x - target.x, user.y - target.y) / userTorso;
+        const score = 100 * Math.exp(-(off * off) / (2 * PLACEMENT_SIGMA * PLACEMENT_SIGMA));
+        dancers[d] = { score, target: { x: target.x / userAspect, y: target.y }, outOfPlace: score < OUT_OF_PLACE_BELOW };
+    }
+
+    const placed = dancers.filter(Boolean);
+    return {
+        score: placed.reduce((a, p) => a + p.score, 0) / placed.length,
+        spacing: { ratio, label: describeSpacing(ratio) },
+        dancers,
+    };
+}
+
+/**
+ * Formation over a group session's stored samples ({ videoTime, formation: { score, placement, spacing } }).
+ *
+ * @returns {Object|null} { score, placement, spacing: { ratio, label } | null, phases: [{ label, score, placement }] },
+ *   or null for solo sessions. placement is this dancer's own, when the samples are one dancer's.
+ */
+export function analyzeSessionFormation(sessionData, beatGrid = null, phaseCount = 4) {
+    const samples = (sessionData || []).filter(d => d.formation);
+    if (samples.length < 3) return null;
+
+    const mean = (arr) => arr.length > 0 ? arr.reduce((a, b) => a + b, 0) / arr.length : null;
+    const placements = (chunk) => chunk.map(d => d.formation.placement).filter(v => v !== null && v !== undefined);
+
+    const chunkSize = Math.max(1, Math.floor(samples.length / phaseCount));
+    const phases = [];
+    for (let i = 0; i < samples.length; i += chunkSize) {
+        const chunk = samples.slice(i, i + chunkSize);
+        phases.push({
+            label: formatBeatRange(beatGrid, chunk[0].videoTime, chunk[chunk.length - 1].videoTime)
+                || `${Math.round(chunk[0].videoTime)}s–${Math.round(chunk[chunk.length - 1].videoTime)}s`,
+            score: Math.round(mean(chunk.map(d => d.formation.score))),
+            placement: placements(chunk).length > 0 ? Math.round(mean(placements(chunk))) : null,
+        });
+    }
+
+    const ratio = mean(samples.map(d => d.formation.spacing).filter(v => v !== null && v !== undefined));
+    return {
+        score: mean(samples.map(d => d.formation.score)),
+        placement: mean(placements(samples)),
+        spacing: ratio !== null ? { ratio, label: describeSpacing(ratio) } : null,
+        phases,
+    };
+}
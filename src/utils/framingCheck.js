@@ -0,0 +1,43 @@
+/**
+ * Framing Check — Is the whole body in the webcam frame?
+ *
+ * Works on raw landmarks (0–1 image coordinates) before any scoring starts,
+ * so the user gets told what's wrong ("step back, your feet are cut off")
+ * instead of silently getting no score.
+ */
+
+const MIN_VISIBILITY = 0.5;
+const EDGE_MARGIN = 0.02;
+const MIN_BODY_HEIGHT = 0.45; // nose-to-ankle span as a share of the frame height
+
+const HEAD = [0];
+const SHOULDERS = [11, 12];
+const HIPS = [23, 24];
+const HANDS = [15, 16];
+const FEET = [27, 28, 31, 32];
+
+function seen(landmarks, indices) {
+    return indices.every(i => {
+        const lm = landmarks[i];
+        return lm && (lm.visibility || 0) >= MIN_VISIBILITY
+            && lm.x > EDGE_MARGIN && lm.x < 1 - EDGE_MARGIN
+            && lm.y > EDGE_MARGIN && lm.y < 1 - EDGE_MARGIN;
+    });
+}
+
+/**
+ * @param {Array|null} landmarks - Raw user landmarks, or null when no one is detected
+ * @returns {Object} { ok, cue } — cue names the prompt to show and speak (coachLocales `setup`)
+ */
+export function checkFraming(landmarks) {
+    if (!landmarks || landmarks.length < 33) return { ok: false, cue: 'enterFrame' };
+    if (!seen(landmarks, SHOULDERS) || !seen(landmarks, HIPS)) return { ok: false, cue: 'faceCamera' };
+    if (!seen(landmarks, FEET)) return { ok: false, cue: 'feetCut' };
+    if (!seen(landmarks, HEAD)) return { ok: false, cue: 'headCut' };
+    if (!seen(landmarks, HANDS)) return { ok: false, cue: 'handsCut' };
+
+    const height = Math.max(landmarks[27].y, landmarks[28].y) - landmarks[0].y;
+    if (height < MIN_BODY_HEIGHT) return { ok: false, cue: 'comeCloser' };
+
+    return { ok: true, cue: 'holdStill' };
+}
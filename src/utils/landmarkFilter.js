@@ -0,0 +1,227 @@
+/**
+ * Landmark Filter — Smoothing for one stream of pose landmarks.
+ *
+ * MediaPipe landmarks jitter by a few pixels even when the dancer holds
+ * still, but averaging the last few frames makes the skeleton trail behind
+ * fast moves — exactly the sharp hits scoring cares about. Two filters trade
+ * these off per frame instead:
+ *
+ * - One Euro (Casiez et al., CHI 2012): a low-pass whose cutoff rises with
+ *   speed, so a held pose is smoothed hard and a fast move passes through
+ *   almost unfiltered.
+ * - Constant-velocity Kalman: every coordinate tracked as position and
+ *   velocity, so a move that keeps going is followed without lag.
+ *
+ * Both fill short gaps: when a landmark's visibility drops (occluded, out of
+ * frame) its last position is held, or carried on at a fading velocity, for
+ * up to maxGapMs instead of following MediaPipe's guess, and it keeps its
+ * last good visibility so scoring doesn't drop the segment for a blink.
+ *
+ * A filter is a plain state object for one stream — one per dancer, and
+ * separate ones for image and world landmarks — owned by the component that
+ * draws it.
+ */
+
+export const FILTER_KINDS = {
+    oneEuro: { label: 'One Euro', description: 'Adaptive low-pass — steady when still, quick on fast moves' },
+    kalman: { label: 'Kalman', description: 'Constant-velocity tracking — least lag on sweeping moves' },
+    off: { label: 'Off', description: 'Raw landmarks, no smoothing' },
+};
+
+export const GAP_MODES = {
+    predict: { label: 'Predict', description: 'Hidden joints keep moving the way they were going' },
+    hold: { label: 'Hold', description: 'Hidden joints stay where they were last seen' },
+};
+
+const STORAGE_KEY = 'dancecoach-ai:filter-settings';
+export const DEFAULT_FILTER_SETTINGS = {
+    kind: 'oneEuro',
+    // Cutoffs in Hz; beta raises the cutoff per unit/s of speed (units: image widths/heights, or metres)
+    oneEuro: { minCutoff: 1, beta: 40, dCutoff: 1 },
+    // Acceleration noise density (units²/s³) and per-frame measurement variance (units²) at full visibility
+    kalman: { processNoise: 0.3, measurementNoise: 2e-5 },
+    gap: 'predict',
+    maxGapMs: 300,
+    minVisibility: 0.4,
+};
+
+// A stream that stalls this long starts over rather than blending with stale state
+const RESET_AFTER_MS = 1000;
+const INITIAL_VELOCITY_VARIANCE = 1;
+// A hidden landmark's velocity fades out over about this long — a guess that keeps going drifts off
+const GAP_VELOCITY_DECAY_S = 0.15;
+
+export function createLandmarkFilter(settings = DEFAULT_FILTER_SETTINGS) {
+    return {
+        settings: {
+            ...DEFAULT_FILTER_SETTINGS,
+            ...settings,
+            oneEuro: { ...DEFAULT_FILTER_SETTINGS.oneEuro, ...settings.oneEuro },
+            kalman: { ...DEFAULT_FILTER_SETTINGS.kalman, ...settings.kalman },
+        },
+        points: [],
+        lastTime: null,
+    };
+}
+
+// Forget all state — a different dancer took over the stream, or it was interrupted
+export function resetLandmarkFilter(filter) {
+    filter.points = [];
+    filter.lastTime = null;
+}
+
+function newPoint(lm, time, { kalman }) {
+    return {
+        axes: [lm.x, lm.y, lm.z || 0].map(pos => ({
+            // vel: One Euro's smoothed speed estimate, or the Kalman velocity; slope: One Euro's last step
+            pos, vel: 0, slope: 0,
+            // Kalman covariance [[p00, p01], [p01, p11]]
+            p00: kalman.measurementNoise, p01: 0, p11: INITIAL_VELOCITY_VARIANCE,
+        })),
+        visibility: lm.visibility ?? 1,
+        lastSeen: time,
+    };
+}
+
+function output(point, visibility) {
+    const [x, y, z] = point.axes;
+    return { x: x.pos, y: y.pos, z: z.pos, visibility };
+}
+
+// Exponential smoothing factor for a low-pass at `cutoff` Hz over `dt` seconds
+function smoothingFactor(cutoff, dt) {
+    const r = 2 * Math.PI * cutoff * dt;
+    return r / (r + 1);
+}
+
+function oneEuroStep(point, raw, dt, { minCutoff, beta, dCutoff }) {
+    const dAlpha = smoothingFactor(dCutoff, dt);
+    let speed = 0;
+    point.axes.forEach((a, k) => {
+        a.vel += dAlpha * ((raw[k] - a.pos) / dt - a.vel);
+        speed += a.vel * a.vel;
+    });
+    const alpha = smoothingFactor(minCutoff + beta * Math.sqrt(speed), dt);
+    point.axes.forEach((a, k) => {
+        const step = alpha * (raw[k] - a.pos);
+        a.pos += step;
+        a.slope = step / dt;
+    });
+}
+
+function kalmanPredict(a, dt, q) {
+    a.pos += a.vel * dt;
+    a.p00 += dt * (2 * a.p01 + dt * a.p11) + q * dt * dt * dt / 3;
+    a.p01 += dt * a.p11 + q * dt * dt / 2;
+    a.p11 += q * dt;
+}
+
+function kalmanUpdate(a, measured, r) {
+    const s = a.p00 + r;
+    const k0 = a.p00 / s;
+    const k1 = a.p01 / s;
+    const innovation = measured - a.pos;
+    a.pos += k0 * innovation;
+    a.vel += k1 * innovation;
+    a.p11 -= k1 * a.p01;
+    a.p01 *= 1 - k0;
+    a.p00 *= 1 - k0;
+}
+
+// Less visible landmarks are trusted less
+function kalmanStep(point, raw, dt, visibility, { processNoise, measurementNoise }) {
+    const r = measurementNoise / Math.max(visibility, 0.2);
+    point.axes.forEach((a, k) => {
+        kalmanPredict(a, dt, processNoise);
+        kalmanUpdate(a, raw[k], r);
+    });
+}
+
+// Hidden for now: stay put, or carry on at the last velocity while it fades
+function fillGap(point, dt, settings) {
+    if (settings.gap !== 'predict') return;
+    const decay = Math.exp(-dt / GAP_VELOCITY_DECAY_S);
+    for (const a of point.axes) {
+        if (settings.kind === 'kalman') kalmanPredict(a, dt, settings.kalman.processNoise);
+        else {
+            // The speed estimate lags too much to extrapolate; the filtered output's slope doesn't
+            a.pos += a.slope * dt;
+            a.slope *= decay;
+        }
+        a.vel *= decay;
+    }
+}
+
+function filterPoint(filter, i, lm, dt, time) {
+    const { settings } = filter;
+    const visibility = lm.visibility ?? 1;
+    const seen = visibility >= settings.minVisibility;
+    const point = filter.points[i];
+
+    if (!point || time - point.lastSeen > settings.maxGapMs) {
+        filter.points[i] = seen ? newPoint(lm, time, settings) : null;
+        return { x: lm.x, y: lm.y, z: lm.z || 0, visibility };
+    }
+    if (!seen) {
+        fillGap(point, dt, settings);
+        return output(point, point.visibility);
+    }
+
+    const raw = [lm.x, lm.y, lm.z || 0];
+    if (settings.kind === 'kalman') kalmanStep(point, raw, dt, visibility, settings.kalman);
+    else oneEuroStep(point, raw, dt, settings.oneEuro);
+    point.visibility = visibility;
+    point.lastSeen = time;
+    return output(point, visibility);
+}
+
+/**
+ * Filter one frame of a stream.
+ *
+ * @param {Object} filter - From createLandmarkFilter
+ * @param {Array} landmarks - This frame's landmarks ({ x, y, z, visibility })
+ * @param {number} time - Frame time in ms; must increase from frame to frame
+ * @returns {Array} Filtered landmarks (new objects; the input isn't changed)
+ */
+export function filterLandmarks(filter, landmarks, time) {
+    if (!landmarks || landmarks.length === 0) return landmarks;
+    if (filter.settings.kind === 'off') return landmarks;
+
+    if (filter.lastTime !== null && (time <= filter.lastTime || time - filter.lastTime > RESET_AFTER_MS)) {
+        resetLandmarkFilter(filter);
+    }
+    const dt = filter.lastTime === null ? 0 : (time - filter.lastTime) / 1000;
+    filter.lastTime = time;
+    return landmarks.map((lm, i) => filterPoint(filter, i, lm, dt, time));
+}
+
+/**
+ * Filter one frame of the stream `key` ('0', '0:world', …), creating its
+ * filter on first use. `filters` is a Map owned by the caller; clear it, or
+ * delete a key, to start a stream over.
+ */
+export function filterStream(filters, key, landmarks, time, settings) {
+    let filter = filters.get(key);
+    if (!filter) filters.set(key, filter = createLandmarkFilter(settings));
+    return filterLandmarks(filter, landmarks, time);
+}
+
+export function loadFilterSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        const settings = createLandmarkFilter(saved).settings;
+        if (!FILTER_KINDS[settings.kind]) settings.kind = DEFAULT_FILTER_SETTINGS.kind;
+        if (!GAP_MODES[settings.gap]) settings.gap = DEFAULT_FILTER_SETTINGS.gap;
+        return settings;
+    } catch {
+        return createLandmarkFilter().settings;
+    }
+}
+
+export function saveFilterSettings(settings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (err) {
+        console.warn('[LandmarkFilter] Failed to save filter settings:', err.message);
+    }
+}
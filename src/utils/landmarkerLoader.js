@@ -0,0 +1,135 @@
+/**
+ * Landmarker Loader — One place that creates MediaPipe PoseLandmarkers.
+ *
+ * The model and the WASM runtime are served from the app's own origin, not a
+ * CDN: the WASM is copied out of the installed @mediapipe/tasks-vision package
+ * at build time (vite.config.ts), so it always matches the JS API version, and
+ * the models are fetched into public/models before dev and build. Where that
+ * download couldn't happen (no network at build time) a missing model is
+ * loaded from its pinned upstream URL instead. The service worker caches
+ * both, so pose detection keeps working offline.
+ *
+ * Three model tiers trade speed for accuracy. Live webcam detection has to
+ * keep up with the camera, so it defaults to lite; the reference video is
+ * analyzed once up front, where a slower, more accurate model pays off.
+ */
+
+import { PoseLandmarker, FilesetResolver } from '@mediapipe/tasks-vision';
+import { modelFileName, remoteModelUrl } from './modelSources';
+
+const BASE = import.meta.env.BASE_URL;
+export const WASM_PATH = `${BASE}mediapipe/wasm`;
+
+export const MODEL_TIERS = {
+    lite: { label: 'Lite', description: 'Fastest — best for live webcam on most devices' },
+    full: { label: 'Full', description: 'Balanced speed and accuracy' },
+    heavy: { label: 'Heavy', description: 'Most accurate, much slower — best for analyzing the reference video' },
+};
+
+const STORAGE_KEY = 'dancecoach-ai:model-settings';
+export const DEFAULT_MODEL_SETTINGS = { live: 'lite', analysis: 'full' };
+
+// GPU first; CPU works everywhere WASM does
+const DELEGATES = ['GPU', 'CPU'];
+
+export function modelPath(tier) {
+    return `${BASE}models/${modelFileName(tier)}`;
+}
+
+const resolvedPaths = {}; // tier → Promise<string>
+
+/**
+ * The self-hosted model when it was deployed, otherwise the pinned upstream
+ * copy. Static hosts often answer a missing file with index.html, so an HTML
+ * response counts as missing too. Without a network answer (offline) the
+ * self-hosted path is kept — the service worker has it if it was ever loaded.
+ */
+export function resolveModelPath(tier) {
+    if (!resolvedPaths[tier]) {
+        const local = modelPath(tier);
+        resolvedPaths[tier] = fetch(local, { method: 'HEAD' })
+            .then(res => res.ok && !(res.headers.get('content-type') || '').includes('text/html'))
+            .catch(() => true)
+            .then(found => {
+                if (found) return local;
+                console.warn(`[LandmarkerLoader] ${local} is not deployed — loading ${remoteModelUrl(tier)} instead (npm run fetch-models serves it from this app).`);
+                return remoteModelUrl(tier);
+            });
+    }
+    return resolvedPaths[tier];
+}
+
+// Whether a pose track analyzed with `tier` is at least as good as one from `wanted`
+export function isTierAtLeast(tier, wanted) {
+    const order = Object.keys(MODEL_TIERS);
+    return order.indexOf(tier) >= order.indexOf(wanted);
+}
+
+export function loadModelSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        return {
+            live: MODEL_TIERS[saved.live] ? saved.live : DEFAULT_MODEL_SETTINGS.live,
+            analysis: MODEL_TIERS[saved.analysis] ? saved.analysis : DEFAULT_MODEL_SETTINGS.analysis,
+        };
+    } catch {
+        return { ...DEFAULT_MODEL_SETTINGS };
+    }
+}
+
+export function saveModelSettings(settings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (err) {
+        console.warn('[LandmarkerLoader] Failed to save model settings:', err.message);
+    }
+}
+
+let filesetPromise = null;
+
+// The WASM fileset is shared; each caller still gets its own landmarker, since
+// VIDEO-mode timestamps must increase per instance
+function loadFileset() {
+    if (!filesetPromise) {
+        filesetPromise = FilesetResolver.forVisionTasks(WASM_PATH).catch(err => {
+            filesetPromise = null;
+            throw err;
+        });
+    }
+    return filesetPromise;
+}
+
+/**
+ * @param {Object} options
+ * @param {number} options.numPoses - Most people detected per frame
+ * @param {string} options.tier - Key of MODEL_TIERS
+ * @returns {Promise<Object>} { landmarker, tier, delegate } — a landmarker in VIDEO running mode,
+ *   on the GPU when it initializes there, otherwise on the CPU
+ */
+export async function createPoseLandmarker({ numPoses = 1, tier = DEFAULT_MODEL_SETTINGS.live } = {}) {
+    const vision = await loadFileset();
+    const resolved = MODEL_TIERS[tier] ? tier : DEFAULT_MODEL_SETTINGS.live;
+    const path = await resolveModelPath(resolved);
+    let lastError = null;
+
+    for (const delegate of DELEGATES) {
+        try {
+            const landmarker = await PoseLandmarker.createFromOptions(vision, {
+                baseOptions: { modelAssetPath: path, delegate },
+                runningMode: 'VIDEO',
+                numPoses,
+                minPoseDetectionConfidence: 0.5,
+                minPosePresenceConfidence: 0.5,
+                minTrackingConfidence: 0.5,
+            });
+            return { landmarker, tier: resolved, delegate };
+        } catch (err) {
+            lastError = err;
+            if (delegate !== DELEGATES[DELEGATES.length - 1]) {
+                console.warn(`[LandmarkerLoader] ${delegate} delegate failed, retrying on the next one:`, err.message);
+            }
+        }
+    }
+    console.error(`[LandmarkerLoader] Could not load ${path}:`, lastError?.message);
+    throw lastError;
+}
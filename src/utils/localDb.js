@@ -0,0 +1,71 @@
+/**
+ * Local DB — Minimal promise wrapper around the app's IndexedDB database.
+ *
+ * Everything stays on the device: cached reference pose tracks and beat grids
+ * (keyed by a hash of the video file) and the practice session history live here.
+ */
+
+const DB_NAME = 'dancecoach-ai';
+const DB_VERSION = 3;
+
+export const STORES = {
+    POSE_TRACKS: 'poseTracks',
+    SESSIONS: 'sessions',
+    BEAT_GRIDS: 'beatGrids',
+};
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB not available'));
+            return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORES.POSE_TRACKS)) {
+                db.createObjectStore(STORES.POSE_TRACKS, { keyPath: 'hash' });
+            }
+            if (!db.objectStoreNames.contains(STORES.SESSIONS)) {
+                const sessions = db.createObjectStore(STORES.SESSIONS, { keyPath: 'id', autoIncrement: true });
+                sessions.createIndex('routineId', 'routineId');
+            }
+            if (!db.objectStoreNames.contains(STORES.BEAT_GRIDS)) {
+                db.createObjectStore(STORES.BEAT_GRIDS, { keyPath: 'hash' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+function run(storeName, mode, fn) {
+    return openDatabase().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    }));
+}
+
+export function dbGet(storeName, key) {
+    return run(storeName, 'readonly', store => store.get(key));
+}
+
+export function dbPut(storeName, value) {
+    return run(storeName, 'readwrite', store => store.put(value));
+}
+
+export function dbGetAll(storeName, indexName = null, key = undefined) {
+    return run(storeName, 'readonly', store => (indexName ? store.index(indexName) : store).getAll(key));
+}
+
+export function dbDelete(storeName, key) {
+    return run(storeName, 'readwrite', store => store.delete(key));
+}
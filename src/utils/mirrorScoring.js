@@ -0,0 +1,68 @@
+/**
+ * Mirror Scoring — Compare against the reference as-is, mirrored, or whichever fits better.
+ *
+ * When the reference dancer faces the camera, students copy them like a mirror:
+ * their left arm follows the instructor's right. Mirrored scoring swaps the
+ * reference's left/right landmarks (mirrorPose) before comparing, so segment
+ * keys in the result always refer to the user's own body.
+ */
+
+import { mirrorPose } from './poseNormalizer';
+import { comparePoses } from './poseSimilarity';
+
+export const MIRROR_MODES = { OFF: 'off', ON: 'on', AUTO: 'auto' };
+
+export const MIRROR_MODE_LABELS = {
+    [MIRROR_MODES.OFF]: 'Same Side',
+    [MIRROR_MODES.ON]: 'Mirrored',
+    [MIRROR_MODES.AUTO]: 'Auto',
+};
+
+// ~3s of the 100ms comparison loop before auto mode commits to an orientation
+const AUTO_DETECT_SAMPLES = 30;
+
+export function createOrientationState(mode = MIRROR_MODES.AUTO) {
+    return {
+        mode,
+        mirrored: mode === MIRROR_MODES.ON,
+        resolved: mode !== MIRROR_MODES.AUTO,
+        normalSum: 0,
+        mirroredSum: 0,
+        count: 0,
+    };
+}
+
+/**
+ * Score the user against the reference in the orientation chosen by `state`.
+ * In auto mode both orientations are scored until enough samples are in,
+ * then the better one is locked for the rest of the session.
+ *
+ * @param {Array} refPose - Reference landmarks
+ * @param {Array} userPose - User landmarks
+ * @param {Object} state - From createOrientationState; mutated in auto mode
+ * @param {string} scorerId - Key of SCORERS in poseSimilarity
+ * @param {Object} profile - Scoring profile from getScoringProfile
+ * @returns {Object|null} { result, refPose } — refPose is the reference as scored (mirrored or not)
+ */
+export function compareWithOrientation(refPose, userPose, state, scorerId, profile) {
+    if (state.resolved) {
+        const oriented = state.mirrored ? mirrorPose(refPose) : refPose;
+        const result = comparePoses(oriented, userPose, scorerId, profile);
+        return result ? { result: { ...result, mirrored: state.mirrored }, refPose: oriented } : null;
+    }
+
+    const mirroredRef = mirrorPose(refPose);
+    const normal = comparePoses(refPose, userPose, scorerId, profile);
+    const mirrored = comparePoses(mirroredRef, userPose, scorerId, profile);
+    if (!normal || !mirrored) return null;
+
+    state.normalSum += normal.overall;
+    state.mirroredSum += mirrored.overall;
+    state.count++;
+    state.mirrored = state.mirroredSum > state.normalSum;
+    if (state.count >= AUTO_DETECT_SAMPLES) state.resolved = true;
+
+    return state.mirrored
+        ? { result: { ...mirrored, mirrored: true }, refPose: mirroredRef }
+        : { result: { ...normal, mirrored: false }, refPose };
+}
@@ -0,0 +1,18 @@
+/**
+ * Model Sources — Where the pose landmarker models come from.
+ *
+ * Shared by the app (landmarkerLoader) and scripts/fetch-models.mjs, so the
+ * pinned upstream version lives in one place. No imports: the script runs
+ * this file in Node.
+ */
+
+export const MODEL_TIER_IDS = ['lite', 'full', 'heavy'];
+
+export function modelFileName(tier) {
+    return `pose_landmarker_${tier}.task`;
+}
+
+// Versions are pinned: a new upstream model only arrives by changing this URL
+export function remoteModelUrl(tier) {
+    return `https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_${tier}/float16/1/${modelFileName(tier)}`;
+}
@@ -0,0 +1,136 @@
+/**
+ * Pose Alignment — Lag search over recent pose history to separate shape accuracy from timing.
+ *
+ * Comparing the reference and user at the same instant punishes a dancer who is
+ * a little behind the beat as if the shape were wrong. Instead we keep the last
+ * few seconds of (refPose, userPose) pairs and, per segment, slide the user track
+ * against the reference track to find the lag with the best average score.
+ * The best score is the "shape" score; the lag is the timing offset.
+ */
+
+import { normalizePose } from './poseNormalizer';
+import { BODY_SEGMENTS, DEFAULT_SCORER, scoreSegments, weightedOverall } from './poseSimilarity';
+
+export const ALIGNMENT_WINDOW_MS = 3000;
+export const MAX_LAG_MS = 600;
+const MIN_SAMPLES = 8;
+const MIN_IMPROVEMENT = 3; // score points a lag must beat zero-lag by to count as off-time
+const ON_TIME_MS = 100;
+
+/**
+ * Append a sample to a history array and drop samples older than the window.
+ * Poses are normalized once here so the lag search doesn't redo it per lag.
+ *
+ * @param {Array} history - Mutable array of { videoTime, ref, user }
+ * @param {Array} refPose - Reference landmarks
+ * @param {Array} userPose - User landmarks
+ * @param {number} videoTime - Reference video time in seconds
+ * @param {number} windowMs - Window length in video-time milliseconds
+ */
+export function pushAlignmentSample(history, refPose, userPose, videoTime, windowMs = ALIGNMENT_WINDOW_MS) {
+    const ref = normalizePose(refPose);
+    const user = normalizePose(userPose);
+    if (!ref || !user) return history;
+
+    // A seek backwards (loop, restart) invalidates the history
+    const last = history[history.length - 1];
+    if (last && videoTime < last.videoTime) history.length = 0;
+
+    history.push({ videoTime, ref, user });
+    while (history.length > 1 && (videoTime - history[0].videoTime) * 1000 > windowMs) history.shift();
+    return history;
+}
+
+/**
+ * Find the best lag per segment over the history window.
+ *
+ * Lag k compares user sample i with reference sample i - k, so a positive
+ * offset means the user is behind the reference (late). Offsets are in
+ * reference video time, i.e. musical time, regardless of playback speed.
+ *
+ * @param {Array} history - Array of { videoTime, ref, user } from pushAlignmentSample
+ * @param {number} maxLagMs - Largest offset to search in either direction
+ * @param {string} scorerId - Key of SCORERS in poseSimilarity
+ * @param {Object} profile - Scoring profile from getScoringProfile
+ * @returns {Object|null} { shape, offsetMs, segments: { [key]: { shape, offsetMs, zeroLag } } }
+ */
+export function alignPoseHistory(history, maxLagMs = MAX_LAG_MS, scorerId = DEFAULT_SCORER, profile = null) {
+    if (!history || history.length < MIN_SAMPLES) return null;
+
+    const n = history.length;
+    const spanMs = (history[n - 1].videoTime - history[0].videoTime) * 1000;
+    const stepMs = spanMs / (n - 1);
+    if (!(stepMs > 0)) return null;
+    const maxLag = Math.min(Math.floor(n / 2), Math.ceil(maxLagMs / stepMs));
+
+    // lagScores[k][segment] = { sum, count }
+    const lagScores = {};
+    for (let k = -maxLag; k <= maxLag; k++) {
+        const totals = {};
+        for (let i = Math.max(0, k); i < Math.min(n, n + k); i++) {
+            const userSample = history[i];
+            const refSample = history[i - k];
+            if (Math.abs(userSample.videoTime - refSample.videoTime) * 1000 > maxLagMs) continue;
+            const scores = scoreSegments(refSample.ref, userSample.user, scorerId, profile);
+            for (const [key, score] of Object.entries(scores)) {
+                if (score === null) continue;
+                if (!totals[key]) totals[key] = { sum: 0, count: 0 };
+                totals[key].sum += score;
+                totals[key].count++;
+            }
+        }
+        lagScores[k] = totals;
+    }
+
+    const segments = {};
+    for (const key of Object.keys(BODY_SEGMENTS)) {
+        const best = bestLag(lagScores, maxLag, t => {
+            const seg = t[key];
+            return seg && seg.count >= MIN_SAMPLES / 2 ? seg.sum / seg.count : null;
+        });
+        segments[key] = best && { shape: best.score, offsetMs: Math.round(best.k * stepMs), zeroLag: best.zeroLag };
+    }
+
+    // Whole-body lag: segments that don't move carry no timing information,
+    // so search on the weighted overall rather than averaging segment offsets.
+    const overall = bestLag(lagScores, maxLag, t => {
+        const avgs = {};
+        for (const [key, seg] of Object.entries(t)) {
+            if (seg.count >= MIN_SAMPLES / 2) avgs[key] = seg.sum / seg.count;
+        }
+        return Object.keys(avgs).length > 0 ? weightedOverall(avgs, profile?.weights) : null;
+    });
+    if (!overall) return null;
+
+    return {
+        shape: overall.score,
+        offsetMs: Math.round(overall.k * stepMs),
+        segments,
+    };
+}
+
+function bestLag(lagScores, maxLag, scoreOf) {
+    const zeroLag = scoreOf(lagScores[0]);
+    if (zeroLag === null) return null;
+
+    let best = { k: 0, score: zeroLag };
+    for (let k = -maxLag; k <= maxLag; k++) {
+        const score = scoreOf(lagScores[k]);
+        if (score !== null && score > best.score) best = { k, score };
+    }
+    if (best.score - zeroLag < MIN_IMPROVEMENT) best = { k: 0, score: zeroLag };
+    return { ...best, zeroLag };
+}
+
+/**
+ * Human wording for a timing offset, e.g. "250ms late".
+ */
+export function describeTimingOffset(offsetMs) {
+    if (offsetMs === null || offsetMs === undefined) return null;
+    if (Math.abs(offsetMs) < ON_TIME_MS) return 'on time';
+    return `${Math.abs(Math.round(offsetMs))}ms ${offsetMs > 0 ? 'late' : 'early'}`;
+}
+
+export function isOnTime(offsetMs) {
+    return Math.abs(offsetMs || 0) < ON_TIME_MS;
+}
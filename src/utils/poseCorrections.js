@@ -0,0 +1,292 @@
+/**
+ * Pose Corrections — Which way each body part is off, in 3D.
+ *
+ * Works on MediaPipe world landmarks (metres, origin between the hips). Every
+ * direction is read in the dancer's own body frame: their left, up, and the
+ * way their chest faces. That separates "arm too far forward" from "arm too
+ * low", and keeps the wording right however the dancer faces the camera and
+ * whether the reference is mirrored: left and right are always the dancer's
+ * own, and limbs move "out" (away from the midline) or "in" rather than to a
+ * screen side.
+ *
+ * Each correction is a plain object (segment, cue, degrees, which landmark
+ * and where it should go), so voice cues, on-screen arrows and the session
+ * summary all report the same thing.
+ */
+
+import { JOINTS, MIN_VISIBILITY } from './poseSimilarity';
+import { phraseCue } from './coachLocales';
+
+const MIN_CORRECTION_DEG = 15;
+
+// Camera up — image and world landmarks both have y pointing down
+const UP = { x: 0, y: -1, z: 0 };
+
+const FRAME_PAIRS = { shoulders: [11, 12], hips: [23, 24] };
+
+// Limb placement by its upper bone; the bend further down is a joint correction
+const LIMBS = {
+    leftArm: { bone: [11, 13], frame: 'shoulders', side: 1 },
+    rightArm: { bone: [12, 14], frame: 'shoulders', side: -1 },
+    leftLeg: { bone: [23, 25], frame: 'hips', side: 1 },
+    rightLeg: { bone: [24, 26], frame: 'hips', side: -1 },
+    leftHand: { bone: [15, 19], frame: 'shoulders', side: 1 },
+    rightHand: { bone: [16, 20], frame: 'shoulders', side: -1 },
+};
+
+const FEET = {
+    leftFoot: { heel: 29, toe: 31, side: 1 },
+    rightFoot: { heel: 30, toe: 32, side: -1 },
+};
+
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z });
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: (a.z || 0) - (b.z || 0) });
+const scale = (v, s) => ({ x: v.x * s, y: v.y * s, z: v.z * s });
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, z: ((a.z || 0) + (b.z || 0)) / 2 });
+const length = (v) => Math.hypot(v.x, v.y, v.z);
+const toDeg = (rad) => rad * 180 / Math.PI;
+
+// Distance covered by a point at `radius` turning through `deg`
+const chord = (radius, deg) => 2 * radius * Math.sin(deg * Math.PI / 360);
+
+function normalize(v) {
+    const len = length(v);
+    return len > 1e-6 ? scale(v, 1 / len) : null;
+}
+
+function angleBetween(a, b) {
+    return toDeg(Math.acos(Math.max(-1, Math.min(1, dot(a, b)))));
+}
+
+// Signed difference of two angles in degrees, wrapped to ±180
+function angleDiff(a, b) {
+    return ((a - b + 540) % 360) - 180;
+}
+
+function isVisible(pose, indices) {
+    return indices.every(i => pose[i] && (pose[i].visibility ?? 1) >= MIN_VISIBILITY);
+}
+
+// The dancer's left (horizontal, from a left/right landmark pair), up, and forward
+function bodyFrame(pose, [l, r]) {
+    if (!isVisible(pose, [l, r])) return null;
+    const lateral = sub(pose[l], pose[r]);
+    const left = normalize(sub(lateral, scale(UP, dot(lateral, UP))));
+    return left ? { left, up: UP, forward: cross(left, UP) } : null;
+}
+
+// Body coordinates: x = dancer's left, y = up, z = forward
+function toBody(v, frame) {
+    return { x: dot(v, frame.left), y: dot(v, frame.up), z: dot(v, frame.forward) };
+}
+
+function toWorld(b, frame) {
+    return {
+        x: frame.left.x * b.x + frame.up.x * b.y + frame.forward.x * b.z,
+        y: frame.left.y * b.x + frame.up.y * b.y + frame.forward.y * b.z,
+        z: frame.left.z * b.x + frame.up.z * b.y + frame.forward.z * b.z,
+    };
+}
+
+function direction(pose, [a, b], frame) {
+    return normalize(toBody(sub(pose[b], pose[a]), frame));
+}
+
+/**
+ * @param {string} axis - 'vertical' | 'depth' | 'lateral' | 'bend' | 'rotation'
+ * @param {Array} anchor - Landmark indices whose midpoint the correction is about
+ * @param {Object|null} offset - Where the anchor should go relative to where it is, in the user's
+ *   landmark space (x right, y down, z away from the camera) and in the user's torso lengths;
+ *   null when there is no single way for it to move
+ */
+function correction(frames, segment, cue, axis, angle, anchor, offset, joint = null) {
+    return {
+        segment, joint, cue, axis, angle,
+        degrees: Math.round(angle / 5) * 5,
+        anchor,
+        offset: offset && scale(offset, 1 / frames.torso),
+    };
+}
+
+// Where the limb points: up/down, forward/back, or out/in — whichever is furthest off
+function placementCorrection(segment, { bone, frame, side }, ref, user, frames) {
+    if (!isVisible(ref, bone) || !isVisible(user, bone)) return null;
+    const refDir = direction(ref, bone, frames.ref[frame]);
+    const userDir = direction(user, bone, frames.user[frame]);
+    if (!refDir || !userDir) return null;
+    const angle = angleBetween(refDir, userDir);
+    if (angle < MIN_CORRECTION_DEG) return null;
+
+    const need = sub(refDir, userDir);
+    const boneLength = length(sub(user[bone[1]], user[bone[0]]));
+    const out = need.x * side;
+    const [axis, , cue] = [
+        ['vertical', need.y, need.y > 0 ? 'raiseBy' : 'lowerBy'],
+        ['depth', need.z, need.z > 0 ? 'forward' : 'back'],
+        ['lateral', out, out > 0 ? 'out' : 'in'],
+    ].sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))[0];
+    // The reference's direction at the user's bone length, from the same joint
+    return correction(frames, segment, cue, axis, angle, [bone[1]], scale(toWorld(need, frames.user[frame]), boneLength));
+}
+
+// Elbows, knees and wrists bend or straighten; ankles flex or point
+function jointCorrection(jointKey, ref, user, frames) {
+    const { points, segment, kind } = JOINTS[jointKey];
+    if (kind !== 'hinge' && kind !== 'ankle') return null;
+    if (!isVisible(ref, points) || !isVisible(user, points)) return null;
+    const [a, b, c] = points;
+    const hinge = (pose) => {
+        const p = normalize(sub(pose[a], pose[b]));
+        const d = normalize(sub(pose[c], pose[b]));
+        return p && d ? { p, d, angle: angleBetween(p, d), length: length(sub(pose[c], pose[b])) } : null;
+    };
+    const r = hinge(ref);
+    const u = hinge(user);
+    if (!r || !u) return null;
+    const delta = u.angle - r.angle;
+    if (Math.abs(delta) < MIN_CORRECTION_DEG) return null;
+
+    const bend = delta > 0;
+    const cue = kind === 'ankle' ? (bend ? 'flex' : 'point') : (bend ? 'bend' : 'straighten');
+    // Bending swings the far end towards the near bone, within the limb's plane
+    // (a dead-straight limb has no plane to bend in)
+    const towards = normalize(sub(u.p, scale(u.d, dot(u.p, u.d))));
+    const turn = Math.abs(delta) * Math.PI / 180 * (bend ? 1 : -1);
+    const swung = towards && add(scale(u.d, Math.cos(turn)), scale(towards, Math.sin(turn)));
+    const offset = swung && scale(sub(swung, u.d), u.length);
+    return correction(frames, segment, cue, 'bend', Math.abs(delta), [c], offset, jointKey);
+}
+
+// Turn-out: how far the toes point away from straight ahead, in the horizontal plane
+function footCorrection(segment, { heel, toe, side }, ref, user, frames) {
+    if (!isVisible(ref, [heel, toe]) || !isVisible(user, [heel, toe])) return null;
+    const turnout = (pose, frame) => {
+        const f = toBody(sub(pose[toe], pose[heel]), frame);
+        const reach = Math.hypot(f.x, f.z);
+        return reach > 1e-6 ? { f: scale(f, 1 / reach), reach, deg: toDeg(Math.atan2(f.x * side, f.z)) } : null;
+    };
+    const r = turnout(ref, frames.ref.hips);
+    const u = turnout(user, frames.user.hips);
+    if (!r || !u) return null;
+    const need = angleDiff(r.deg, u.deg);
+    if (Math.abs(need) < MIN_CORRECTION_DEG) return null;
+
+    // The toe's way round when turning out, tangent to its current heading
+    const tangent = { x: u.f.z * side, y: 0, z: -u.f.x * side };
+    return correction(frames, segment, need > 0 ? 'rotateOut' : 'rotateIn', 'rotation', Math.abs(need), [toe],
+        toWorld(scale(tangent, Math.sign(need) * chord(u.reach, Math.abs(need))), frames.user.hips));
+}
+
+// Lean forward/back or sideways, and shoulders twisted against the hips
+function torsoCorrections(ref, user, frames) {
+    const out = [];
+    const torso = [11, 12, 23, 24];
+    if (!isVisible(ref, torso) || !isVisible(user, torso)) return out;
+    const spine = (pose, frame) => normalize(toBody(sub(mid(pose[11], pose[12]), mid(pose[23], pose[24])), frame));
+    const spineLength = length(sub(mid(user[11], user[12]), mid(user[23], user[24])));
+    const refSpine = spine(ref, frames.ref.hips);
+    const userSpine = spine(user, frames.user.hips);
+    if (refSpine && userSpine) {
+        const angle = angleBetween(refSpine, userSpine);
+        if (angle >= MIN_CORRECTION_DEG) {
+            const need = sub(refSpine, userSpine);
+            const cue = Math.abs(need.z) >= Math.abs(need.x)
+                ? (need.z > 0 ? 'forward' : 'back')
+                : (need.x > 0 ? 'leanLeft' : 'leanRight');
+            out.push(correction(frames, 'torso', cue, Math.abs(need.z) >= Math.abs(need.x) ? 'depth' : 'lateral', angle,
+                [11, 12], scale(toWorld(need, frames.user.hips), spineLength)));
+        }
+    }
+
+    // Positive twist: the left shoulder ahead of the hips, i.e. turned to the dancer's right
+    const twist = (pose, frame) => {
+        const s = toBody(sub(pose[11], pose[12]), frame);
+        return toDeg(Math.atan2(s.z, s.x));
+    };
+    const need = angleDiff(twist(ref, frames.ref.hips), twist(user, frames.user.hips));
+    if (Math.abs(need) >= MIN_CORRECTION_DEG) {
+        const halfWidth = length(sub(user[11], user[12])) / 2;
+        out.push(correction(frames, 'torso', need > 0 ? 'turnRight' : 'turnLeft', 'rotation', Math.abs(need),
+            [11], toWorld({ x: 0, y: 0, z: Math.sign(need) * chord(halfWidth, Math.abs(need)) }, frames.user.hips)));
+    }
+    return out;
+}
+
+// Where the face points (turn, chin up/down) and the ear-to-ear tilt, relative to the shoulders
+function headCorrections(ref, user, frames) {
+    const out = [];
+    const head = [0, 7, 8];
+    if (!isVisible(ref, head) || !isVisible(user, head)) return out;
+    const facing = (pose, frame) => {
+        const f = toBody(sub(pose[0], mid(pose[7], pose[8])), frame);
+        return { yaw: toDeg(Math.atan2(f.x, f.z)), pitch: toDeg(Math.atan2(f.y, Math.hypot(f.x, f.z))) };
+    };
+    const roll = (pose, frame) => {
+        const e = toBody(sub(pose[7], pose[8]), frame);
+        return toDeg(Math.atan2(e.y, e.x));
+    };
+    const r = facing(ref, frames.ref.shoulders);
+    const u = facing(user, frames.user.shoulders);
+    const userFrame = frames.user.shoulders;
+    const faceLength = length(sub(user[0], mid(user[7], user[8])));
+
+    const yaw = angleDiff(r.yaw, u.yaw);
+    if (Math.abs(yaw) >= MIN_CORRECTION_DEG) {
+        out.push(correction(frames, 'head', yaw > 0 ? 'turnLeft' : 'turnRight', 'rotation', Math.abs(yaw),
+            [0], toWorld({ x: Math.sign(yaw) * chord(faceLength, Math.abs(yaw)), y: 0, z: 0 }, userFrame)));
+    }
+    const pitch = r.pitch - u.pitch;
+    if (Math.abs(pitch) >= MIN_CORRECTION_DEG) {
+        out.push(correction(frames, 'head', pitch > 0 ? 'raiseBy' : 'lowerBy', 'vertical', Math.abs(pitch),
+            [0], toWorld({ x: 0, y: Math.sign(pitch) * chord(faceLength, Math.abs(pitch)), z: 0 }, userFrame)));
+    }
+    // Positive roll: left ear higher, so the head tilts to the dancer's right
+    const tilt = angleDiff(roll(ref, frames.ref.shoulders), roll(user, frames.user.shoulders));
+    if (Math.abs(tilt) >= MIN_CORRECTION_DEG) {
+        out.push(correction(frames, 'head', tilt > 0 ? 'leanRight' : 'leanLeft', 'lateral', Math.abs(tilt),
+            [0], toWorld({ x: -Math.sign(tilt) * chord(faceLength, Math.abs(tilt)), y: 0, z: 0 }, userFrame)));
+    }
+    return out;
+}
+
+/**
+ * Every correction that would bring the user's pose onto the reference's.
+ *
+ * Both poses must be in the same kind of space and orientation: world landmarks
+ * (with the reference mirrored by mirrorPose when the student copies it as a
+ * mirror image), or image landmarks scaled by scaleToAspect (poseNormalizer).
+ *
+ * @returns {Array} [{ segment, joint, cue, axis, angle, degrees, anchor, offset }], biggest first.
+ *   `cue` is a coachLocales cue key; `joint` is set for bend/straighten/flex/point.
+ */
+export function computeCorrections(ref, user) {
+    if (!ref || !user || ref.length < 33 || user.length < 33) return [];
+    const frames = {
+        ref: { shoulders: bodyFrame(ref, FRAME_PAIRS.shoulders), hips: bodyFrame(ref, FRAME_PAIRS.hips) },
+        user: { shoulders: bodyFrame(user, FRAME_PAIRS.shoulders), hips: bodyFrame(user, FRAME_PAIRS.hips) },
+    };
+    if (!frames.ref.shoulders || !frames.ref.hips || !frames.user.shoulders || !frames.user.hips) return [];
+    frames.torso = length(sub(mid(user[11], user[12]), mid(user[23], user[24])));
+    if (frames.torso < 1e-6) return [];
+
+    const corrections = [
+        ...Object.entries(LIMBS).map(([segment, limb]) => placementCorrection(segment, limb, ref, user, frames)),
+        ...Object.keys(JOINTS).map(joint => jointCorrection(joint, ref, user, frames)),
+        ...Object.entries(FEET).map(([segment, foot]) => footCorrection(segment, foot, ref, user, frames)),
+        ...torsoCorrections(ref, user, frames),
+        ...headCorrections(ref, user, frames),
+    ];
+    return corrections.filter(Boolean).sort((a, b) => b.angle - a.angle);
+}
+
+// The biggest correction for one segment, or null
+export function segmentCorrection(corrections, segment) {
+    return corrections?.find(c => c.segment === segment) || null;
+}
+
+// A correction as a sentence in a coach locale, e.g. "Bring your left arm about 20 degrees further forward"
+export function phraseCorrection(localeId, c, { danceTerms = false } = {}) {
+    return phraseCue(localeId, c.cue, { joint: c.joint, segment: c.joint ? null : c.segment, degrees: c.degrees, danceTerms });
+}
@@ -0,0 +1,115 @@
+/**
+ * Pose Detector — Pose detection without blocking rendering.
+ *
+ * detectForVideo takes several milliseconds per frame (far more on the heavy
+ * model or the CPU delegate), and on the main thread that time comes straight
+ * out of drawing, React updates and the scoring loop. Each detector owns a
+ * PoseLandmarker in its own Web Worker instead: the current video frame is
+ * grabbed as a VideoFrame (or an ImageBitmap where VideoFrame isn't
+ * available), transferred to the worker, and the poses come back
+ * asynchronously. Browsers without module workers get the same interface
+ * backed by a main-thread landmarker.
+ */
+
+import { createPoseLandmarker } from './landmarkerLoader';
+
+function supportsWorkerDetection() {
+    return typeof Worker !== 'undefined' && (typeof VideoFrame !== 'undefined' || typeof createImageBitmap !== 'undefined');
+}
+
+// A copy of the video's current frame that can be transferred to the worker
+async function grabFrame(video) {
+    if (typeof VideoFrame !== 'undefined') {
+        try {
+            return new VideoFrame(video, { timestamp: Math.round(video.currentTime * 1e6) });
+        } catch { /* not decodable as a VideoFrame here — fall back to a bitmap */ }
+    }
+    return createImageBitmap(video);
+}
+
+function createWorkerDetector(numPoses, tier) {
+    const worker = new Worker(new URL('./poseDetector.worker.js', import.meta.url), { type: 'module' });
+    const pending = new Map();
+    let nextId = 0;
+    let closed = false;
+
+    const request = (message, transfer = []) => new Promise((resolve, reject) => {
+        if (closed) { reject(new Error('Pose detector is closed')); return; }
+        const id = nextId++;
+        pending.set(id, { resolve, reject });
+        worker.postMessage({ ...message, id }, transfer);
+    });
+
+    const failAll = (err) => {
+        for (const { reject } of pending.values()) reject(err);
+        pending.clear();
+    };
+
+    worker.onmessage = ({ data }) => {
+        const entry = pending.get(data.id);
+        if (!entry) return;
+        pending.delete(data.id);
+        if (data.type === 'error') entry.reject(new Error(data.message));
+        else entry.resolve(data);
+    };
+    worker.onerror = (event) => {
+        event.preventDefault?.();
+        failAll(new Error(event.message || 'Pose detector worker failed'));
+    };
+
+    return request({ type: 'init', numPoses, tier }).then(({ tier: loadedTier, delegate }) => ({
+        tier: loadedTier,
+        delegate,
+        inWorker: true,
+        async detect(video, timestamp) {
+            const frame = await grabFrame(video);
+            if (closed) { frame.close(); throw new Error('Pose detector is closed'); }
+            return request({ type: 'detect', frame, timestamp }, [frame]);
+        },
+        setOptions: (options) => request({ type: 'setOptions', options }),
+        close() {
+            if (closed) return;
+            closed = true;
+            failAll(new Error('Pose detector is closed'));
+            worker.postMessage({ type: 'close' });
+        },
+    }), (err) => {
+        closed = true;
+        worker.terminate();
+        throw err;
+    });
+}
+
+async function createMainThreadDetector(numPoses, tier) {
+    const { landmarker, tier: loadedTier, delegate } = await createPoseLandmarker({ numPoses, tier });
+    return {
+        tier: loadedTier,
+        delegate,
+        inWorker: false,
+        async detect(video, timestamp) {
+            const { landmarks, worldLandmarks } = landmarker.detectForVideo(video, timestamp);
+            return { landmarks, worldLandmarks };
+        },
+        setOptions: (options) => landmarker.setOptions(options),
+        close: () => landmarker.close(),
+    };
+}
+
+/**
+ * @param {Object} options
+ * @param {number} options.numPoses - Most people detected per frame
+ * @param {string} options.tier - Model tier (landmarkerLoader MODEL_TIERS)
+ * @returns {Promise<Object>} { tier, delegate, inWorker, detect(video, timestamp) → Promise<{ landmarks, worldLandmarks }>,
+ *   setOptions(options) → Promise, close() }. Timestamps must keep increasing per detector, as
+ *   for detectForVideo; detections resolve in the order they were requested.
+ */
+export async function createPoseDetector({ numPoses = 1, tier } = {}) {
+    if (supportsWorkerDetection()) {
+        try {
+            return await createWorkerDetector(numPoses, tier);
+        } catch (err) {
+            console.warn('[PoseDetector] Worker detection unavailable, detecting on the main thread:', err.message);
+        }
+    }
+    return createMainThreadDetector(numPoses, tier);
+}
@@ -0,0 +1,47 @@
+/**
+ * Pose Detector Worker — Runs a PoseLandmarker off the main thread.
+ *
+ * Frames arrive as transferred VideoFrames or ImageBitmaps and are closed as
+ * soon as they are detected, so the worker never holds on to video memory.
+ * Messages: init → ready | error, detect → result | error, setOptions → done.
+ */
+
+import { createPoseLandmarker } from './landmarkerLoader';
+
+// tasks-vision loads its WASM glue with importScripts, which module workers
+// don't have; it then falls back to self.import. The glue is a classic script
+// that defines globals, so it is evaluated in the global scope, not imported.
+self.import = async (url) => {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+    (0, eval)(await res.text());
+};
+
+let landmarker = null;
+
+self.onmessage = async ({ data }) => {
+    const { id, type } = data;
+    try {
+        if (type === 'init') {
+            const created = await createPoseLandmarker({ numPoses: data.numPoses, tier: data.tier });
+            landmarker = created.landmarker;
+            self.postMessage({ id, type: 'ready', tier: created.tier, delegate: created.delegate });
+        } else if (type === 'detect') {
+            try {
+                const result = landmarker.detectForVideo(data.frame, data.timestamp);
+                self.postMessage({ id, type: 'result', landmarks: result.landmarks, worldLandmarks: result.worldLandmarks });
+            } finally {
+                data.frame.close();
+            }
+        } else if (type === 'setOptions') {
+            await landmarker.setOptions(data.options);
+            self.postMessage({ id, type: 'done' });
+        } else if (type === 'close') {
+            landmarker?.close();
+            landmarker = null;
+            self.close();
+        }
+    } catch (err) {
+        self.postMessage({ id, type: 'error', message: err?.message || String(err) });
+    }
+};
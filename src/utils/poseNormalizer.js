@@ -36,6 +36,15 @@ export function normalizePose(landmarks) {
     }));
 }
 
+/**
+ * Image landmarks (0–1 of width and height) with x and z scaled to the frame's
+ * aspect ratio, so lengths and angles come out right when no world landmarks are available.
+ */
+export function scaleToAspect(landmarks, aspect = 1) {
+    if (!landmarks) return null;
+    return landmarks.map(lm => ({ x: lm.x * aspect, y: lm.y, z: (lm.z || 0) * aspect, visibility: lm.visibility }));
+}
+
 export function mirrorPose(landmarks) {
     if (!landmarks) return null;
 
@@ -0,0 +1,184 @@
+/**
+ * Pose Retargeting — The reference pose, redrawn with the user's proportions.
+ *
+ * normalizePose only removes position and overall size, so a long-armed user
+ * and a short-armed reference dancer doing the same move still put their
+ * wrists in different places. Here every bone of the reference is scaled by
+ * the user's calibrated length over the reference dancer's own length,
+ * walking out from the hips so each joint hangs off its already-retargeted
+ * parent. Scaling the projected bone rather than setting its length keeps the
+ * foreshortening of a limb that points at or away from the camera. What is
+ * left to compare is the pose, not the anatomy.
+ *
+ * The reference dancer's bone lengths come from their world landmarks
+ * (metric 3D, so a foreshortened limb still measures its full length), or
+ * without them from the longest each bone has looked so far. Image lengths
+ * are measured with x scaled to the video's aspect ratio, like the user's
+ * calibration, so both sides' bones are in the same units.
+ */
+
+import { midpoint, distance, normalizePose, scaleToAspect } from './poseNormalizer';
+import { boneKey, CALIBRATION_BONES } from './bodyCalibration';
+
+const MIN_MEASURE_VISIBILITY = 0.5;
+
+// [parent, child] in the order joints are placed; the parent must already be placed
+const CHAIN = [
+    [11, 13], [13, 15], [15, 19],
+    [12, 14], [14, 16], [16, 20],
+    [23, 25], [25, 27], [27, 29], [27, 31],
+    [24, 26], [26, 28], [28, 30], [28, 32],
+];
+
+// Hand points without a calibrated bone: [wrist, measured hand tip, followers]
+const HANDS = [[15, 19, [17, 21]], [16, 20, [18, 22]]];
+const HEAD = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+// Left/right counterparts; their lengths are averaged so the result doesn't
+// depend on whether the reference is mirrored before scoring
+const MIRROR_BONES = {
+    '11-13': '12-14', '13-15': '14-16', '15-19': '16-20',
+    '23-25': '24-26', '25-27': '26-28', '27-29': '28-30', '27-31': '28-32',
+};
+
+function symmetricBones(bones) {
+    const out = { ...bones };
+    for (const [left, right] of Object.entries(MIRROR_BONES)) {
+        if (bones[left] === undefined || bones[right] === undefined) continue;
+        out[left] = out[right] = (bones[left] + bones[right]) / 2;
+    }
+    return out;
+}
+
+// `point`'s offset from `origin`, scaled and moved onto `newOrigin`
+function place(origin, newOrigin, point, scale) {
+    return {
+        ...point,
+        x: newOrigin.x + (point.x - origin.x) * scale,
+        y: newOrigin.y + (point.y - origin.y) * scale,
+        z: (newOrigin.z || 0) + ((point.z || 0) - (origin.z || 0)) * scale,
+    };
+}
+
+function dist2d(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function translate(point, from, to) {
+    return {
+        ...point,
+        x: point.x + (to.x - from.x),
+        y: point.y + (to.y - from.y),
+        z: (point.z || 0) + ((to.z || 0) - (from.z || 0)),
+    };
+}
+
+/**
+ * The reference dancer's bone lengths in torso lengths, from one pose's world landmarks.
+ *
+ * @param {Array|null} worldLandmarks - Metric 3D landmarks (poseTrack / detector worldLandmarks)
+ * @returns {Object|null} boneKey → length, or null without a usable pose
+ */
+export function measureReferenceBones(worldLandmarks) {
+    if (!worldLandmarks || worldLandmarks.length < 33) return null;
+    const torsoLen = distance(midpoint(worldLandmarks[11], worldLandmarks[12]), midpoint(worldLandmarks[23], worldLandmarks[24]));
+    if (torsoLen < 1e-3) return null;
+    const bones = {};
+    for (const [a, b] of CALIBRATION_BONES) bones[boneKey(a, b)] = distance(worldLandmarks[a], worldLandmarks[b]) / torsoLen;
+    return bones;
+}
+
+/**
+ * Without world landmarks: keep the longest each bone has looked in the
+ * image (in torso lengths), the closest to its real length a projection gets.
+ *
+ * @param {Object} maxima - boneKey → length so far; updated in place
+ * @param {Array|null} landmarks - Raw reference image landmarks
+ * @param {number} aspect - Reference video width over height
+ * @returns {Object} maxima
+ */
+export function updateBoneMaxima(maxima, landmarks, aspect = 1) {
+    const norm = normalizePose(scaleToAspect(landmarks, aspect));
+    if (!norm) return maxima;
+    for (const [a, b] of CALIBRATION_BONES) {
+        if (norm[a].visibility < MIN_MEASURE_VISIBILITY || norm[b].visibility < MIN_MEASURE_VISIBILITY) continue;
+        const key = boneKey(a, b);
+        maxima[key] = Math.max(maxima[key] || 0, dist2d(norm[a], norm[b]));
+    }
+    return maxima;
+}
+
+/**
+ * Works directly on raw image landmarks: every step scales offsets uniformly,
+ * so it gives the same pose as retargeting aspect-corrected landmarks and
+ * scaling x back. Only the lengths have to be measured aspect-corrected.
+ *
+ * @param {Array} landmarks - Raw reference landmarks
+ * @param {Object|null} bones - Calibrated bone lengths (bodyCalibration), in torso lengths
+ * @param {Object|null} refBones - The reference dancer's own bone lengths (measureReferenceBones / updateBoneMaxima);
+ *   a bone missing here keeps the reference's length
+ * @returns {Array} Landmarks in the same image space, or the input unchanged without a calibration
+ */
+export function retargetPose(landmarks, bones, refBones = null) {
+    if (!landmarks || landmarks.length < 33 || !bones) return landmarks;
+
+    const midHip = midpoint(landmarks[23], landmarks[24]);
+    const midShoulder = midpoint(landmarks[11], landmarks[12]);
+
+    const lengths = symmetricBones(bones);
+    const refLengths = symmetricBones(refBones || {});
+    const scaleOf = (a, b) => {
+        const key = boneKey(a, b);
+        return lengths[key] !== undefined && refLengths[key] > 1e-6 ? lengths[key] / refLengths[key] : 1;
+    };
+    const out = landmarks.map(lm => ({ ...lm }));
+
+    // Hip and shoulder widths around the torso line; the torso itself is the unit length
+    out[23] = place(midHip, midHip, landmarks[23], scaleOf(23, 24));
+    out[24] = place(midHip, midHip, landmarks[24], scaleOf(23, 24));
+    out[11] = place(midShoulder, midShoulder, landmarks[11], scaleOf(11, 12));
+    out[12] = place(midShoulder, midShoulder, landmarks[12], scaleOf(11, 12));
+
+    for (const [parent, child] of CHAIN) {
+        out[child] = place(landmarks[parent], out[parent], landmarks[child], scaleOf(parent, child));
+    }
+    // The other hand points scale with the calibrated hand bone
+    for (const [wrist, tip, followers] of HANDS) {
+        const scale = scaleOf(wrist, tip);
+        for (const i of followers) out[i] = place(landmarks[wrist], out[wrist], landmarks[i], scale);
+    }
+
+    const newMidShoulder = midpoint(out[11], out[12]);
+    for (const i of HEAD) out[i] = translate(landmarks[i], midShoulder, newMidShoulder);
+
+    return out;
+}
+
+/**
+ * Place a pose onto someone else's body: same mid-hip, same torso length.
+ * Used to draw the reference as a ghost over the user in the webcam frame.
+ * Both are fitted aspect-corrected, so the ghost keeps its shape when the
+ * reference video and the webcam have different aspect ratios.
+ *
+ * @param {Array} pose - Landmarks to move (any image space, may be mirrored)
+ * @param {Array} body - Raw user landmarks giving the position and scale
+ * @param {number} poseAspect - Width over height of the pose's video
+ * @param {number} bodyAspect - Width over height of the body's video
+ * @returns {Array|null} The pose in the body's image space
+ */
+export function fitPoseToBody(pose, body, poseAspect = 1, bodyAspect = 1) {
+    const norm = normalizePose(scaleToAspect(pose, poseAspect));
+    if (!norm || !body || body.length < 33) return null;
+
+    const frame = scaleToAspect(body, bodyAspect);
+    const midHip = midpoint(frame[23], frame[24]);
+    const torsoLen = distance(midpoint(frame[11], frame[12]), midHip);
+    if (torsoLen < 0.001) return null;
+
+    return norm.map(lm => ({
+        x: (midHip.x + lm.x * torsoLen) / bodyAspect,
+        y: midHip.y + lm.y * torsoLen,
+        z: ((midHip.z || 0) + lm.z * torsoLen) / bodyAspect,
+        visibility: lm.visibility,
+    }));
+}
@@ -1,5 +1,7 @@
 /**
- * Pose Similarity Scorer — Cosine similarity between normalized limb vectors.
+ * Pose Similarity Scorer — Pluggable per-segment metrics over normalized poses.
+ * The default compares limb directions by cosine similarity; joint-angle and
+ * OKS-style keypoint metrics are stricter alternatives.
  */
 
 import { normalizePose } from './poseNormalizer';
@@ -11,6 +13,12 @@ export const BODY_SEGMENTS = {
     rightLeg: { pairs: [[24, 26], [26, 28]], label: 'Right Leg', weight: 1.5, emoji: '🦵' },
     torso: { pairs: [[11, 12], [11, 23], [12, 24], [23, 24]], label: 'Torso', weight: 1.0, emoji: '🫁' },
     head: { pairs: [[0, 11], [0, 12]], label: 'Head', weight: 0.5, emoji: '🗣️' },
+    // Wrist → pinky/index/thumb, plus pinky → index for the hand's orientation
+    leftHand: { pairs: [[15, 17], [15, 19], [15, 21], [17, 19]], label: 'Left Hand', weight: 0.5, emoji: '✋' },
+    rightHand: { pairs: [[16, 18], [16, 20], [16, 22], [18, 20]], label: 'Right Hand', weight: 0.5, emoji: '✋' },
+    // Ankle → heel → toe triangle
+    leftFoot: { pairs: [[27, 29], [29, 31], [27, 31]], label: 'Left Foot', weight: 0.75, emoji: '🦶' },
+    rightFoot: { pairs: [[28, 30], [30, 32], [28, 32]], label: 'Right Foot', weight: 0.75, emoji: '🦶' },
 };
 
 function vecBetween(a, b) {
@@ -25,50 +33,261 @@ function cosineSim(v1, v2) {
     return dot / (mag1 * mag2);
 }
 
-export function comparePoses(refLandmarks, userLandmarks) {
-    const refNorm = normalizePose(refLandmarks);
-    const userNorm = normalizePose(userLandmarks);
+export const DEFAULT_SCORER = 'cosine';
 
-    if (!refNorm || !userNorm) return null;
+// Joint angles scored by the joint-angle metric: the angle at points[1] between points[0] and points[2]
+export const JOINTS = {
+    leftShoulder: { points: [23, 11, 13], segment: 'leftArm', label: 'left arm', kind: 'shoulder' },
+    rightShoulder: { points: [24, 12, 14], segment: 'rightArm', label: 'right arm', kind: 'shoulder' },
+    leftElbow: { points: [11, 13, 15], segment: 'leftArm', label: 'left elbow', kind: 'hinge' },
+    rightElbow: { points: [12, 14, 16], segment: 'rightArm', label: 'right elbow', kind: 'hinge' },
+    leftHip: { points: [11, 23, 25], segment: 'leftLeg', label: 'left leg', kind: 'hip' },
+    rightHip: { points: [12, 24, 26], segment: 'rightLeg', label: 'right leg', kind: 'hip' },
+    leftKnee: { points: [23, 25, 27], segment: 'leftLeg', label: 'left knee', kind: 'hinge' },
+    rightKnee: { points: [24, 26, 28], segment: 'rightLeg', label: 'right knee', kind: 'hinge' },
+    leftWrist: { points: [13, 15, 19], segment: 'leftHand', label: 'left wrist', kind: 'hinge' },
+    rightWrist: { points: [14, 16, 20], segment: 'rightHand', label: 'right wrist', kind: 'hinge' },
+    leftAnkle: { points: [25, 27, 31], segment: 'leftFoot', label: 'left foot', kind: 'ankle' },
+    rightAnkle: { points: [26, 28, 32], segment: 'rightFoot', label: 'right foot', kind: 'ankle' },
+};
+
+// Degrees of error at which the angle-based metrics reach 0
+const ANGLE_TOLERANCE_DEG = 90;
+
+// Per-keypoint falloff for the OKS metric (COCO-style sigmas), in torso lengths
+const OKS_SIGMAS = {
+    0: 0.026, 11: 0.079, 12: 0.079, 13: 0.072, 14: 0.072, 15: 0.062, 16: 0.062,
+    23: 0.107, 24: 0.107, 25: 0.087, 26: 0.087, 27: 0.089, 28: 0.089,
+    17: 0.047, 18: 0.047, 19: 0.047, 20: 0.047, 21: 0.047, 22: 0.047,
+    29: 0.079, 30: 0.079, 31: 0.066, 32: 0.066,
+};
+const OKS_BODY_SCALE = 3; // approximate standing height in torso lengths
+const DEFAULT_OKS_SIGMA = 0.08;
+
+// Landmarks below this visibility are ignored, unless a scoring profile overrides it
+export const MIN_VISIBILITY = 0.4;
 
-    const segmentScores = {};
+function isVisible(pose, indices, minVis = MIN_VISIBILITY) {
+    return indices.every(i => pose[i] && pose[i].visibility >= minVis);
+}
+
+function angleBetween(v1, v2) {
+    return Math.acos(Math.max(-1, Math.min(1, cosineSim(v1, v2)))) * 180 / Math.PI;
+}
+
+function jointAngle(pose, [a, b, c]) {
+    return angleBetween(vecBetween(pose[b], pose[a]), vecBetween(pose[b], pose[c]));
+}
+
+function angleToScore(deg) {
+    return Math.max(0, Math.min(100, 100 * (1 - deg / ANGLE_TOLERANCE_DEG)));
+}
 
+// Mean cosine and mean direction error (degrees) of each segment's bones
+function boneStats(refNorm, userNorm, minVis = MIN_VISIBILITY) {
+    const stats = {};
     for (const [name, seg] of Object.entries(BODY_SEGMENTS)) {
         let totalSim = 0;
+        let totalDeg = 0;
         let validPairs = 0;
 
         for (const [a, b] of seg.pairs) {
-            const minVis = Math.min(
+            const pairVis = Math.min(
                 refNorm[a].visibility, refNorm[b].visibility,
                 userNorm[a].visibility, userNorm[b].visibility
             );
-            if (minVis < 0.4) continue;
+            if (pairVis < minVis) continue;
 
             const refVec = vecBetween(refNorm[a], refNorm[b]);
             const userVec = vecBetween(userNorm[a], userNorm[b]);
             totalSim += cosineSim(refVec, userVec);
+            totalDeg += angleBetween(refVec, userVec);
             validPairs++;
         }
 
-        segmentScores[name] = validPairs === 0
-            ? null
-            : Math.max(0, Math.min(100, ((totalSim / validPairs + 1) / 2) * 100));
+        stats[name] = validPairs === 0 ? null : { sim: totalSim / validPairs, deg: totalDeg / validPairs };
+    }
+    return stats;
+}
+
+function measureJoints(refNorm, userNorm, minVis = MIN_VISIBILITY) {
+    const joints = [];
+    for (const [key, joint] of Object.entries(JOINTS)) {
+        if (!isVisible(refNorm, joint.points, minVis) || !isVisible(userNorm, joint.points, minVis)) continue;
+        const ref = jointAngle(refNorm, joint.points);
+        const user = jointAngle(userNorm, joint.points);
+        joints.push({ joint: key, segment: joint.segment, label: joint.label, kind: joint.kind, ref, user, delta: user - ref });
+    }
+    return joints;
+}
+
+/**
+ * Scorers — interchangeable per-segment metrics. Each takes two normalized
+ * poses and a visibility cutoff, and returns { segments, angleErrors, joints }: a 0–100 score (or null)
+ * per segment, the matching error in degrees, and per-joint angle measurements.
+ */
+export const SCORERS = {
+    cosine: {
+        label: 'Limb Direction',
+        description: 'Cosine similarity of bone directions — lenient, good for learning a routine',
+        score(refNorm, userNorm, minVis) {
+            const bones = boneStats(refNorm, userNorm, minVis);
+            const segments = {};
+            const angleErrors = {};
+            for (const [name, b] of Object.entries(bones)) {
+                segments[name] = b === null ? null : Math.max(0, Math.min(100, ((b.sim + 1) / 2) * 100));
+                angleErrors[name] = b === null ? null : b.deg;
+            }
+            return { segments, angleErrors, joints: measureJoints(refNorm, userNorm, minVis) };
+        },
+    },
+    jointAngle: {
+        label: 'Joint Angles',
+        description: 'Elbow, knee, shoulder and hip angles — strict about bends and lifts',
+        score(refNorm, userNorm, minVis) {
+            const bones = boneStats(refNorm, userNorm, minVis);
+            const joints = measureJoints(refNorm, userNorm, minVis);
+            const segments = {};
+            const angleErrors = {};
+            for (const name of Object.keys(BODY_SEGMENTS)) {
+                const segJoints = joints.filter(j => j.segment === name);
+                // Torso and head have no hinge joints — fall back to bone direction error
+                const deg = segJoints.length > 0
+                    ? segJoints.reduce((a, j) => a + Math.abs(j.delta), 0) / segJoints.length
+                    : bones[name]?.deg ?? null;
+                segments[name] = deg === null ? null : angleToScore(deg);
+                angleErrors[name] = deg;
+            }
+            return { segments, angleErrors, joints };
+        },
+    },
+    oks: {
+        label: 'Keypoint (OKS)',
+        description: 'Object keypoint similarity on body-centred positions — strict about placement',
+        score(refNorm, userNorm, minVis) {
+            const bones = boneStats(refNorm, userNorm, minVis);
+            const segments = {};
+            const angleErrors = {};
+            for (const [name, seg] of Object.entries(BODY_SEGMENTS)) {
+                const points = [...new Set(seg.pairs.flat())].filter(i => isVisible(refNorm, [i], minVis) && isVisible(userNorm, [i], minVis));
+                if (points.length === 0) { segments[name] = null; angleErrors[name] = null; continue; }
+                let total = 0;
+                for (const i of points) {
+                    const d2 = (refNorm[i].x - userNorm[i].x) ** 2 + (refNorm[i].y - userNorm[i].y) ** 2;
+                    const k = 2 * (OKS_SIGMAS[i] ?? DEFAULT_OKS_SIGMA) * OKS_BODY_SCALE;
+                    total += Math.exp(-d2 / (2 * k * k));
+                }
+                segments[name] = (total / points.length) * 100;
+                angleErrors[name] = bones[name]?.deg ?? null;
+            }
+            return { segments, angleErrors, joints: measureJoints(refNorm, userNorm, minVis) };
+        },
+    },
+};
+
+function getScorer(scorerId) {
+    return SCORERS[scorerId] || SCORERS[DEFAULT_SCORER];
+}
+
+// Score with the profile's visibility cutoff, then drop the segments it doesn't count
+function scoreWithProfile(refNorm, userNorm, scorerId, profile) {
+    const scored = getScorer(scorerId).score(refNorm, userNorm, profile?.minVisibility ?? MIN_VISIBILITY);
+    const keys = profile?.segments;
+    if (!keys) return scored;
+    const segments = {};
+    const angleErrors = {};
+    for (const name of Object.keys(scored.segments)) {
+        segments[name] = keys.includes(name) ? scored.segments[name] : null;
+        angleErrors[name] = keys.includes(name) ? scored.angleErrors[name] : null;
+    }
+    return { segments, angleErrors, joints: scored.joints.filter(j => keys.includes(j.segment)) };
+}
+
+/**
+ * @param {Array} refLandmarks - Reference landmarks
+ * @param {Array} userLandmarks - User landmarks
+ * @param {string} scorerId - Key of SCORERS
+ * @param {Object} profile - From getScoringProfile; null for the defaults
+ */
+export function comparePoses(refLandmarks, userLandmarks, scorerId = DEFAULT_SCORER, profile = null) {
+    const refNorm = normalizePose(refLandmarks);
+    const userNorm = normalizePose(userLandmarks);
+
+    if (!refNorm || !userNorm) return null;
+
+    const { segments, angleErrors, joints } = scoreWithProfile(refNorm, userNorm, scorerId, profile);
+    if (Object.values(segments).every(v => v === null)) return null;
+
+    return {
+        overall: weightedOverall(segments, profile?.weights),
+        segments,
+        angleErrors,
+        joints,
+        scorer: scorerId,
+        profile: profile?.id ?? null,
+        timestamp: Date.now()
+    };
+}
+
+/**
+ * Per-segment scores (0–100, or null when not visible) for two poses that
+ * have already been through normalizePose.
+ */
+export function scoreSegments(refNorm, userNorm, scorerId = DEFAULT_SCORER, profile = null) {
+    return scoreWithProfile(refNorm, userNorm, scorerId, profile).segments;
+}
+
+/**
+ * Spoken/written correction for one joint measurement, e.g.
+ * "Bend your left knee about 20° more". Null when the error is small.
+ */
+export function describeJointCorrection({ kind, label, delta }, minDeg = 10) {
+    const deg = Math.round(Math.abs(delta) / 5) * 5;
+    if (Math.abs(delta) < minDeg) return null;
+    switch (kind) {
+        case 'hinge':
+            return delta > 0 ? `Bend your ${label} about ${deg}° more` : `Straighten your ${label} about ${deg}°`;
+        case 'shoulder':
+            return delta > 0 ? `Lower your ${label} about ${deg}°` : `Raise your ${label} about ${deg}° higher`;
+        case 'hip':
+            return delta > 0 ? `Lift your ${label} about ${deg}° higher` : `Lower your ${label} about ${deg}°`;
+        case 'ankle':
+            return delta > 0 ? `Flex your ${label} about ${deg}° more` : `Point your ${label} about ${deg}° more`;
+        default:
+            return `Adjust your ${label} by about ${deg}°`;
     }
+}
 
+/**
+ * @param {Object} segmentScores - Segment key → score or null
+ * @param {Object} weights - Per-segment weight overrides (a scoring profile's `weights`)
+ */
+export function weightedOverall(segmentScores, weights = null) {
     let weightedSum = 0;
     let weightTotal = 0;
     for (const [name, score] of Object.entries(segmentScores)) {
         if (score === null) continue;
-        const weight = BODY_SEGMENTS[name].weight;
+        const weight = weights?.[name] ?? BODY_SEGMENTS[name].weight;
         weightedSum += score * weight;
         weightTotal += weight;
     }
 
-    return {
-        overall: weightTotal > 0 ? Math.round((weightedSum / weightTotal) * 10) / 10 : 0,
-        segments: segmentScores,
-        timestamp: Date.now()
-    };
+    return weightTotal > 0 ? Math.round((weightedSum / weightTotal) * 10) / 10 : 0;
+}
+
+/**
+ * Restrict a comparison result to a subset of segments (drills): the others
+ * become null, and the overall is recomputed from the kept ones only.
+ * Returns null when none of the kept segments is visible.
+ */
+export function focusSegments(result, keys, weights = null) {
+    if (!result || !keys || keys.length === 0) return result;
+    const segments = {};
+    for (const [name, score] of Object.entries(result.segments)) {
+        segments[name] = keys.includes(name) ? score : null;
+    }
+    if (Object.values(segments).every(v => v === null)) return null;
+    return { ...result, segments, overall: weightedOverall(segments, weights), focus: keys };
 }
 
 export function scoreToColor(score) {
@@ -0,0 +1,254 @@
+/**
+ * Pose Track — Offline reference pre-analysis and time-indexed pose lookup.
+ *
+ * Instead of detecting the reference pose live on every animation frame (which
+ * goes sparse at 0.5× or when frames drop), the whole video is decoded once at a
+ * fixed rate into a packed, timestamped pose track. Practice then looks poses up
+ * by video time with linear interpolation. Tracks are cached in IndexedDB keyed
+ * by a hash of the video file, so reopening a routine skips the analysis.
+ *
+ * Group routines keep one pose per dancer per frame. Dancers are identified
+ * across frames with the pose tracker, so dancer 1 stays the same person for
+ * the whole video.
+ *
+ * Next to the image landmarks each frame keeps MediaPipe's world landmarks
+ * (metres, origin between the hips), which 3D corrections are computed from.
+ */
+
+import { dbGet, dbPut, STORES } from './localDb';
+import { createPoseTracker, updatePoseTracker, MAX_DANCERS } from './poseTracker';
+
+export const TRACK_FPS = 15;
+const TRACK_VERSION = 3;
+const NUM_LANDMARKS = 33;
+const STRIDE = NUM_LANDMARKS * 4; // x, y, z, visibility
+const WORLD_STRIDE = NUM_LANDMARKS * 3; // x, y, z — visibility is the image landmark's
+const HASH_SLICE_BYTES = 2 * 1024 * 1024;
+
+/**
+ * SHA-256 over the file size plus its first, middle and last 2MB. Hashing
+ * slices keeps this instant on long videos while still telling routines apart.
+ */
+export async function hashVideoFile(file) {
+    const size = file.size;
+    const slices = [
+        file.slice(0, HASH_SLICE_BYTES),
+        file.slice(Math.max(0, Math.floor(size / 2) - HASH_SLICE_BYTES / 2), Math.floor(size / 2) + HASH_SLICE_BYTES / 2),
+        file.slice(Math.max(0, size - HASH_SLICE_BYTES)),
+    ];
+    const buffers = await Promise.all(slices.map(s => s.arrayBuffer()));
+    const sizeBytes = new TextEncoder().encode(String(size));
+    const total = sizeBytes.byteLength + buffers.reduce((a, b) => a + b.byteLength, 0);
+    const combined = new Uint8Array(total);
+    let offset = 0;
+    combined.set(sizeBytes, offset);
+    offset += sizeBytes.byteLength;
+    for (const buf of buffers) {
+        combined.set(new Uint8Array(buf), offset);
+        offset += buf.byteLength;
+    }
+    const digest = await crypto.subtle.digest('SHA-256', combined);
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export async function loadPoseTrack(hash) {
+    try {
+        const track = await dbGet(STORES.POSE_TRACKS, hash);
+        return track && track.version === TRACK_VERSION ? track : null;
+    } catch (err) {
+        console.warn('[PoseTrack] Cache read failed:', err.message);
+        return null;
+    }
+}
+
+export async function savePoseTrack(track) {
+    try {
+        await dbPut(STORES.POSE_TRACKS, track);
+    } catch (err) {
+        console.warn('[PoseTrack] Cache write failed:', err.message);
+    }
+}
+
+function seekVideo(video, time) {
+    return new Promise((resolve) => {
+        if (Math.abs(video.currentTime - time) < 0.0005 && video.readyState >= 2) {
+            resolve();
+            return;
+        }
+        const onSeeked = () => { video.removeEventListener('seeked', onSeeked); resolve(); };
+        video.addEventListener('seeked', onSeeked);
+        video.currentTime = time;
+    });
+}
+
+function waitForMetadata(video) {
+    if (video.readyState >= 1) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        video.addEventListener('loadedmetadata', () => resolve(), { once: true });
+        video.addEventListener('error', () => reject(new Error('Could not decode video')), { once: true });
+    });
+}
+
+/**
+ * Decode the video frame by frame at `fps` and run pose detection on each frame.
+ *
+ * @param {HTMLVideoElement} video - A paused video element with the routine loaded (not the visible one)
+ * @param {Object} detector - Pose detector (poseDetector.js) detecting up to MAX_DANCERS poses
+ * @param {Object} options - { hash, model (tier name, stored with the track), fps, timestampBase, onProgress(0–1), isCancelled() }
+ * @returns {Object|null} Packed track, or null if cancelled. `track.lastTimestamp` is the last
+ *   detectForVideo timestamp used, since MediaPipe requires them to keep increasing per detector.
+ */
+export async function extractPoseTrack(video, detector, { hash, model = null, fps = TRACK_FPS, timestampBase = 0, onProgress, isCancelled } = {}) {
+    await waitForMetadata(video);
+    const duration = video.duration;
+    if (!duration || !isFinite(duration)) throw new Error('Video has no duration');
+
+    const frameCount = Math.floor(duration * fps) + 1;
+    const stepMs = Math.round(1000 / fps);
+    const poses = new Float32Array(frameCount * MAX_DANCERS * STRIDE);
+    const world = new Float32Array(frameCount * MAX_DANCERS * WORLD_STRIDE);
+    const present = new Uint8Array(frameCount * MAX_DANCERS);
+    const tracker = createPoseTracker(MAX_DANCERS);
+    let dancers = 0;
+    let timestamp = timestampBase;
+
+    for (let i = 0; i < frameCount; i++) {
+        if (isCancelled?.()) return null;
+
+        await seekVideo(video, Math.min(i / fps, duration - 0.001));
+        timestamp = timestampBase + (i + 1) * stepMs;
+        const result = await detector.detect(video, timestamp);
+        updatePoseTracker(tracker, result.landmarks, result.worldLandmarks).forEach((slot, d) => {
+            if (!slot) return;
+            dancers = Math.max(dancers, d + 1);
+            present[i * MAX_DANCERS + d] = 1;
+            const base = (i * MAX_DANCERS + d) * STRIDE;
+            for (let j = 0; j < NUM_LANDMARKS; j++) {
+                const lm = slot.landmarks[j];
+                poses[base + j * 4] = lm.x;
+                poses[base + j * 4 + 1] = lm.y;
+                poses[base + j * 4 + 2] = lm.z || 0;
+                poses[base + j * 4 + 3] = lm.visibility || 0;
+            }
+            if (!slot.worldLandmarks) return;
+            const worldBase = (i * MAX_DANCERS + d) * WORLD_STRIDE;
+            for (let j = 0; j < NUM_LANDMARKS; j++) {
+                const lm = slot.worldLandmarks[j];
+                world[worldBase + j * 3] = lm.x;
+                world[worldBase + j * 3 + 1] = lm.y;
+                world[worldBase + j * 3 + 2] = lm.z || 0;
+            }
+        });
+
+        if (onProgress && (i % 10 === 0 || i === frameCount - 1)) onProgress((i + 1) / frameCount);
+    }
+
+    // Only keep as many dancer slots as were ever filled
+    const keep = Math.max(1, dancers);
+    const packedPoses = new Float32Array(frameCount * keep * STRIDE);
+    const packedWorld = new Float32Array(frameCount * keep * WORLD_STRIDE);
+    const packedPresent = new Uint8Array(frameCount * keep);
+    for (let i = 0; i < frameCount; i++) {
+        for (let d = 0; d < keep; d++) {
+            const from = i * MAX_DANCERS + d;
+            const to = i * keep + d;
+            packedPresent[to] = present[from];
+            packedPoses.set(poses.subarray(from * STRIDE, (from + 1) * STRIDE), to * STRIDE);
+            packedWorld.set(world.subarray(from * WORLD_STRIDE, (from + 1) * WORLD_STRIDE), to * WORLD_STRIDE);
+        }
+    }
+
+    return {
+        hash,
+        version: TRACK_VERSION,
+        model,
+        fps,
+        duration,
+        frameCount,
+        dancers: keep,
+        poses: packedPoses,
+        world: packedWorld,
+        present: packedPresent,
+        createdAt: Date.now(),
+        lastTimestamp: timestamp,
+    };
+}
+
+function unpackFrame(track, i, dancer) {
+    const base = (i * track.dancers + dancer) * STRIDE;
+    const out = new Array(NUM_LANDMARKS);
+    for (let j = 0; j < NUM_LANDMARKS; j++) {
+        out[j] = {
+            x: track.poses[base + j * 4],
+            y: track.poses[base + j * 4 + 1],
+            z: track.poses[base + j * 4 + 2],
+            visibility: track.poses[base + j * 4 + 3],
+        };
+    }
+    return out;
+}
+
+/**
+ * Reference pose at `time` seconds, linearly interpolated between the two
+ * nearest analyzed frames. Falls back to the nearest frame when only one side
+ * has a pose, and returns null when neither does.
+ *
+ * @param {number} dancer - Dancer index in a group routine
+ */
+export function samplePoseTrack(track, time, dancer = 0) {
+    if (!track || track.frameCount === 0 || dancer >= track.dancers) return null;
+
+    const pos = Math.max(0, Math.min(track.frameCount - 1, time * track.fps));
+    const i0 = Math.floor(pos);
+    const i1 = Math.min(track.frameCount - 1, i0 + 1);
+    const frac = pos - i0;
+
+    const has0 = track.present[i0 * track.dancers + dancer] === 1;
+    const has1 = track.present[i1 * track.dancers + dancer] === 1;
+    if (!has0 && !has1) return null;
+    if (!has1 || i0 === i1) return has0 ? unpackFrame(track, i0, dancer) : null;
+    if (!has0) return unpackFrame(track, i1, dancer);
+
+    const a = (i0 * track.dancers + dancer) * STRIDE;
+    const b = (i1 * track.dancers + dancer) * STRIDE;
+    const out = new Array(NUM_LANDMARKS);
+    for (let j = 0; j < NUM_LANDMARKS; j++) {
+        const o = j * 4;
+        out[j] = {
+            x: track.poses[a + o] + (track.poses[b + o] - track.poses[a + o]) * frac,
+            y: track.poses[a + o + 1] + (track.poses[b + o + 1] - track.poses[a + o + 1]) * frac,
+            z: track.poses[a + o + 2] + (track.poses[b + o + 2] - track.poses[a + o + 2]) * frac,
+            visibility: Math.min(track.poses[a + o + 3], track.poses[b + o + 3]),
+        };
+    }
+    return out;
+}
+
+/**
+ * Reference world landmarks at `time` seconds, interpolated like samplePoseTrack.
+ * Visibility comes from the matching image landmarks.
+ */
+export function sampleWorldPose(track, time, dancer = 0) {
+    const image = samplePoseTrack(track, time, dancer);
+    if (!image || !track.world) return null;
+
+    const pos = Math.max(0, Math.min(track.frameCount - 1, time * track.fps));
+    const i0 = Math.floor(pos);
+    const i1 = Math.min(track.frameCount - 1, i0 + 1);
+    const has0 = track.present[i0 * track.dancers + dancer] === 1;
+    const has1 = track.present[i1 * track.dancers + dancer] === 1;
+    // Only one side has a pose: samplePoseTrack used that frame as it is
+    const frac = has0 && has1 ? pos - i0 : 0;
+    const a = ((has0 ? i0 : i1) * track.dancers + dancer) * WORLD_STRIDE;
+    const b = ((has1 ? i1 : i0) * track.dancers + dancer) * WORLD_STRIDE;
+    const w = track.world;
+    return image.map((lm, j) => {
+        const o = j * 3;
+        return {
+            x: w[a + o] + (w[b + o] - w[a + o]) * frac,
+            y: w[a + o + 1] + (w[b + o + 1] - w[a + o + 1]) * frac,
+            z: w[a + o + 2] + (w[b + o + 2] - w[a + o + 2]) * frac,
+            visibility: lm.visibility,
+        };
+    });
+}
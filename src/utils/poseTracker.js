@@ -0,0 +1,100 @@
+/**
+ * Pose Tracker — Stable dancer identities across frames.
+ *
+ * PoseLandmarker returns the poses it finds in no particular order, so with
+ * several dancers in view "pose 0" can be a different person every frame.
+ * The tracker keeps a fixed number of slots and hands each detection to the
+ * slot whose last known mid-hip is closest. New dancers take free slots
+ * left to right, and a slot is only given away after its dancer has been
+ * missing for a while, so a dancer briefly hidden behind another keeps their
+ * identity.
+ */
+
+export const MAX_DANCERS = 4;
+export const DANCER_COLORS = ['#ec4899', '#f59e0b', '#22c55e', '#a855f7'];
+
+const MAX_MATCH_DIST = 0.25;  // of the frame width/height per frame
+const MAX_MISSING_FRAMES = 30;
+
+export function dancerLabel(index) {
+    return `Dancer ${index + 1}`;
+}
+
+// Reference dancers are lettered so they don't get confused with the numbered users
+export function referenceLabel(index) {
+    return `Ref ${String.fromCharCode(65 + index)}`;
+}
+
+export function dancerColor(index) {
+    return DANCER_COLORS[index % DANCER_COLORS.length];
+}
+
+function center(landmarks) {
+    const l = landmarks[23];
+    const r = landmarks[24];
+    return { x: (l.x + r.x) / 2, y: (l.y + r.y) / 2 };
+}
+
+export function createPoseTracker(slots = 1) {
+    return { slots: Array.from({ length: slots }, () => ({ center: null, missing: Infinity })) };
+}
+
+export function resetPoseTracker(tracker) {
+    for (const slot of tracker.slots) { slot.center = null; slot.missing = Infinity; }
+}
+
+/**
+ * Assign this frame's detections to slots.
+ *
+ * @param {Object} tracker - From createPoseTracker
+ * @param {Array} detections - Landmark arrays from one detectForVideo result
+ * @param {Array} worldDetections - The result's worldLandmarks, in the same order (optional)
+ * @returns {Array} One entry per slot: { landmarks, worldLandmarks, isNew } or null. isNew marks a slot
+ *   that just got a (possibly different) dancer, so per-slot smoothing should restart.
+ */
+export function updatePoseTracker(tracker, detections, worldDetections = []) {
+    const { slots } = tracker;
+    const poses = (detections || [])
+        .map((landmarks, i) => ({ landmarks, worldLandmarks: worldDetections?.[i] || null }))
+        .filter(p => p.landmarks && p.landmarks.length >= 33)
+        .map(p => ({ ...p, center: center(p.landmarks) }));
+    const out = slots.map(() => null);
+
+    // Closest pairs first, each slot and detection used once
+    const pairs = [];
+    slots.forEach((slot, s) => {
+        if (!slot.center || slot.missing > MAX_MISSING_FRAMES) return;
+        poses.forEach((pose, p) => {
+            const dist = Math.hypot(pose.center.x - slot.center.x, pose.center.y - slot.center.y);
+            if (dist <= MAX_MATCH_DIST * (1 + slot.missing / 10)) pairs.push({ s, p, dist });
+        });
+    });
+    pairs.sort((a, b) => a.dist - b.dist);
+    const usedPoses = new Set();
+    for (const { s, p } of pairs) {
+        if (out[s] || usedPoses.has(p)) continue;
+        out[s] = { landmarks: poses[p].landmarks, worldLandmarks: poses[p].worldLandmarks, isNew: false };
+        usedPoses.add(p);
+    }
+
+    // Unmatched dancers, left to right, into empty slots (never used first, then longest missing)
+    const free = slots.map((slot, s) => s)
+        .filter(s => !out[s])
+        .sort((a, b) => (slots[b].missing - slots[a].missing) || (a - b));
+    const newcomers = poses.filter((_, p) => !usedPoses.has(p)).sort((a, b) => a.center.x - b.center.x);
+    for (const pose of newcomers) {
+        const s = free.shift();
+        if (s === undefined) break;
+        out[s] = { landmarks: pose.landmarks, worldLandmarks: pose.worldLandmarks, isNew: true };
+    }
+
+    slots.forEach((slot, s) => {
+        if (out[s]) {
+            slot.center = center(out[s].landmarks);
+            slot.missing = 0;
+        } else if (slot.center) {
+            slot.missing++;
+        }
+    });
+    return out;
+}
@@ -0,0 +1,29 @@
+/**
+ * Routine Settings — Per-routine preferences (e.g. scoring metric) kept in localStorage.
+ */
+
+const STORAGE_KEY = 'dancecoach-ai:routine-settings';
+
+function readAll() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch {
+        return {};
+    }
+}
+
+export function getRoutineSettings(routineId) {
+    if (!routineId) return {};
+    return readAll()[routineId] || {};
+}
+
+export function saveRoutineSettings(routineId, patch) {
+    if (!routineId) return;
+    const all = readAll();
+    all[routineId] = { ...all[routineId], ...patch };
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+    } catch (err) {
+        console.warn('[RoutineSettings] Failed to save:', err.message);
+    }
+}
@@ -0,0 +1,51 @@
+/**
+ * Scoring Profiles — Named overrides for segment weights, thresholds and which segments count.
+ *
+ * A profile only lists what it changes; getScoringProfile fills in the
+ * defaults. `segments: null` means every body segment is scored.
+ */
+
+export const DEFAULT_PROFILE = 'standard';
+
+const PROFILE_DEFAULTS = {
+    weights: {},          // segment key → weight, overriding BODY_SEGMENTS
+    minVisibility: 0.4,   // landmarks below this are treated as not visible
+    speakBelow: 55,       // voice coach corrects a segment scoring below this
+    praiseAbove: 85,      // voice coach praises an overall score above this
+    focusBelow: 70,       // summary lists segments averaging below this as focus areas
+    segments: null,       // segment keys that count, or null for all
+};
+
+export const SCORING_PROFILES = {
+    standard: {
+        label: 'Standard',
+        description: 'Whole body with the default weights',
+    },
+    balletLines: {
+        label: 'Ballet – lines',
+        description: 'Legs, feet and posture carry the score; stricter praise and focus thresholds',
+        weights: { leftLeg: 2, rightLeg: 2, leftFoot: 1.5, rightFoot: 1.5, torso: 1.5, head: 1, leftHand: 0.25, rightHand: 0.25 },
+        praiseAbove: 90,
+        focusBelow: 75,
+    },
+    hipHopArms: {
+        label: 'Hip-hop – arms',
+        description: 'Arms and hands weigh most; tolerates motion blur on fast hits',
+        weights: { leftArm: 2, rightArm: 2, leftHand: 1, rightHand: 1, leftLeg: 1, rightLeg: 1, leftFoot: 0.5, rightFoot: 0.5 },
+        minVisibility: 0.3,
+    },
+    legsOnly: {
+        label: 'Legs only',
+        description: 'Scores legs and feet only — for footwork drills without arm noise',
+        segments: ['leftLeg', 'rightLeg', 'leftFoot', 'rightFoot'],
+    },
+};
+
+/**
+ * @param {string} profileId - Key of SCORING_PROFILES; unknown ids fall back to the default
+ * @returns {Object} Profile with every field filled in, plus its `id`
+ */
+export function getScoringProfile(profileId) {
+    const id = SCORING_PROFILES[profileId] ? profileId : DEFAULT_PROFILE;
+    return { ...PROFILE_DEFAULTS, ...SCORING_PROFILES[id], id };
+}
@@ -0,0 +1,66 @@
+/**
+ * Session Recorder — Opt-in recording of the webcam stream for the post-session review.
+ *
+ * Footage stays in memory as a Blob for the current tab only; it is never
+ * uploaded or written to storage. Each comparison sample stores the
+ * recording time it was taken at, which is how the review lines the footage
+ * up with the reference video.
+ */
+
+const PREFERRED_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+const VIDEO_BITS_PER_SECOND = 2500000;
+const CHUNK_MS = 1000;
+
+export function isRecordingSupported() {
+    return typeof window !== 'undefined' && typeof window.MediaRecorder !== 'undefined';
+}
+
+/**
+ * Start recording a MediaStream.
+ *
+ * @param {MediaStream} stream - The webcam stream
+ * @param {Function} onComplete - Called with the recorded Blob (or null) once stopped
+ * @returns {Object} { getTime, stop } — getTime is seconds since recording started, or null before it has
+ */
+export function createSessionRecorder(stream, onComplete) {
+    const mimeType = PREFERRED_TYPES.find(t => MediaRecorder.isTypeSupported(t));
+    const recorder = new MediaRecorder(stream, {
+        ...(mimeType && { mimeType }),
+        videoBitsPerSecond: VIDEO_BITS_PER_SECOND,
+    });
+    const chunks = [];
+    let startedAt = null;
+
+    recorder.onstart = () => { startedAt = performance.now(); };
+    recorder.ondataavailable = (e) => { if (e.data.size > 0) chunks.push(e.data); };
+    recorder.onstop = () => {
+        onComplete(chunks.length > 0 ? new Blob(chunks, { type: recorder.mimeType || mimeType || 'video/webm' }) : null);
+    };
+    recorder.onerror = (e) => console.warn('[SessionRecorder] Recording failed:', e.error?.message || e);
+    recorder.start(CHUNK_MS);
+
+    return {
+        getTime: () => startedAt === null ? null : (performance.now() - startedAt) / 1000,
+        stop: () => { if (recorder.state !== 'inactive') recorder.stop(); },
+    };
+}
+
+/**
+ * MediaRecorder WebM files have no duration in their header, so seeking is
+ * unreliable until the browser has scanned to the end. Force that scan once.
+ *
+ * @param {HTMLVideoElement} video - With the recording loaded (readyState ≥ 1)
+ * @returns {Promise<void>}
+ */
+export function ensureSeekable(video) {
+    return new Promise(resolve => {
+        if (video.duration !== Infinity) { resolve(); return; }
+        const onDurationChange = () => {
+            if (video.duration === Infinity) return;
+            video.removeEventListener('durationchange', onDurationChange);
+            resolve();
+        };
+        video.addEventListener('durationchange', onDurationChange);
+        video.currentTime = Number.MAX_SAFE_INTEGER;
+    });
+}
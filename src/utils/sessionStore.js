@@ -0,0 +1,115 @@
+/**
+ * Session Store — Persists finished practice sessions for per-routine progress tracking.
+ *
+ * Each record keeps the analyzeSession output plus the settings it was danced
+ * with. Raw pose samples are not stored; they are large and the review only
+ * needs them right after the session.
+ */
+
+import { BODY_SEGMENTS } from './poseSimilarity';
+import { dbGetAll, dbPut, dbDelete, STORES } from './localDb';
+
+/**
+ * @param {Object} session - { routineId, routineName, speed, mirrorMode, mirroredView, scorer, profile, durationSec, analysis, loop, dancer, cues }
+ *   — dancer is { index, label, reference } for one person in a group session, null when dancing alone;
+ *   cues is the voice coach's cue statistics (cueScheduler cueStats), null when no coaching ran
+ * @returns {Promise<Object|null>} The saved record (with id), or null if storage failed
+ */
+export async function saveSession({ routineId, routineName, speed, mirrorMode, mirroredView, scorer, profile, durationSec, analysis, loop = null, dancer = null, cues = null }) {
+    if (!routineId || !analysis || analysis.overallGrade === 'N/A') return null;
+
+    const segmentAverages = {};
+    for (const key of Object.keys(BODY_SEGMENTS)) {
+        const stats = analysis.segmentStats?.[key];
+        segmentAverages[key] = stats ? Math.round(stats.avg * 10) / 10 : null;
+    }
+
+    const record = {
+        routineId,
+        routineName,
+        createdAt: Date.now(),
+        speed,
+        mirrorMode,
+        mirroredView,
+        scorer,
+        profile,
+        durationSec,
+        loop,
+        dancer,
+        cues,
+        overallAvg: Math.round(analysis.overallAvg * 10) / 10,
+        grade: analysis.overallGrade.letter,
+        segmentAverages,
+        analysis,
+    };
+
+    try {
+        const id = await dbPut(STORES.SESSIONS, record);
+        return { ...record, id };
+    } catch (err) {
+        console.warn('[SessionStore] Failed to save session:', err.message);
+        return null;
+    }
+}
+
+// A/B loop sessions score one section, so they aren't comparable with run-throughs of the whole routine
+export function isFullRun(session) {
+    return !session.loop;
+}
+
+export async function listSessions(routineId) {
+    try {
+        const sessions = await dbGetAll(STORES.SESSIONS, 'routineId', routineId);
+        return sessions.sort((a, b) => a.createdAt - b.createdAt);
+    } catch (err) {
+        console.warn('[SessionStore] Failed to read sessions:', err.message);
+        return [];
+    }
+}
+
+/**
+ * One entry per routine practiced, most recently practiced first.
+ * @returns {Promise<Array>} [{ routineId, routineName, attempts, lastPracticed, bestAvg }]
+ *   — bestAvg is over full run-throughs only (0 when there are none yet)
+ */
+export async function listRoutines() {
+    let sessions = [];
+    try {
+        sessions = await dbGetAll(STORES.SESSIONS);
+    } catch (err) {
+        console.warn('[SessionStore] Failed to read sessions:', err.message);
+        return [];
+    }
+
+    const routines = {};
+    for (const s of sessions) {
+        const r = routines[s.routineId] || (routines[s.routineId] = {
+            routineId: s.routineId, routineName: s.routineName, attempts: 0, lastPracticed: 0, bestAvg: 0,
+        });
+        r.attempts++;
+        if (s.createdAt > r.lastPracticed) { r.lastPracticed = s.createdAt; r.routineName = s.routineName; }
+        if (isFullRun(s)) r.bestAvg = Math.max(r.bestAvg, s.overallAvg);
+    }
+    return Object.values(routines).sort((a, b) => b.lastPracticed - a.lastPracticed);
+}
+
+export async function deleteSession(id) {
+    try {
+        await dbDelete(STORES.SESSIONS, id);
+    } catch (err) {
+        console.warn('[SessionStore] Failed to delete session:', err.message);
+    }
+}
+
+/**
+ * Chart rows for a routine's full run-throughs: { attempt, date, overall, [segmentKey]: avg }.
+ * Loop sessions are left out (isFullRun).
+ */
+export function buildProgressSeries(sessions) {
+    return sessions.filter(isFullRun).map((s, i) => ({
+        attempt: i + 1,
+        date: new Date(s.createdAt).toLocaleDateString(),
+        overall: Math.round(s.overallAvg),
+        ...Object.fromEntries(Object.entries(s.segmentAverages).map(([k, v]) => [k, v === null ? null : Math.round(v)])),
+    }));
+}
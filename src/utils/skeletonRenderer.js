@@ -1,5 +1,6 @@
 /**
- * Skeleton Renderer — Draws pose skeletons with color-coded body parts.
+ * Skeleton Renderer — Draws pose skeletons with color-coded body parts, and
+ * arrows showing which way to move the parts that are off.
  */
 
 import { BODY_SEGMENTS, scoreToColor } from './poseSimilarity';
@@ -11,6 +12,10 @@ const SEGMENT_CONNECTIONS = {
     rightLeg: [[24, 26], [26, 28]],
     torso: [[11, 12], [11, 23], [12, 24], [23, 24]],
     head: [[0, 11], [0, 12]],
+    leftHand: [[15, 17], [15, 19], [15, 21], [17, 19]],
+    rightHand: [[16, 18], [16, 20], [16, 22], [18, 20]],
+    leftFoot: [[27, 29], [29, 31], [27, 31]],
+    rightFoot: [[28, 30], [30, 32], [28, 32]],
 };
 
 export function drawSkeleton(ctx, landmarks, w, h, segmentScores = null, uniformColor = '#38bdf8') {
@@ -76,45 +81,156 @@ export function drawSkeleton(ctx, landmarks, w, h, segmentScores = null, uniform
     }
 }
 
-function getKeypointSegmentColor(idx, segmentScores) {
-    if ([11, 13, 15, 17, 19, 21].includes(idx)) return scoreToColor(segmentScores.leftArm);
-    if ([12, 14, 16, 18, 20, 22].includes(idx)) return scoreToColor(segmentScores.rightArm);
-    if ([23, 25, 27, 29, 31].includes(idx)) return scoreToColor(segmentScores.leftLeg);
-    if ([24, 26, 28, 30, 32].includes(idx)) return scoreToColor(segmentScores.rightLeg);
-    if ([0, 7, 8].includes(idx)) return scoreToColor(segmentScores.head);
-    return scoreToColor(segmentScores.torso);
+/**
+ * Name tag above a dancer's head in their identity color. Pass `mirrored` when
+ * the canvas is flipped with CSS so the text still reads left to right.
+ */
+export function drawDancerTag(ctx, landmarks, w, h, label, color, mirrored = false) {
+    const nose = landmarks?.[0];
+    if (!nose || (nose.visibility || 0) < 0.4) return;
+    const x = nose.x * w;
+    const y = Math.max(18, nose.y * h - 40);
+
+    ctx.save();
+    ctx.translate(x, y);
+    if (mirrored) ctx.scale(-1, 1);
+    ctx.font = '600 16px Inter, system-ui, sans-serif';
+    const width = ctx.measureText(label).width + 16;
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.roundRect(-width / 2, -13, width, 26, 13);
+    ctx.fill();
+    ctx.fillStyle = '#fff';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label, 0, 1);
+    ctx.restore();
 }
 
-const SMOOTHING_WINDOW = 4;
-const histories = { ref: [], user: [] };
-
-export function smoothLandmarks(landmarks, channel = 'user') {
-    if (!landmarks || landmarks.length === 0) return landmarks;
-    const history = histories[channel];
-    history.push(landmarks.map(l => ({ ...l })));
-    if (history.length > SMOOTHING_WINDOW) history.shift();
-    if (history.length < 2) return landmarks;
-
-    return landmarks.map((_, idx) => {
-        let sx = 0, sy = 0, sz = 0, sv = 0;
-        const n = history.length;
-        for (const frame of history) {
-            sx += frame[idx].x;
-            sy += frame[idx].y;
-            sz += frame[idx].z || 0;
-            sv += frame[idx].visibility || 0;
-        }
-        return { x: sx / n, y: sy / n, z: sz / n, visibility: sv / n };
-    });
+const ARROW_COLOR = '#facc15';
+const ARROW_FADE_MS = 300;
+const TARGET_RADIUS = 14;
+const MIN_ARROW_PX = 12;
+
+/**
+ * Fade state for one dancer's correction arrows. Arrows are keyed by segment
+ * and cue, so when the direction changes the old arrow fades out while the
+ * new one fades in.
+ */
+export function createArrowFader() {
+    return { arrows: new Map(), lastTime: null };
 }
 
-export function resetSmoothing(channel) {
-    if (channel) {
-        histories[channel] = [];
-    } else {
-        histories.ref = [];
-        histories.user = [];
+/**
+ * @param {Array} corrections - The corrections to show now (poseCorrections)
+ * @param {number} now - ms
+ * @returns {Array} [{ correction, alpha }], including arrows still fading out
+ */
+export function updateArrowFader(fader, corrections, now) {
+    const step = fader.lastTime === null ? 0 : Math.min(1, (now - fader.lastTime) / ARROW_FADE_MS);
+    fader.lastTime = now;
+    const shown = new Set();
+    for (const correction of corrections) {
+        const key = `${correction.segment}:${correction.cue}`;
+        shown.add(key);
+        fader.arrows.set(key, { correction, alpha: fader.arrows.get(key)?.alpha ?? 0 });
+    }
+    for (const [key, arrow] of fader.arrows) {
+        arrow.alpha = Math.max(0, Math.min(1, arrow.alpha + (shown.has(key) ? step : -step)));
+        if (arrow.alpha === 0 && !shown.has(key)) fader.arrows.delete(key);
     }
+    return [...fader.arrows.values()];
+}
+
+/**
+ * Arrow from the user's joint to where the reference puts it, with a target
+ * circle there. The correction's offset is in torso lengths, so it is scaled by
+ * the user's torso as drawn. A move mostly towards or away from the camera
+ * can't be shown as an arrow, so the circle gets a dot (come towards the
+ * camera) or a cross (move away), like an arrow seen head-on or from behind.
+ * Pass `mirrored` when the canvas is flipped with CSS so the degrees still
+ * read left to right.
+ */
+export function drawCorrectionArrow(ctx, landmarks, correction, w, h, { alpha = 1, mirrored = false } = {}) {
+    const offset = correction?.offset;
+    if (!landmarks || !offset || alpha <= 0) return;
+    const anchor = correction.anchor.map(i => landmarks[i]);
+    const torso = [11, 12, 23, 24].map(i => landmarks[i]);
+    if ([...anchor, ...torso].some(lm => !lm || (lm.visibility || 0) < 0.4)) return;
+
+    const torsoPx = Math.hypot((torso[0].x + torso[1].x - torso[2].x - torso[3].x) / 2 * w,
+        (torso[0].y + torso[1].y - torso[2].y - torso[3].y) / 2 * h);
+    const from = {
+        x: anchor.reduce((a, lm) => a + lm.x, 0) / anchor.length * w,
+        y: anchor.reduce((a, lm) => a + lm.y, 0) / anchor.length * h,
+    };
+    const to = { x: from.x + offset.x * torsoPx, y: from.y + offset.y * torsoPx };
+    const length = Math.hypot(to.x - from.x, to.y - from.y);
+    const headOn = Math.abs(offset.z) * torsoPx > length;
+
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.strokeStyle = ARROW_COLOR;
+    ctx.fillStyle = ARROW_COLOR;
+    ctx.lineWidth = 4;
+    ctx.lineCap = 'round';
+    ctx.shadowColor = 'rgba(0,0,0,0.6)';
+    ctx.shadowBlur = 6;
+
+    ctx.setLineDash([6, 5]);
+    ctx.beginPath();
+    ctx.arc(to.x, to.y, TARGET_RADIUS, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    if (length - TARGET_RADIUS >= MIN_ARROW_PX) {
+        const angle = Math.atan2(to.y - from.y, to.x - from.x);
+        const tip = { x: to.x - Math.cos(angle) * TARGET_RADIUS, y: to.y - Math.sin(angle) * TARGET_RADIUS };
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(tip.x, tip.y);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(tip.x, tip.y);
+        ctx.lineTo(tip.x - Math.cos(angle - 0.5) * 14, tip.y - Math.sin(angle - 0.5) * 14);
+        ctx.lineTo(tip.x - Math.cos(angle + 0.5) * 14, tip.y - Math.sin(angle + 0.5) * 14);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    if (headOn && offset.z < 0) {
+        ctx.beginPath();
+        ctx.arc(to.x, to.y, 4, 0, Math.PI * 2);
+        ctx.fill();
+    } else if (headOn) {
+        const r = TARGET_RADIUS * 0.45;
+        ctx.beginPath();
+        ctx.moveTo(to.x - r, to.y - r);
+        ctx.lineTo(to.x + r, to.y + r);
+        ctx.moveTo(to.x + r, to.y - r);
+        ctx.lineTo(to.x - r, to.y + r);
+        ctx.stroke();
+    }
+
+    ctx.translate(to.x, to.y);
+    if (mirrored) ctx.scale(-1, 1);
+    ctx.font = '700 14px Inter, system-ui, sans-serif';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`${correction.degrees}°`, TARGET_RADIUS + 6, 0);
+    ctx.restore();
+}
+
+function getKeypointSegmentColor(idx, segmentScores) {
+    if ([17, 19, 21].includes(idx)) return scoreToColor(segmentScores.leftHand);
+    if ([18, 20, 22].includes(idx)) return scoreToColor(segmentScores.rightHand);
+    if ([29, 31].includes(idx)) return scoreToColor(segmentScores.leftFoot);
+    if ([30, 32].includes(idx)) return scoreToColor(segmentScores.rightFoot);
+    if ([11, 13, 15].includes(idx)) return scoreToColor(segmentScores.leftArm);
+    if ([12, 14, 16].includes(idx)) return scoreToColor(segmentScores.rightArm);
+    if ([23, 25, 27].includes(idx)) return scoreToColor(segmentScores.leftLeg);
+    if ([24, 26, 28].includes(idx)) return scoreToColor(segmentScores.rightLeg);
+    if ([0, 7, 8].includes(idx)) return scoreToColor(segmentScores.head);
+    return scoreToColor(segmentScores.torso);
 }
 
 export function isPoseValid(landmarks) {
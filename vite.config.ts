@@ -1,8 +1,63 @@
-import { defineConfig } from "vite";
+import { defineConfig, type Plugin } from "vite";
 import react from "@vitejs/plugin-react-swc";
+import fs from "fs";
 import path from "path";
+import crypto from "crypto";
 import { componentTagger } from "lovable-tagger";
 
+const MEDIAPIPE_DIR = path.resolve(__dirname, "node_modules/@mediapipe/tasks-vision");
+const MEDIAPIPE_WASM_DIR = path.join(MEDIAPIPE_DIR, "wasm");
+const MODEL_SOURCES = path.resolve(__dirname, "src/utils/modelSources.js");
+
+// Serves the MediaPipe WASM runtime from our own origin under /mediapipe/wasm
+// (dev server) and copies it into the build, so it always matches the installed
+// @mediapipe/tasks-vision version and works offline.
+function mediapipeWasm(): Plugin {
+  return {
+    name: "mediapipe-wasm",
+    configureServer(server) {
+      server.middlewares.use("/mediapipe/wasm", (req, res, next) => {
+        const file = path.join(MEDIAPIPE_WASM_DIR, path.basename((req.url || "").split("?")[0]));
+        if (!fs.existsSync(file) || !fs.statSync(file).isFile()) return next();
+        res.setHeader("Content-Type", file.endsWith(".wasm") ? "application/wasm" : "text/javascript");
+        fs.createReadStream(file).pipe(res);
+      });
+    },
+    generateBundle() {
+      for (const name of fs.readdirSync(MEDIAPIPE_WASM_DIR)) {
+        this.emitFile({
+          type: "asset",
+          fileName: `mediapipe/wasm/${name}`,
+          source: fs.readFileSync(path.join(MEDIAPIPE_WASM_DIR, name)),
+        });
+      }
+    },
+  };
+}
+
+// The WASM runtime and the models keep their URLs from release to release, so
+// the service worker's cache names are stamped at build time with what decides
+// their contents: the @mediapipe/tasks-vision version and the pinned model URLs
+// (src/utils/modelSources.js). A change to either starts fresh caches, and the
+// old ones are deleted.
+function serviceWorkerCacheVersion(): Plugin {
+  let outDir = "dist";
+  return {
+    name: "service-worker-cache-version",
+    apply: "build",
+    configResolved(config) {
+      outDir = path.resolve(config.root, config.build.outDir);
+    },
+    writeBundle() {
+      const file = path.join(outDir, "sw.js");
+      if (!fs.existsSync(file)) return;
+      const { version } = JSON.parse(fs.readFileSync(path.join(MEDIAPIPE_DIR, "package.json"), "utf8"));
+      const models = crypto.createHash("sha256").update(fs.readFileSync(MODEL_SOURCES)).digest("hex").slice(0, 8);
+      fs.writeFileSync(file, fs.readFileSync(file, "utf8").replace("__CACHE_VERSION__", `${version}-${models}`));
+    },
+  };
+}
+
 // https://vitejs.dev/config/
 export default defineConfig(({ mode }) => ({
   server: {
@@ -12,7 +67,11 @@ export default defineConfig(({ mode }) => ({
       overlay: false,
     },
   },
-  plugins: [react(), mode === "development" && componentTagger()].filter(Boolean),
+  plugins: [react(), mediapipeWasm(), serviceWorkerCacheVersion(), mode === "development" && componentTagger()].filter(Boolean),
+  // Pose detection runs in module workers (src/utils/poseDetector.js)
+  worker: {
+    format: "es",
+  },
   resolve: {
     alias: {
       "@": path.resolve(__dirname, "./src"),